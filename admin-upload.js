@@ -1,6 +1,25 @@
 // admin-upload.js
 // Admin page to paste checklist JSON and manage (upload + delete) checklists in Supabase.
 
+import {
+  parseDeviceFile,
+  detectColumnMapping,
+  mapRowsToDevices,
+  renderColumnMappingFields,
+  readColumnMapping,
+} from "./device-import.js";
+import { toDeviceRow } from "./device-identity.js";
+import { validateChecklistObjects } from "./checklist-validation.js";
+import { uploadChecklist, describeUploadResult } from "./checklist-upload.js";
+import {
+  listDeviceVersions,
+  previewDeviceSync,
+  previewDeviceRollback,
+  rollbackDeviceList,
+} from "./device-versions.js";
+import { initAuth, getInspector, can, signInWithPassword, signOut } from "./auth.js";
+import { escapeHTML } from "./text-utils.js";
+
 const db = window.supabaseClient;
 
 // --- small helpers ---
@@ -56,24 +75,10 @@ function showToast(message, type = "info") {
   }, 4500);
 }
 
-/**
- * Helper: convert value to integer or null.
- */
-function toIntOrNull(value) {
-  if (value === undefined || value === null) return null;
-  if (typeof value === "number") {
-    return Number.isFinite(value) ? value : null;
-  }
-  const trimmed = String(value).trim();
-  if (!trimmed || trimmed.toUpperCase() === "N/A") return null;
-  const parsed = parseInt(trimmed, 10);
-  return Number.isNaN(parsed) ? null : parsed;
-}
-
 // --- Supabase helpers (mirroring your main logic) ---
 
-async function getOrCreateCompanyByName(name) {
-  let { data, error } = await db
+async function findCompanyByName(name) {
+  const { data, error } = await db
     .from("companies")
     .select("*")
     .eq("name", name)
@@ -82,17 +87,7 @@ async function getOrCreateCompanyByName(name) {
   if (error && error.code !== "PGRST116") {
     throw error;
   }
-  if (data) return data;
-
-  const { data: inserted, error: insertError } = await db
-    .from("companies")
-    .insert({ name })
-    .select()
-    .single();
-
-  if (insertError) throw insertError;
-
-  return inserted;
+  return data || null;
 }
 
 async function getChecklistByName(companyId, checklistName) {
@@ -109,55 +104,13 @@ async function getChecklistByName(companyId, checklistName) {
   return data || null;
 }
 
-async function createChecklist(companyId, checklistName, year = null) {
-  const { data, error } = await db
-    .from("checklists")
-    .insert({
-      company_id: companyId,
-      name: checklistName,
-      year: year ?? new Date().getFullYear(),
-    })
-    .select()
-    .single();
-
-  if (error) throw error;
-  return data;
-}
-
-async function replaceDevicesForChecklist(checklistId, devicesArray) {
-  // delete existing
-  const { error: delErr } = await db
-    .from("devices")
-    .delete()
-    .eq("checklist_id", checklistId);
-
-  if (delErr) throw delErr;
-
-  if (!devicesArray || devicesArray.length === 0) {
-    return;
-  }
-
-  const rows = devicesArray.map((d) => ({
-    checklist_id: checklistId,
-    loop: toIntOrNull(d.loop),
-    address: toIntOrNull(d.address),
-    model: d.model ?? null,
-    device_type: d.deviceType ?? null,
-    serial_number: d.serialNumber ?? null,
-    messages: d.messages ?? null,
-  }));
-
-  const { error } = await db.from("devices").insert(rows);
-  if (error) throw error;
-}
-
 /**
- * Upsert one checklist object:
+ * Names used for a checklist object:
  * - companyName = obj.name || obj.key
  * - checklistName = obj.location || obj.name || obj.key
  * - devices = obj.devices
  */
-async function upsertChecklistFromObject(obj, existingMode = "replace") {
+function describeChecklistObject(obj) {
   if (!obj || typeof obj !== "object") {
     throw new Error("Checklist JSON must be an object.");
   }
@@ -169,6 +122,14 @@ async function upsertChecklistFromObject(obj, existingMode = "replace") {
   if (!companyName) {
     throw new Error("Missing 'name' (or 'key') on checklist object.");
   }
+  return { companyName, checklistName, devicesArray };
+}
+
+/**
+ * Upsert one checklist object (see describeChecklistObject for the names used).
+ */
+async function upsertChecklistFromObject(obj, existingMode = "replace", { flagMissing = false } = {}) {
+  const { companyName, checklistName, devicesArray } = describeChecklistObject(obj);
   if (devicesArray.length === 0) {
     appendLog(
       `Warning: checklist "${checklistName}" for company "${companyName}" has 0 devices. Continuing anyway.`,
@@ -180,37 +141,142 @@ async function upsertChecklistFromObject(obj, existingMode = "replace") {
   appendLog(`Checklist name: "${checklistName}"`);
   appendLog(`Devices in payload: ${devicesArray.length}`);
 
-  const company = await getOrCreateCompanyByName(companyName);
-  appendLog(`Company ID: ${company.id}`, "info");
-
-  let checklist = await getChecklistByName(company.id, checklistName);
-  const exists = !!checklist;
+  // Company, checklist and devices are written in one transaction (upload_checklist)
+  const result = await uploadChecklist(db, {
+    companyName,
+    checklistName,
+    devices: devicesArray,
+    mode: existingMode,
+    flagMissing,
+    source: "upload",
+  });
+  appendLog(`Company ID: ${result.company_id}`, "info");
 
-  if (exists && existingMode === "skip") {
+  if (result.skipped) {
     appendLog(
-      `Checklist already exists (id=${checklist.id}). Mode=skip → not modifying devices.`,
+      result.trashed
+        ? `Checklist id=${result.checklist_id} is in the Trash. Mode=skip → leaving it there.`
+        : `Checklist already exists (id=${result.checklist_id}). Mode=skip → not modifying devices.`,
       "info"
     );
-    return { company, checklist, created: false, devicesUpdated: false };
+    return result;
   }
 
-  if (!exists) {
-    checklist = await createChecklist(company.id, checklistName);
-    appendLog(`Created new checklist with id=${checklist.id}`, "success");
-  } else {
-    appendLog(
-      `Checklist exists (id=${checklist.id}). Mode=${existingMode} → replacing devices.`,
-      "info"
-    );
+  if (result.restored) {
+    appendLog(`Checklist id=${result.checklist_id} was in the Trash and has been restored.`, "info");
   }
-
-  await replaceDevicesForChecklist(checklist.id, devicesArray);
   appendLog(
-    `Inserted ${devicesArray.length} device(s) for checklist id=${checklist.id}.`,
-    "success"
+    result.created
+      ? `Created new checklist with id=${result.checklist_id}`
+      : `Checklist exists (id=${result.checklist_id}). Mode=${existingMode} → ` +
+          (existingMode === "merge" ? "merging devices." : "replacing devices."),
+    result.created ? "success" : "info"
+  );
+  appendLog(`Devices for checklist id=${result.checklist_id}: ${describeUploadResult(result)}.`, "success");
+
+  return result;
+}
+
+// --- Sign-in & permissions ---
+
+const INPUT_CLASS =
+  "rounded-md border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-xs w-36";
+const BUTTON_CLASS =
+  "text-xs px-2 py-1 rounded-md border border-slate-300 dark:border-slate-600 hover:bg-slate-100 dark:hover:bg-slate-800";
+
+function renderAdminAuth() {
+  const container = $("#admin-auth");
+  if (!container) return;
+  const inspector = getInspector();
+
+  if (inspector) {
+    container.innerHTML = `
+      <div class="flex items-center gap-2">
+        <span class="text-slate-600 dark:text-slate-300">${escapeHTML(inspector.name)}</span>
+        <span class="px-1.5 py-0.5 rounded bg-slate-200 dark:bg-slate-700 text-[10px] uppercase tracking-wide">${escapeHTML(inspector.role || "no role")}</span>
+        <button type="button" data-auth-action="sign-out" class="${BUTTON_CLASS}">Sign out</button>
+      </div>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <form id="admin-sign-in-form" class="flex items-center gap-2">
+      <input name="email" type="email" required placeholder="Email" autocomplete="username" class="${INPUT_CLASS}">
+      <input name="password" type="password" required placeholder="Password" autocomplete="current-password" class="${INPUT_CLASS}">
+      <button type="submit" class="${BUTTON_CLASS}">Sign in</button>
+    </form>`;
+}
+
+/**
+ * Disables the controls the signed-in role may not use. Supabase enforces the
+ * same rules with RLS; this keeps the page from offering actions that fail.
+ */
+function applyPermissions() {
+  renderAdminAuth();
+
+  const uploadBtn = $("#upload-btn");
+  if (uploadBtn) {
+    const allowed = can("upload-checklists");
+    uploadBtn.disabled = !allowed;
+    uploadBtn.classList.toggle("opacity-50", !allowed);
+    uploadBtn.classList.toggle("cursor-not-allowed", !allowed);
+    uploadBtn.title = allowed ? "" : "Your role cannot upload checklists.";
+  }
+
+  const modeSelect = $("#existing-mode");
+  const mergeOption = modeSelect?.querySelector('option[value="merge"]');
+  if (mergeOption) mergeOption.disabled = !can("replace-devices");
+  if (mergeOption?.disabled && modeSelect.value === "merge") modeSelect.value = "skip";
+
+  const replaceOption = modeSelect?.querySelector('option[value="replace"]');
+  if (replaceOption) {
+    replaceOption.disabled = !can("replace-devices");
+    // Switch back to "replace" once a role allows it, unless the user picked "skip"
+    if (replaceOption.disabled && modeSelect.value === "replace") {
+      modeSelect.value = "skip";
+      modeSelect.dataset.forcedSkip = "true";
+    } else if (!replaceOption.disabled && modeSelect.dataset.forcedSkip) {
+      modeSelect.value = "replace";
+      delete modeSelect.dataset.forcedSkip;
+    }
+  }
+
+  updateMergeOptions();
+  $("#trash-section")?.classList.toggle("hidden", !can("delete-checklists"));
+  $("#review-section")?.classList.toggle("hidden", !can("review-devices"));
+}
+
+// The "flag missing devices" option only applies to merge uploads.
+function updateMergeOptions() {
+  const label = $("#merge-flag-missing-label");
+  if (!label) return;
+  const merging = $("#existing-mode")?.value === "merge";
+  label.classList.toggle("hidden", !merging);
+  label.classList.toggle("flex", merging);
+}
+
+function requirePermission(permission, action) {
+  if (can(permission)) return true;
+  const inspector = getInspector();
+  showToast(
+    inspector
+      ? `Your role (${inspector.role || "none"}) cannot ${action}.`
+      : `Sign in to ${action}.`,
+    "error"
   );
+  return false;
+}
 
-  return { company, checklist, created: !exists, devicesUpdated: true };
+async function handleAdminSignIn(form) {
+  const email = form.email.value.trim();
+  const password = form.password.value;
+  try {
+    await signInWithPassword(email, password);
+    showToast("Signed in.", "success");
+  } catch (err) {
+    console.error("Sign-in failed:", err);
+    showToast(`Sign-in failed: ${err.message || String(err)}`, "error");
+  }
 }
 
 // --- DELETE / LIST checklists ---
@@ -236,6 +302,7 @@ async function fetchExistingChecklists() {
         )
       `
       )
+      .is("deleted_at", null)
       .order("name", { ascending: true });
 
     if (error) throw error;
@@ -246,10 +313,13 @@ async function fetchExistingChecklists() {
       return;
     }
 
+    const canDelete = can("delete-checklists");
+
     listEl.innerHTML = data
       .map((row) => {
-        const companyName = row.company?.name || "Unknown company";
-        const checklistName = row.name || "Unnamed checklist";
+        // Escaped once here; the data- attributes hand the plain names back through dataset
+        const companyName = escapeHTML(row.company?.name || "Unknown company");
+        const checklistName = escapeHTML(row.name || "Unnamed checklist");
         const year = row.year || "";
         const checklistId = row.id;
         const companyId = row.company?.id || "";
@@ -270,17 +340,27 @@ async function fetchExistingChecklists() {
               <div class="col-span-6 sm:col-span-2 text-slate-500 dark:text-slate-400">
                 ${year}
               </div>
-              <div class="col-span-6 sm:col-span-2 flex justify-end">
+              <div class="col-span-6 sm:col-span-2 flex justify-end gap-1">
                 <button
+                  type="button"
+                  class="text-[11px] px-2 py-1 rounded-md border border-slate-300 dark:border-slate-600 hover:bg-slate-100 dark:hover:bg-slate-800"
+                  data-list-action="versions"
+                  data-checklist-id="${checklistId}"
+                  data-checklist-name="${checklistName}"
+                >
+                  Versions
+                </button>
+                ${canDelete ? `<button
                   type="button"
                   class="text-[11px] px-2 py-1 rounded-md border border-red-400 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30"
+                  data-list-action="delete"
                   data-checklist-id="${checklistId}"
                   data-company-id="${companyId}"
                   data-company-name="${companyName}"
                   data-checklist-name="${checklistName}"
                 >
                   Delete
-                </button>
+                </button>` : `<span class="text-[11px] text-slate-400 dark:text-slate-500" title="Only admins can delete checklists">🔒</span>`}
               </div>
             </div>
           </div>
@@ -294,68 +374,869 @@ async function fetchExistingChecklists() {
   }
 }
 
-async function deleteChecklistAndDevices(checklistId, companyId, companyName, checklistName) {
+// --- TRASH (soft delete, restore, purge) ---
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+let trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS;
+
+async function loadTrashRetentionDays() {
+  const { data, error } = await db
+    .from("app_settings")
+    .select("value")
+    .eq("key", "trash_retention_days")
+    .maybeSingle();
+  if (error) {
+    console.warn("Could not load trash retention setting:", error);
+    return trashRetentionDays;
+  }
+  const days = parseInt(data?.value, 10);
+  trashRetentionDays = days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+  const input = $("#trash-retention-days");
+  if (input) input.value = trashRetentionDays;
+  return trashRetentionDays;
+}
+
+async function saveTrashRetentionDays() {
+  if (!requirePermission("delete-checklists", "change the retention period")) return;
+  const days = parseInt($("#trash-retention-days")?.value, 10);
+  if (!(days > 0)) {
+    showToast("Enter a number of days (1 or more).", "error");
+    return;
+  }
+  const { error } = await db
+    .from("app_settings")
+    .upsert({ key: "trash_retention_days", value: days, updated_at: new Date().toISOString() }, { onConflict: "key" });
+  if (error) {
+    console.error("Saving retention failed:", error);
+    showToast("Could not save the retention period.", "error");
+    return;
+  }
+  trashRetentionDays = days;
+  appendLog(`Trash retention set to ${days} day(s).`, "info");
+  showToast(`Deleted checklists are now purged after ${days} day(s).`, "success");
+  await fetchTrashedChecklists();
+}
+
+function purgeDateFor(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + trashRetentionDays * DAY_MS);
+}
+
+async function moveChecklistToTrash(checklistId, companyName, checklistName) {
+  if (!requirePermission("delete-checklists", "delete checklists")) return;
+
   const confirmed = window.confirm(
     `Delete checklist "${checklistName}" for "${companyName}"?\n\n` +
-      `This will delete the checklist and all of its devices.`
+      `It moves to the Trash with its devices and progress, and can be restored ` +
+      `for ${trashRetentionDays} day(s) before it is purged.`
   );
   if (!confirmed) return;
 
-  appendLog(
-    `Deleting checklist "${checklistName}" (id=${checklistId}) for company "${companyName}" (id=${companyId})...`,
-    "info"
-  );
-
   try {
-    // 1) delete devices
-    const { error: devicesErr } = await db
-      .from("devices")
-      .delete()
-      .eq("checklist_id", checklistId);
-    if (devicesErr) throw devicesErr;
-
-    // 2) delete checklist
-    const { error: checklistErr } = await db
+    const { error } = await db
       .from("checklists")
-      .delete()
+      .update({ deleted_at: new Date().toISOString() })
       .eq("id", checklistId);
-    if (checklistErr) throw checklistErr;
+    if (error) throw error;
 
+    appendLog(`Moved checklist "${checklistName}" (id=${checklistId}) to the Trash.`, "success");
+    showToast(`Moved "${checklistName}" to the Trash.`, "success");
+    await Promise.all([fetchExistingChecklists(), fetchTrashedChecklists()]);
+  } catch (err) {
+    console.error("Delete checklist failed:", err);
     appendLog(
-      `Deleted checklist and devices for "${checklistName}" (id=${checklistId}).`,
-      "success"
+      `Delete failed for "${checklistName}": ${err.message || String(err)}`,
+      "error"
     );
+    showToast("Delete failed. See log.", "error");
+  }
+}
+
+async function restoreChecklistRow(checklistId) {
+  const { error } = await db
+    .from("checklists")
+    .update({ deleted_at: null })
+    .eq("id", checklistId);
+  if (error) throw error;
+}
 
-    // 3) Optionally delete company if it has no checklists left
-    if (companyId) {
-      const { data: remaining, error: remainingErr } = await db
-        .from("checklists")
-        .select("id")
-        .eq("company_id", companyId);
-
-      if (!remainingErr && (!remaining || remaining.length === 0)) {
-        const { error: companyErr } = await db
-          .from("companies")
-          .delete()
-          .eq("id", companyId);
-        if (!companyErr) {
-          appendLog(
-            `Company "${companyName}" (id=${companyId}) had no more checklists and was deleted.`,
-            "info"
-          );
-        }
+async function restoreChecklist(checklistId, checklistName) {
+  if (!requirePermission("delete-checklists", "restore checklists")) return;
+  try {
+    await restoreChecklistRow(checklistId);
+    appendLog(`Restored checklist "${checklistName}" (id=${checklistId}) from the Trash.`, "success");
+    showToast(`Restored "${checklistName}".`, "success");
+    await Promise.all([fetchExistingChecklists(), fetchTrashedChecklists()]);
+  } catch (err) {
+    console.error("Restore failed:", err);
+    appendLog(`Restore failed for "${checklistName}": ${err.message || String(err)}`, "error");
+    showToast("Restore failed. See log.", "error");
+  }
+}
+
+/**
+ * Permanently deletes trashed checklists: their photos from storage first,
+ * then the rows (purge_deleted_checklists also removes devices, progress,
+ * sessions and companies left without checklists).
+ */
+async function purgeChecklists(checklistIds) {
+  if (!checklistIds.length) return [];
+
+  const { data: photos, error: photosErr } = await db
+    .from("device_attachments")
+    .select("storage_path")
+    .in("checklist_id", checklistIds)
+    .not("storage_path", "is", null);
+  if (photosErr) throw photosErr;
+
+  const paths = (photos || []).map((row) => row.storage_path);
+  for (let i = 0; i < paths.length; i += 100) {
+    const { error } = await db.storage.from("device-attachments").remove(paths.slice(i, i + 100));
+    if (error) throw error;
+  }
+
+  const { data, error } = await db.rpc("purge_deleted_checklists", { only_ids: checklistIds });
+  if (error) throw error;
+  return data || [];
+}
+
+async function purgeChecklistNow(checklistId, checklistName) {
+  if (!requirePermission("delete-checklists", "purge checklists")) return;
+  const confirmed = window.confirm(
+    `Permanently delete "${checklistName}"?\n\n` +
+      `Its devices, inspection progress and photos are removed and cannot be restored.`
+  );
+  if (!confirmed) return;
+
+  try {
+    await purgeChecklists([checklistId]);
+    appendLog(`Permanently deleted checklist "${checklistName}" (id=${checklistId}).`, "success");
+    showToast(`Permanently deleted "${checklistName}".`, "success");
+    await fetchTrashedChecklists();
+  } catch (err) {
+    console.error("Purge failed:", err);
+    appendLog(`Permanent delete failed for "${checklistName}": ${err.message || String(err)}`, "error");
+    showToast("Permanent delete failed. See log.", "error");
+  }
+}
+
+// Run when an admin opens the page: purge what has outlived the retention period.
+async function purgeExpiredChecklists() {
+  if (!can("delete-checklists")) return;
+  await loadTrashRetentionDays();
+
+  try {
+    const cutoff = new Date(Date.now() - trashRetentionDays * DAY_MS).toISOString();
+    const { data, error } = await db
+      .from("checklists")
+      .select("id")
+      .not("deleted_at", "is", null)
+      .lt("deleted_at", cutoff);
+    if (error) throw error;
+
+    const purged = await purgeChecklists((data || []).map((row) => row.id));
+    if (purged.length) {
+      appendLog(
+        `Purged ${purged.length} checklist(s) that were in the Trash for more than ${trashRetentionDays} day(s).`,
+        "info"
+      );
+    }
+  } catch (err) {
+    console.error("Automatic purge failed:", err);
+    appendLog(`Automatic Trash purge failed: ${err.message || String(err)}`, "error");
+  }
+}
+
+async function fetchTrashedChecklists() {
+  const listEl = $("#trash-list");
+  if (!listEl || !can("delete-checklists")) return;
+
+  try {
+    const { data, error } = await db
+      .from("checklists")
+      .select(
+        `
+        id,
+        name,
+        deleted_at,
+        company:company_id (
+          id,
+          name
+        )
+      `
+      )
+      .not("deleted_at", "is", null)
+      .order("deleted_at", { ascending: false });
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      listEl.innerHTML =
+        '<div class="px-3 py-3 text-xs text-slate-500 dark:text-slate-400">The Trash is empty.</div>';
+      return;
+    }
+
+    listEl.innerHTML = data
+      .map((row) => {
+        // Escaped once here; the data- attributes hand the plain names back through dataset
+        const companyName = escapeHTML(row.company?.name || "Unknown company");
+        const checklistName = escapeHTML(row.name || "Unnamed checklist");
+
+        return `
+          <div class="px-3 py-2 hover:bg-slate-50 dark:hover:bg-slate-800/60">
+            <div class="grid grid-cols-12 gap-2 items-center">
+              <div class="col-span-12 sm:col-span-3 font-semibold text-slate-800 dark:text-slate-100 truncate" title="${companyName}">
+                ${companyName}
+              </div>
+              <div class="col-span-12 sm:col-span-3 truncate text-slate-700 dark:text-slate-200" title="${checklistName}">
+                ${checklistName}
+              </div>
+              <div class="col-span-6 sm:col-span-2 text-slate-500 dark:text-slate-400">
+                ${new Date(row.deleted_at).toLocaleDateString()}
+              </div>
+              <div class="col-span-6 sm:col-span-2 text-slate-500 dark:text-slate-400">
+                ${purgeDateFor(row.deleted_at).toLocaleDateString()}
+              </div>
+              <div class="col-span-12 sm:col-span-2 flex justify-end gap-1">
+                <button
+                  type="button"
+                  class="text-[11px] px-2 py-1 rounded-md border border-sky-400 text-sky-700 dark:text-sky-400 hover:bg-sky-50 dark:hover:bg-sky-900/30"
+                  data-trash-action="restore"
+                  data-checklist-id="${row.id}"
+                  data-checklist-name="${checklistName}"
+                >
+                  Restore
+                </button>
+                <button
+                  type="button"
+                  class="text-[11px] px-2 py-1 rounded-md border border-red-400 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30"
+                  data-trash-action="purge"
+                  data-checklist-id="${row.id}"
+                  data-checklist-name="${checklistName}"
+                  title="Delete permanently"
+                >
+                  Purge
+                </button>
+              </div>
+            </div>
+          </div>
+        `;
+      })
+      .join("");
+  } catch (err) {
+    console.error("Failed to fetch trashed checklists:", err);
+    listEl.innerHTML =
+      '<div class="px-3 py-3 text-xs text-red-500">Error loading the Trash. See console.</div>';
+  }
+}
+
+// --- Field-added devices awaiting review ---
+
+async function fetchPendingDevices() {
+  const listEl = $("#review-list");
+  if (!listEl || !can("review-devices")) return;
+
+  try {
+    const { data, error } = await db
+      .from("devices")
+      .select(
+        `
+        id,
+        loop,
+        address,
+        model,
+        device_type,
+        serial_number,
+        messages,
+        field_added_at,
+        field_added_by_name,
+        checklist:checklist_id (
+          id,
+          name,
+          deleted_at,
+          company:company_id (
+            name
+          )
+        )
+      `
+      )
+      .eq("review_status", "pending")
+      .order("field_added_at", { ascending: true });
+
+    if (error) throw error;
+
+    const pending = (data || []).filter((row) => !row.checklist?.deleted_at);
+    $("#review-count").textContent = pending.length ? `${pending.length} pending` : "";
+
+    if (pending.length === 0) {
+      listEl.innerHTML =
+        '<div class="px-3 py-3 text-xs text-slate-500 dark:text-slate-400">No devices waiting for review.</div>';
+      return;
+    }
+
+    listEl.innerHTML = pending
+      .map((row) => {
+        const checklistName = `${row.checklist?.company?.name || "Unknown company"} · ${row.checklist?.name || ""}`;
+        const label = deviceRowLabel(row);
+        const addedBy = row.field_added_by_name ? ` by ${row.field_added_by_name}` : "";
+
+        return `
+          <div class="px-3 py-2 hover:bg-slate-50 dark:hover:bg-slate-800/60">
+            <div class="grid grid-cols-12 gap-2 items-center">
+              <div class="col-span-12 sm:col-span-3 font-semibold text-slate-800 dark:text-slate-100 truncate" title="${escapeHTML(checklistName)}">
+                ${escapeHTML(checklistName)}
+              </div>
+              <div class="col-span-12 sm:col-span-4 text-slate-700 dark:text-slate-200">
+                ${escapeHTML(label)}${row.model ? ` <span class="text-slate-500 dark:text-slate-400">(${escapeHTML(row.model)})</span>` : ""}
+              </div>
+              <div class="col-span-12 sm:col-span-3 text-slate-500 dark:text-slate-400">
+                ${row.field_added_at ? new Date(row.field_added_at).toLocaleString() : ""}${escapeHTML(addedBy)}
+              </div>
+              <div class="col-span-12 sm:col-span-2 flex justify-end gap-1">
+                <button
+                  type="button"
+                  class="text-[11px] px-2 py-1 rounded-md border border-emerald-400 text-emerald-700 dark:text-emerald-400 hover:bg-emerald-50 dark:hover:bg-emerald-900/30"
+                  data-review-action="approve"
+                  data-device-id="${row.id}"
+                  data-device-label="${escapeHTML(label)}"
+                >
+                  Approve
+                </button>
+                <button
+                  type="button"
+                  class="text-[11px] px-2 py-1 rounded-md border border-red-400 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30"
+                  data-review-action="reject"
+                  data-device-id="${row.id}"
+                  data-device-label="${escapeHTML(label)}"
+                  title="Delete the device"
+                >
+                  Reject
+                </button>
+              </div>
+            </div>
+          </div>
+        `;
+      })
+      .join("");
+  } catch (err) {
+    console.error("Failed to fetch field-added devices:", err);
+    listEl.innerHTML =
+      '<div class="px-3 py-3 text-xs text-red-500">Error loading field-added devices. See console.</div>';
+  }
+}
+
+async function approveDevice(deviceId, label) {
+  if (!requirePermission("review-devices", "review field-added devices")) return;
+
+  try {
+    const { error } = await db
+      .from("devices")
+      .update({ review_status: "approved" })
+      .eq("id", deviceId);
+    if (error) throw error;
+
+    appendLog(`Approved field-added device ${label} (id=${deviceId}).`, "success");
+    showToast("Device approved.", "success");
+    await fetchPendingDevices();
+  } catch (err) {
+    console.error("Approve device failed:", err);
+    appendLog(`Approve failed for ${label}: ${err.message || String(err)}`, "error");
+    showToast("Approve failed. See log.", "error");
+  }
+}
+
+// Rejecting deletes the device with its results, notes and photos
+// (reject_field_added_device), unless it is no longer pending.
+async function rejectDevice(deviceId, label) {
+  if (!requirePermission("review-devices", "review field-added devices")) return;
+  const confirmed = window.confirm(
+    `Reject ${label}?\n\nThe device is deleted from its checklist, with any results, notes and photos recorded for it.`
+  );
+  if (!confirmed) return;
+
+  try {
+    const { data, error } = await db.rpc("reject_field_added_device", { target_device: deviceId });
+    if (error) throw error;
+
+    if (!data?.rejected) {
+      appendLog(`${label} (id=${deviceId}) was not rejected: it is no longer pending review.`, "info");
+      showToast("That device was already reviewed. Nothing was rejected.", "info");
+      await fetchPendingDevices();
+      return;
+    }
+
+    const paths = data.storage_paths || [];
+    if (paths.length) {
+      const { error: storageErr } = await db.storage.from("device-attachments").remove(paths);
+      if (storageErr) {
+        console.warn("Could not remove photos of rejected device:", storageErr);
+        appendLog(`Rejected ${label}, but ${paths.length} photo file(s) could not be removed from storage.`, "error");
       }
     }
 
-    showToast(`Deleted checklist "${checklistName}".`, "success");
-    await fetchExistingChecklists();
+    appendLog(`Rejected field-added device ${label} (id=${deviceId}).`, "success");
+    showToast("Device rejected and deleted.", "success");
+    await fetchPendingDevices();
   } catch (err) {
-    console.error("Delete checklist failed:", err);
+    console.error("Reject device failed:", err);
+    appendLog(`Reject failed for ${label}: ${err.message || String(err)}`, "error");
+    showToast("Reject failed. See log.", "error");
+  }
+}
+
+// --- Diff preview & device list versions ---
+
+const DIFF_FIELD_LABELS = {
+  loop: "Loop",
+  address: "Address",
+  model: "Model",
+  device_type: "Type",
+  serial_number: "Serial",
+  messages: "Location",
+};
+
+function deviceRowLabel(row) {
+  const serial = row.serial_number ? ` · SN ${row.serial_number}` : "";
+  return `L${row.loop ?? "?"}/A${row.address ?? "?"} ${row.device_type || ""} — ${row.messages || ""}${serial}`;
+}
+
+/**
+ * HTML for a planDeviceSync() result: counts, then added, removed and changed
+ * devices (changed ones list each field as old → new).
+ */
+function renderPlanDiff(plan, { merge = false, flagMissing = false } = {}) {
+  const list = (items, render, tone) =>
+    items.length
+      ? `<ul class="mt-1 space-y-0.5 ${tone}">${items.map((item) => `<li>${render(item)}</li>`).join("")}</ul>`
+      : "";
+
+  return `
+    <p class="text-xs">
+      <span class="text-emerald-700 dark:text-emerald-400">${plan.added.length} added</span> ·
+      ${merge
+        ? `<span class="text-slate-600 dark:text-slate-300">${plan.removed.length} not in upload (kept${flagMissing ? ", flagged" : ""})</span> ·`
+        : `<span class="text-red-700 dark:text-red-400">${plan.removed.length} removed</span> ·`}
+      <span class="text-amber-700 dark:text-amber-400">${plan.changed.length} changed</span> ·
+      <span class="text-slate-500 dark:text-slate-400">${plan.unchanged.length} unchanged</span>
+    </p>
+    ${list(plan.added, (row) => `+ ${escapeHTML(deviceRowLabel(row))}`, "text-emerald-700 dark:text-emerald-400")}
+    ${merge
+      ? list(plan.removed, (row) => `${flagMissing ? "⚑" : "="} ${escapeHTML(deviceRowLabel(row))}`, "text-slate-600 dark:text-slate-300")
+      : list(plan.removed, (row) => `− ${escapeHTML(deviceRowLabel(row))}`, "text-red-700 dark:text-red-400")}
+    ${list(
+      plan.changed,
+      (pair) =>
+        `~ ${escapeHTML(deviceRowLabel(pair.existing))}<br>` +
+        pair.fields
+          .map(
+            (field) =>
+              `<span class="ml-4">${DIFF_FIELD_LABELS[field] || field}: ` +
+              `<s>${escapeHTML(pair.existing[field] ?? "—")}</s> → ${escapeHTML(pair.incoming[field] ?? "—")}</span>`
+          )
+          .join("<br>"),
+      "text-amber-700 dark:text-amber-400"
+    )}
+  `;
+}
+
+let pendingUpload = null; // { items, existingMode, flagMissing } waiting for the preview to be confirmed
+
+function hideUploadPreview() {
+  pendingUpload = null;
+  $("#upload-preview-panel")?.classList.add("hidden");
+}
+
+/**
+ * What uploading `obj` would do, without writing anything: "new", "skip",
+ * or "update" with the device sync plan (for replace and merge alike).
+ */
+async function previewChecklistUpload(obj, existingMode) {
+  const { companyName, checklistName, devicesArray } = describeChecklistObject(obj);
+  const company = await findCompanyByName(companyName);
+  const checklist = company ? await getChecklistByName(company.id, checklistName) : null;
+
+  if (!checklist) {
+    // Only admins can see trashed checklists; ask the database for everyone else.
+    const { data: trashedId, error } = company
+      ? await db.rpc("trashed_checklist_id", { target_company: company.id, target_name: checklistName })
+      : { data: null, error: null };
+    if (error) throw error;
+    if (trashedId && existingMode === "skip") {
+      return { companyName, checklistName, action: "skip", trashed: true };
+    }
+    if (trashedId) {
+      return { companyName, checklistName, error: "This checklist is in the Trash; ask an admin to restore it." };
+    }
+    return { companyName, checklistName, action: "new", deviceCount: devicesArray.length };
+  }
+  if (existingMode === "skip") {
+    return { companyName, checklistName, action: "skip", trashed: !!checklist.deleted_at };
+  }
+  const rows = devicesArray.map((d) => toDeviceRow(checklist.id, d));
+  return {
+    companyName,
+    checklistName,
+    action: "update",
+    trashed: !!checklist.deleted_at,
+    plan: await previewDeviceSync(db, checklist.id, rows),
+  };
+}
+
+async function showUploadPreview(items, existingMode, { flagMissing = false } = {}) {
+  const container = $("#upload-preview");
+  const panel = $("#upload-preview-panel");
+  if (!container || !panel) return;
+
+  const previews = [];
+  for (const item of items) {
+    try {
+      previews.push(await previewChecklistUpload(item, existingMode));
+    } catch (err) {
+      previews.push({ error: err.message || String(err) });
+    }
+  }
+
+  container.innerHTML = previews
+    .map((preview, i) => {
+      const title = preview.error
+        ? `Checklist ${i + 1}`
+        : `${escapeHTML(preview.companyName)} · ${escapeHTML(preview.checklistName)}`;
+      let body;
+      if (preview.error) {
+        body = `<p class="text-xs text-red-600 dark:text-red-400">${escapeHTML(preview.error)}</p>`;
+      } else if (preview.action === "new") {
+        body = `<p class="text-xs">New checklist with ${preview.deviceCount} device(s).</p>`;
+      } else if (preview.action === "skip") {
+        body = `<p class="text-xs text-slate-500 dark:text-slate-400">${
+          preview.trashed ? "In the Trash; left there" : "Already exists; skipped"
+        } (mode: skip).</p>`;
+      } else {
+        body =
+          (preview.trashed ? `<p class="text-xs">This checklist is in the Trash and will be restored.</p>` : "") +
+          renderPlanDiff(preview.plan, { merge: existingMode === "merge", flagMissing });
+      }
+      return `
+        <div class="bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-800 rounded-md p-2">
+          <p class="text-xs font-semibold mb-1">${title}</p>
+          ${body}
+        </div>
+      `;
+    })
+    .join("");
+
+  pendingUpload = { items, existingMode, flagMissing };
+  panel.classList.remove("hidden");
+  panel.scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
+
+let versionsChecklist = null; // { id, name } shown in #versions-section
+
+async function openVersions(checklistId, checklistName) {
+  versionsChecklist = { id: checklistId, name: checklistName };
+  $("#versions-checklist-name").textContent = checklistName;
+  $("#rollback-preview").classList.add("hidden");
+  $("#versions-section").classList.remove("hidden");
+  await renderVersions();
+  $("#versions-section").scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
+
+function closeVersions() {
+  versionsChecklist = null;
+  $("#versions-section")?.classList.add("hidden");
+}
+
+const VERSION_SOURCE_LABELS = {
+  baseline: "List before versioning",
+  upload: "Upload",
+  import: "Workspace import",
+  rollback: "Rollback",
+  migration: "Migration",
+};
+
+async function renderVersions() {
+  const listEl = $("#versions-list");
+  if (!listEl || !versionsChecklist) return;
+  listEl.innerHTML = '<div class="px-3 py-3 text-slate-500 dark:text-slate-400">Loading versions...</div>';
+
+  try {
+    const versions = await listDeviceVersions(db, versionsChecklist.id);
+    if (!versions.length) {
+      listEl.innerHTML =
+        '<div class="px-3 py-3 text-slate-500 dark:text-slate-400">No versions yet. The next upload of this checklist creates the first one.</div>';
+      return;
+    }
+
+    const canRollback = can("replace-devices");
+    listEl.innerHTML = versions
+      .map((version, i) => {
+        const summary = version.summary
+          ? `${version.summary.added} added, ${version.summary.removed} removed, ${version.summary.changed} changed` +
+            (version.summary.missing ? `, ${version.summary.missing} not in upload` : "")
+          : "";
+        const source =
+          version.source === "rollback" && version.rolled_back_to
+            ? `Rollback to v${version.rolled_back_to}`
+            : VERSION_SOURCE_LABELS[version.source] || version.source;
+        return `
+          <div class="px-3 py-2 flex flex-wrap items-center gap-2">
+            <span class="font-semibold">v${version.version}</span>
+            <span>${escapeHTML(source)}</span>
+            <span class="text-slate-500 dark:text-slate-400">
+              ${new Date(version.created_at).toLocaleString()}${version.created_by_name ? ` · ${escapeHTML(version.created_by_name)}` : ""}
+              · ${version.device_count} device(s)${summary ? ` · ${summary}` : ""}
+            </span>
+            ${i === 0 ? '<span class="ml-auto text-[11px] text-emerald-700 dark:text-emerald-400">current</span>' : ""}
+            ${i > 0 && canRollback ? `
+              <button type="button" data-rollback-version="${version.id}"
+                      class="ml-auto text-[11px] px-2 py-1 rounded-md border border-slate-300 dark:border-slate-600 hover:bg-slate-100 dark:hover:bg-slate-800">
+                Roll back to v${version.version}...
+              </button>` : ""}
+          </div>
+        `;
+      })
+      .join("");
+  } catch (err) {
+    console.error("Failed to load versions:", err);
+    listEl.innerHTML = '<div class="px-3 py-3 text-red-500">Error loading versions. See console.</div>';
+  }
+}
+
+async function previewRollback(versionId) {
+  if (!versionsChecklist || !requirePermission("replace-devices", "roll back device lists")) return;
+  const previewEl = $("#rollback-preview");
+
+  try {
+    const { target, plan } = await previewDeviceRollback(db, versionsChecklist.id, versionId);
+    previewEl.innerHTML = `
+      <p class="text-sm font-semibold">Roll back to v${target.version}?</p>
+      ${renderPlanDiff(plan)}
+      <div class="flex justify-end gap-2">
+        <button type="button" data-rollback-cancel
+                class="text-xs px-3 py-1 rounded-md border border-slate-300 dark:border-slate-600 hover:bg-slate-100 dark:hover:bg-slate-800">
+          Cancel
+        </button>
+        <button type="button" data-rollback-apply="${versionId}"
+                class="text-xs px-3 py-1 rounded-md bg-sky-600 hover:bg-sky-700 text-white font-medium">
+          Roll back
+        </button>
+      </div>
+    `;
+    previewEl.classList.remove("hidden");
+  } catch (err) {
+    console.error("Rollback preview failed:", err);
+    showToast("Could not load that version. See console.", "error");
+  }
+}
+
+async function applyRollback(versionId) {
+  if (!versionsChecklist || !requirePermission("replace-devices", "roll back device lists")) return;
+  const { id, name } = versionsChecklist;
+
+  try {
+    const result = await rollbackDeviceList(db, id, versionId);
     appendLog(
-      `Delete failed for "${checklistName}": ${err.message || String(err)}`,
-      "error"
+      `Rolled back "${name}" to v${result.rolled_back_to} (saved as v${result.version}): ` +
+        `${result.added} re-added, ${result.changed} updated, ${result.removed} removed.`,
+      "success"
     );
-    showToast("Delete failed. See log.", "error");
+    showToast(`Rolled back "${name}" to v${result.rolled_back_to}.`, "success");
+    $("#rollback-preview").classList.add("hidden");
+    await renderVersions();
+  } catch (err) {
+    console.error("Rollback failed:", err);
+    appendLog(`Rollback failed for "${name}": ${err.message || String(err)}`, "error");
+    showToast("Rollback failed. See log.", "error");
+  }
+}
+
+// --- Validation & dry run ---
+
+function renderValidation({ issues, errorCount, warningCount }, items) {
+  const panel = $("#validation-panel");
+  if (!panel) return;
+
+  if (!issues.length) {
+    panel.classList.add("hidden");
+    return;
+  }
+
+  $("#validation-summary").textContent =
+    `${errorCount} error(s), ${warningCount} warning(s)` +
+    (errorCount ? " — fix the errors before uploading." : " — the upload can go ahead.");
+  $("#validation-summary").className =
+    `text-sm font-semibold ${errorCount ? "text-red-600 dark:text-red-400" : "text-amber-700 dark:text-amber-400"}`;
+
+  $("#validation-rows").innerHTML = issues
+    .map((issue) => {
+      const checklistLabel = issue.checklistName || `#${issue.checklist + 1}`;
+      const rowLabel =
+        issue.row === null
+          ? "—"
+          : `${issue.row + 1}` +
+            (issue.device && typeof issue.device === "object"
+              ? ` <span class="text-slate-500 dark:text-slate-400">(L${escapeHTML(issue.device.loop ?? "?")}/A${escapeHTML(issue.device.address ?? "?")})</span>`
+              : "");
+      const tone =
+        issue.severity === "error" ? "text-red-600 dark:text-red-400" : "text-amber-700 dark:text-amber-400";
+      return `
+        <tr>
+          <td class="py-1 pr-2">${items.length > 1 ? escapeHTML(checklistLabel) : "—"}</td>
+          <td class="py-1 pr-2 whitespace-nowrap">${rowLabel}</td>
+          <td class="py-1 pr-2">${escapeHTML(issue.field || "")}</td>
+          <td class="py-1 pr-2 font-semibold ${tone}">${issue.severity}</td>
+          <td class="py-1">${escapeHTML(issue.message)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+  panel.classList.remove("hidden");
+}
+
+/**
+ * Reads, parses and validates the JSON box. Returns null (after telling the
+ * user why) when there is nothing to upload.
+ */
+function readUploadInput() {
+  const raw = $("#checklist-json").value.trim();
+  const existingMode = $("#existing-mode").value || "replace";
+  const flagMissing = existingMode === "merge" && !!$("#merge-flag-missing")?.checked;
+
+  if (!raw) {
+    showToast("Paste a checklist JSON first.", "error");
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    showToast("Invalid JSON. Check the console/log for details.", "error");
+    appendLog(`JSON parse error: ${err.message}`, "error");
+    return null;
+  }
+
+  const isArray = Array.isArray(parsed);
+  const items = isArray ? parsed : [parsed];
+  const validation = validateChecklistObjects(items);
+  renderValidation(validation, items);
+
+  return { items, existingMode, flagMissing, validation };
+}
+
+/**
+ * The writes uploading `items` would make, in order, as
+ * { table, op, row } entries. Reads from Supabase, never writes.
+ */
+async function planUploadWrites(items, existingMode, { flagMissing = false } = {}) {
+  const writes = [];
+  const merge = existingMode === "merge";
+
+  for (const obj of items) {
+    const { companyName, checklistName, devicesArray } = describeChecklistObject(obj);
+    const company = await findCompanyByName(companyName);
+    const companyId = company?.id || "(new company id)";
+    if (!company) writes.push({ table: "companies", op: "insert", row: { name: companyName } });
+
+    const checklist = company ? await getChecklistByName(company.id, checklistName) : null;
+    if (checklist && existingMode === "skip") {
+      writes.push({ table: "checklists", op: "skip", row: { id: checklist.id, name: checklistName } });
+      continue;
+    }
+
+    const checklistId = checklist?.id || "(new checklist id)";
+    if (!checklist) {
+      writes.push({
+        table: "checklists",
+        op: "insert",
+        row: { company_id: companyId, name: checklistName, year: new Date().getFullYear() },
+      });
+    } else if (checklist.deleted_at) {
+      writes.push({ table: "checklists", op: "update", row: { id: checklist.id, deleted_at: null } });
+    }
+
+    const rows = devicesArray.map((d) => toDeviceRow(checklistId, d));
+    const plan = checklist
+      ? await previewDeviceSync(db, checklist.id, rows)
+      : { added: rows, changed: [], unchanged: [], removed: [] };
+
+    if (checklist && !(await listDeviceVersions(db, checklist.id)).length && (plan.changed.length + plan.unchanged.length + plan.removed.length)) {
+      writes.push({ table: "device_list_versions", op: "insert", row: { checklist_id: checklist.id, source: "baseline" } });
+    }
+    if (!merge) {
+      plan.removed.forEach((row) => writes.push({ table: "devices", op: "delete", row: { id: row.id } }));
+    }
+    plan.changed.forEach((pair) =>
+      writes.push({ table: "devices", op: "update", row: { id: pair.existing.id, ...pair.incoming } })
+    );
+    [...plan.changed, ...plan.unchanged]
+      .filter((pair) => pair.existing.missing_from_upload_at)
+      .forEach((pair) =>
+        writes.push({ table: "devices", op: "update", row: { id: pair.existing.id, missing_from_upload_at: null } })
+      );
+    plan.added.forEach((row) => writes.push({ table: "devices", op: "insert", row }));
+    if (merge && flagMissing) {
+      plan.removed
+        .filter((row) => !row.missing_from_upload_at)
+        .forEach((row) =>
+          writes.push({ table: "devices", op: "update", row: { id: row.id, missing_from_upload_at: "(now)" } })
+        );
+    }
+    writes.push({
+      table: "device_list_versions",
+      op: "insert",
+      row: {
+        checklist_id: checklistId,
+        source: "upload",
+        devices: `(${plan.added.length + plan.changed.length + plan.unchanged.length + (merge ? plan.removed.length : 0)} device(s))`,
+      },
+    });
+  }
+
+  return writes;
+}
+
+async function handleDryRunClick() {
+  const input = readUploadInput();
+  if (!input) return;
+  const { items, existingMode, flagMissing, validation } = input;
+  const output = $("#dry-run-output");
+  const panel = $("#dry-run-panel");
+
+  if (validation.errorCount) {
+    output.innerHTML = `<p class="font-sans text-red-600 dark:text-red-400">Fix the ${validation.errorCount} validation error(s) first.</p>`;
+    panel.classList.remove("hidden");
+    return;
+  }
+
+  output.innerHTML = '<p class="font-sans text-slate-500 dark:text-slate-400">Working out the writes...</p>';
+  panel.classList.remove("hidden");
+
+  try {
+    const writes = await planUploadWrites(items, existingMode, { flagMissing });
+    const counts = writes.reduce((acc, write) => {
+      const key = `${write.op} ${write.table}`;
+      acc[key] = (acc[key] || 0) + 1;
+      return acc;
+    }, {});
+    output.innerHTML = `
+      <p class="font-sans mb-2">
+        Mode: ${escapeHTML(existingMode)}${flagMissing ? " (flag missing)" : ""} ·
+        ${Object.entries(counts).map(([key, count]) => `${count} × ${escapeHTML(key)}`).join(" · ") || "no writes"}
+      </p>
+      <ol class="space-y-0.5">
+        ${writes
+          .map(
+            (write) =>
+              `<li><span class="font-semibold">${write.op.toUpperCase()}</span> ${write.table} ` +
+              `<span class="text-slate-500 dark:text-slate-400">${escapeHTML(JSON.stringify(write.row))}</span></li>`
+          )
+          .join("")}
+      </ol>
+    `;
+    appendLog(`Dry run: ${writes.length} write(s) planned, nothing written.`, "info");
+  } catch (err) {
+    console.error("Dry run failed:", err);
+    output.innerHTML = `<p class="font-sans text-red-600 dark:text-red-400">Dry run failed: ${escapeHTML(err.message || String(err))}</p>`;
   }
 }
 
@@ -390,26 +1271,119 @@ function loadSampleJSON() {
   appendLog("Loaded sample JSON into textarea.", "info");
 }
 
-async function handleUploadClick() {
-  const raw = $("#checklist-json").value.trim();
-  const existingMode = $("#existing-mode").value || "replace";
+// --- Spreadsheet import (CSV/XLSX → checklist JSON in the textarea) ---
 
-  if (!raw) {
-    showToast("Paste a checklist JSON first.", "error");
-    return;
-  }
+let pendingSpreadsheet = null;
+
+function hideSpreadsheetPanel() {
+  pendingSpreadsheet = null;
+  $("#spreadsheet-import-panel")?.classList.add("hidden");
+}
+
+async function handleSpreadsheetFile(event) {
+  const input = event.target;
+  const file = input.files && input.files[0];
+  input.value = "";
+  if (!file) return;
 
   let parsed;
   try {
-    parsed = JSON.parse(raw);
+    parsed = await parseDeviceFile(file);
   } catch (err) {
-    showToast("Invalid JSON. Check the console/log for details.", "error");
-    appendLog(`JSON parse error: ${err.message}`, "error");
+    appendLog(`Spreadsheet import failed: ${err.message || String(err)}`, "error");
+    showToast("Could not read that file. See log.", "error");
     return;
   }
 
-  const isArray = Array.isArray(parsed);
-  const items = isArray ? parsed : [parsed];
+  if (parsed.kind !== "table" || parsed.rows.length === 0) {
+    appendLog(`No rows found in ${file.name}.`, "error");
+    showToast("No rows found in that file.", "error");
+    return;
+  }
+
+  const mapping = detectColumnMapping(parsed.headers);
+  pendingSpreadsheet = { fileName: file.name, rows: parsed.rows, mapping };
+
+  $("#spreadsheet-file-name").textContent = file.name;
+  $("#spreadsheet-mapping").innerHTML = mapping.preset
+    ? `<p class="text-xs text-slate-600 dark:text-slate-300">Recognised an EST3 device report (${parsed.rows.length} rows); no column mapping needed.</p>`
+    : renderColumnMappingFields(parsed.headers, mapping);
+  $("#spreadsheet-import-panel").classList.remove("hidden");
+
+  appendLog(
+    `Read ${parsed.rows.length} row(s) from ${file.name}. Columns: ${parsed.headers.join(", ")}`,
+    "info"
+  );
+}
+
+function applySpreadsheetToJSON() {
+  if (!pendingSpreadsheet) return;
+
+  const companyName = $("#spreadsheet-company-name").value.trim();
+  const checklistName = $("#spreadsheet-checklist-name").value.trim();
+  if (!companyName) {
+    showToast("Enter the building / company name first.", "error");
+    return;
+  }
+
+  const mapping = pendingSpreadsheet.mapping.preset
+    ? pendingSpreadsheet.mapping
+    : readColumnMapping($("#spreadsheet-mapping"));
+  if (!mapping.preset && (!mapping.loop || !mapping.address)) {
+    showToast("Map both the loop and address columns.", "error");
+    return;
+  }
+
+  const devices = mapRowsToDevices(pendingSpreadsheet.rows, mapping).map((d) => ({
+    loop: d.loop,
+    address: d.address,
+    model: d.model,
+    deviceType: d.deviceType,
+    serialNumber: d.serialNumber,
+    messages: d.messages,
+  }));
+
+  const checklist = {
+    key: companyName.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, ""),
+    name: companyName,
+    location: checklistName || "Fire Alarm Device Inspection",
+    devices,
+  };
+
+  $("#checklist-json").value = JSON.stringify(checklist, null, 2);
+  appendLog(
+    `Converted ${devices.length} device(s) from ${pendingSpreadsheet.fileName} into checklist JSON. Review, then upload.`,
+    "success"
+  );
+  hideSpreadsheetPanel();
+}
+
+async function handleUploadClick() {
+  const existingMode = $("#existing-mode").value || "replace";
+  if (!requirePermission("upload-checklists", "upload checklists")) return;
+  if (existingMode !== "skip" && !requirePermission("replace-devices", "change existing device lists")) return;
+
+  const input = readUploadInput();
+  if (!input) return;
+  const { items, flagMissing, validation } = input;
+
+  if (validation.errorCount) {
+    hideUploadPreview();
+    showToast(`Fix ${validation.errorCount} validation error(s) before uploading.`, "error");
+    appendLog(`Upload blocked: ${validation.errorCount} validation error(s).`, "error");
+    return;
+  }
+
+  // Nothing is written until the diff preview is confirmed
+  await showUploadPreview(items, existingMode, { flagMissing });
+}
+
+async function applyPendingUpload() {
+  if (!pendingUpload) return;
+  const { items, existingMode, flagMissing } = pendingUpload;
+  hideUploadPreview();
+
+  if (!requirePermission("upload-checklists", "upload checklists")) return;
 
   appendLog(
     `Starting upload of ${items.length} checklist(s). Mode: ${existingMode}`,
@@ -419,19 +1393,24 @@ async function handleUploadClick() {
 
   let successCount = 0;
   let failCount = 0;
+  const report = [];
 
   for (let i = 0; i < items.length; i++) {
     const c = items[i];
+    const label = c && typeof c === "object" ? c.location || c.name || c.key || `Checklist ${i + 1}` : `Checklist ${i + 1}`;
     try {
       appendLog(`--- Checklist ${i + 1}/${items.length} ---`, "info");
-      await upsertChecklistFromObject(c, existingMode);
+      const result = await upsertChecklistFromObject(c, existingMode, { flagMissing });
       successCount++;
+      report.push({ label, ok: true, detail: describeUploadResult(result) });
     } catch (err) {
       failCount++;
+      // The upload runs in one transaction, so a failed checklist is left exactly as it was
       appendLog(
-        `Error on checklist ${i + 1}: ${err.message || String(err)}`,
+        `Error on checklist ${i + 1}: ${err.message || String(err)} (nothing was changed for this checklist)`,
         "error"
       );
+      report.push({ label, ok: false, detail: err.message || String(err) });
     }
   }
 
@@ -439,6 +1418,9 @@ async function handleUploadClick() {
     `Upload complete. Success: ${successCount}, Failed: ${failCount}.`,
     failCount === 0 ? "success" : "error"
   );
+  report.forEach(({ label, ok, detail }) =>
+    appendLog(`${ok ? "✓" : "✗"} ${label}: ${detail}`, ok ? "success" : "error")
+  );
 
   if (failCount === 0) {
     showToast(`Upload complete: ${successCount} checklist(s) updated.`, "success");
@@ -451,18 +1433,51 @@ async function handleUploadClick() {
 
   // Refresh list after upload
   await fetchExistingChecklists();
+  if (versionsChecklist) await renderVersions();
 }
 
 // --- init ---
 
+let listRefresh = null;
+
+// Sign-in restore and the inspector-changed event both ask for this at startup; run it once.
+function refreshChecklistLists() {
+  if (!listRefresh) {
+    listRefresh = (async () => {
+      await purgeExpiredChecklists();
+      await Promise.all([fetchExistingChecklists(), fetchTrashedChecklists(), fetchPendingDevices()]);
+    })().finally(() => {
+      listRefresh = null;
+    });
+  }
+  return listRefresh;
+}
+
 window.addEventListener("DOMContentLoaded", () => {
   const uploadBtn = $("#upload-btn");
   const sampleBtn = $("#load-sample-btn");
   const clearLogBtn = $("#clear-log-btn");
   const refreshChecklistsBtn = $("#refresh-checklists-btn");
   const checklistListEl = $("#checklist-list");
+  const importSpreadsheetBtn = $("#import-spreadsheet-btn");
+  const spreadsheetInput = $("#spreadsheet-file-input");
+
+  if (importSpreadsheetBtn && spreadsheetInput) {
+    importSpreadsheetBtn.addEventListener("click", () => spreadsheetInput.click());
+    spreadsheetInput.addEventListener("change", handleSpreadsheetFile);
+  }
+  $("#spreadsheet-apply-btn")?.addEventListener("click", () => applySpreadsheetToJSON());
+  $("#spreadsheet-cancel-btn")?.addEventListener("click", () => hideSpreadsheetPanel());
 
   if (uploadBtn) uploadBtn.addEventListener("click", () => handleUploadClick());
+  $("#dry-run-btn")?.addEventListener("click", () => handleDryRunClick());
+  $("#dry-run-close-btn")?.addEventListener("click", () => $("#dry-run-panel").classList.add("hidden"));
+  $("#upload-preview-apply-btn")?.addEventListener("click", () => applyPendingUpload());
+  $("#upload-preview-cancel-btn")?.addEventListener("click", () => hideUploadPreview());
+  $("#existing-mode")?.addEventListener("change", (e) => {
+    delete e.target.dataset.forcedSkip;
+    updateMergeOptions();
+  });
   if (sampleBtn) sampleBtn.addEventListener("click", () => loadSampleJSON());
   if (clearLogBtn)
     clearLogBtn.addEventListener("click", () => {
@@ -470,20 +1485,77 @@ window.addEventListener("DOMContentLoaded", () => {
       if (log) log.innerHTML = "";
     });
   if (refreshChecklistsBtn)
-    refreshChecklistsBtn.addEventListener("click", () => fetchExistingChecklists());
+    refreshChecklistsBtn.addEventListener("click", () =>
+      Promise.all([fetchExistingChecklists(), fetchTrashedChecklists(), fetchPendingDevices()])
+    );
 
   if (checklistListEl) {
     checklistListEl.addEventListener("click", (e) => {
-      const btn = e.target.closest("button[data-checklist-id]");
+      const btn = e.target.closest("button[data-list-action]");
       if (!btn) return;
       const checklistId = btn.dataset.checklistId;
-      const companyId = btn.dataset.companyId;
       const companyName = btn.dataset.companyName || "";
       const checklistName = btn.dataset.checklistName || "";
-      deleteChecklistAndDevices(checklistId, companyId, companyName, checklistName);
+      if (btn.dataset.listAction === "versions") openVersions(checklistId, checklistName);
+      else moveChecklistToTrash(checklistId, companyName, checklistName);
     });
   }
 
+  $("#versions-close-btn")?.addEventListener("click", () => closeVersions());
+  $("#versions-section")?.addEventListener("click", (e) => {
+    const preview = e.target.closest("[data-rollback-version]");
+    if (preview) {
+      previewRollback(preview.dataset.rollbackVersion);
+      return;
+    }
+    const apply = e.target.closest("[data-rollback-apply]");
+    if (apply) {
+      applyRollback(apply.dataset.rollbackApply);
+      return;
+    }
+    if (e.target.closest("[data-rollback-cancel]")) $("#rollback-preview").classList.add("hidden");
+  });
+
+  $("#trash-list")?.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-trash-action]");
+    if (!btn) return;
+    const { checklistId, checklistName = "" } = btn.dataset;
+    if (btn.dataset.trashAction === "restore") restoreChecklist(checklistId, checklistName);
+    else purgeChecklistNow(checklistId, checklistName);
+  });
+  $("#review-list")?.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-review-action]");
+    if (!btn) return;
+    const { deviceId, deviceLabel = "" } = btn.dataset;
+    if (btn.dataset.reviewAction === "approve") approveDevice(deviceId, deviceLabel);
+    else rejectDevice(deviceId, deviceLabel);
+  });
+  $("#trash-retention-form")?.addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveTrashRetentionDays();
+  });
+
+  const authEl = $("#admin-auth");
+  if (authEl) {
+    authEl.addEventListener("submit", (e) => {
+      e.preventDefault();
+      handleAdminSignIn(e.target);
+    });
+    authEl.addEventListener("click", (e) => {
+      if (!e.target.closest('[data-auth-action="sign-out"]')) return;
+      signOut().catch((err) => showToast(`Sign-out failed: ${err.message || String(err)}`, "error"));
+    });
+  }
+
+  document.addEventListener("inspector-changed", () => {
+    applyPermissions();
+    refreshChecklistLists();
+  });
+
+  applyPermissions();
   appendLog("Admin upload page ready.", "info");
-  fetchExistingChecklists();
+  initAuth().finally(() => {
+    applyPermissions();
+    refreshChecklistLists();
+  });
 });
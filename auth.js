@@ -0,0 +1,123 @@
+// auth.js (ES module)
+// Inspector sign-in with Supabase Auth (email + password or magic link) and
+// the user's role from public.user_roles. The signed-in inspector is attached
+// to every device_progress change; pages listen for the `inspector-changed`
+// document event to refresh what they show.
+
+const db = window.supabaseClient;
+
+export const ROLES = ['admin', 'lead', 'technician', 'customer'];
+
+// What each role may do in the UI. The database enforces the same rules with
+// row-level security (supabase/migrations/*_roles.sql); this only hides
+// controls that would fail anyway.
+const ROLE_PERMISSIONS = {
+    admin: ['record-progress', 'manage-sessions', 'upload-checklists', 'replace-devices', 'delete-checklists', 'review-devices'],
+    lead: ['record-progress', 'manage-sessions', 'upload-checklists', 'replace-devices'],
+    technician: ['record-progress'],
+    customer: [],
+};
+
+let currentInspector = null;
+
+// Supabase reads that sw.js keeps for offline use (its DATA_CACHE). They were
+// fetched with the signed-in user's token, so they go when the user does.
+const OFFLINE_DATA_CACHE = 'omni-data-v1';
+
+async function clearOfflineData() {
+    if (!('caches' in window)) return;
+    try {
+        await caches.delete(OFFLINE_DATA_CACHE);
+    } catch (err) {
+        console.warn('Could not clear cached data:', err);
+    }
+}
+
+function toInspector(user, role) {
+    const meta = user.user_metadata || {};
+    const email = user.email || '';
+    return {
+        id: user.id,
+        email,
+        name: meta.full_name || meta.name || email.split('@')[0] || 'Inspector',
+        role,
+    };
+}
+
+async function fetchRole(userId) {
+    try {
+        const { data, error } = await db
+            .from('user_roles')
+            .select('role')
+            .eq('user_id', userId)
+            .maybeSingle();
+        if (error) throw error;
+        return data?.role || null;
+    } catch (err) {
+        console.warn('Could not load user role:', err);
+        return null;
+    }
+}
+
+async function setInspector(user) {
+    const next = user ? toInspector(user, await fetchRole(user.id)) : null;
+    if (next?.id === currentInspector?.id && next?.name === currentInspector?.name && next?.role === currentInspector?.role) {
+        return;
+    }
+    // Signed out or switched user (in this tab or another one)
+    if (currentInspector && next?.id !== currentInspector.id) await clearOfflineData();
+    currentInspector = next;
+    document.dispatchEvent(new CustomEvent('inspector-changed', { detail: { inspector: currentInspector } }));
+}
+
+export function getInspector() {
+    return currentInspector;
+}
+
+/**
+ * True when the signed-in user's role grants `permission`
+ * (see ROLE_PERMISSIONS). Signed-out users have no permissions.
+ */
+export function can(permission) {
+    const role = currentInspector?.role;
+    return !!role && (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Restores an existing session (including one returned by a magic link) and
+ * keeps the inspector in sync with later sign-ins and sign-outs.
+ */
+export async function initAuth() {
+    if (!db?.auth) return null;
+    db.auth.onAuthStateChange((_event, session) => {
+        // Querying Supabase inside this callback can deadlock the auth client, so defer it
+        setTimeout(() => setInspector(session?.user || null), 0);
+    });
+    try {
+        const { data, error } = await db.auth.getSession();
+        if (error) throw error;
+        await setInspector(data.session?.user || null);
+    } catch (err) {
+        console.warn('Could not restore sign-in:', err);
+    }
+    return currentInspector;
+}
+
+export async function signInWithPassword(email, password) {
+    const { data, error } = await db.auth.signInWithPassword({ email, password });
+    if (error) throw error;
+    await setInspector(data.user);
+    return currentInspector;
+}
+
+export async function sendMagicLink(email) {
+    const redirectTo = window.location.origin + window.location.pathname;
+    const { error } = await db.auth.signInWithOtp({ email, options: { emailRedirectTo: redirectTo } });
+    if (error) throw error;
+}
+
+export async function signOut() {
+    const { error } = await db.auth.signOut();
+    if (error) throw error;
+    await setInspector(null);
+}
@@ -0,0 +1,61 @@
+// checklist-upload.js (ES module)
+// Uploads one checklist through the upload_checklist database function
+// (supabase/migrations/*_upload_checklist.sql). Company, checklist, device sync
+// and version snapshot are written in a single transaction: when anything
+// fails, nothing of that checklist is changed.
+
+import { toDeviceRow } from './device-identity.js';
+
+/**
+ * Uploads a checklist's devices (checklists.js / import format).
+ *
+ * @param {object} client  Supabase client
+ * @param {object} upload
+ * @param {string} upload.companyName
+ * @param {string} upload.checklistName
+ * @param {Array}  upload.devices
+ * @param {string} [upload.mode]  'replace' | 'merge' | 'skip' (for existing checklists)
+ * @param {boolean} [upload.flagMissing]  merge only: flag devices left out of the payload
+ * @param {string} [upload.source]  device_list_versions.source
+ * @param {string} [upload.createdByName]  service-role callers only; signed-in users
+ *   are credited from their session
+ * @returns {Promise<object>} { company_id, checklist_id, created, restored, skipped,
+ *   trashed (skip only), added, changed, unchanged, removed, missing (merge), flagged, version }
+ */
+export async function uploadChecklist(client, {
+    companyName,
+    checklistName,
+    devices = [],
+    mode = 'replace',
+    flagMissing = false,
+    source = 'upload',
+    createdByName = null,
+}) {
+    const deviceRows = devices.map(device => {
+        const { checklist_id: _checklistId, ...row } = toDeviceRow(null, device);
+        return row;
+    });
+
+    const { data, error } = await client.rpc('upload_checklist', {
+        company_name: companyName,
+        checklist_name: checklistName,
+        device_rows: deviceRows,
+        existing_mode: mode,
+        flag_missing: flagMissing,
+        upload_source: source,
+        actor_name: createdByName,
+    });
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * One-line description of an uploadChecklist() result's device changes.
+ */
+export function describeUploadResult(result) {
+    if (result.skipped) return result.trashed ? 'in the Trash, skipped' : 'already exists, skipped';
+    const leftOut = result.missing === undefined
+        ? `${result.removed} removed`
+        : `${result.missing} not in payload (kept${result.flagged ? `, ${result.flagged} newly flagged` : ''})`;
+    return `${result.added} added, ${result.changed} updated, ${result.unchanged} unchanged, ${leftOut}; version ${result.version}`;
+}
@@ -0,0 +1,172 @@
+// checklist-validation.js (ES module)
+// Checks pasted checklist JSON (the checklists.js format) before it is
+// uploaded. Errors block the upload; warnings are shown but allowed. Values
+// that toDeviceRow() would quietly turn into null (e.g. loop "1A") are errors
+// here, so they are fixed in the source instead of lost.
+
+import { normalizeSerial } from './device-identity.js';
+
+export const LOOP_RANGE = { min: 1, max: 99 };
+export const ADDRESS_RANGE = { min: 1, max: 999 };
+
+// Device models seen on our EST3 (SIGA) and Notifier panels, normalized with
+// normalizeModel(). Anything else gets a warning, usually a typo.
+export const KNOWN_MODELS = new Set([
+    // EST3 / SIGA
+    'SIGA-OSD', 'SIGA-PS', 'SIGA2-PS', 'SIGA-SD', 'SIGA-HRD', 'SIGA-HFD', 'SIGA-IPHS', 'SIGA-OSHR',
+    'SIGA-CR', 'SIGA-CRR', 'SIGA-CRH', 'SIGA-CT1', 'SIGA-CT2', 'SIGA-CC1', 'SIGA-CC1S', 'SIGA-CC2',
+    'SIGA-MCC1', 'SIGA-MCC1S', 'SIGA-MCT2', 'SIGA-RM1', 'SIGA-IM', 'SIGA-UM', 'SIGA-MAB', 'SIGA-278',
+    'SIGA-270', 'SIGA-AA30', 'SIGA-AA50', 'SIGA-TCDR', 'SIGA-LED', 'GENESIS', 'LCD C',
+    // Short forms used on older EST lists
+    'PS', 'SD', 'HRS', 'HFS', 'CR', 'CRR', 'CT1', 'CT2', 'CC1S', 'RM1', 'IM', '278',
+    // Notifier
+    'FSP-851', 'FSP-951', 'FST-851', 'FST-951', 'FSI-851', 'FCO-851', 'FAPT-851', 'FSD-751',
+    'FMM-1', 'FMM-101', 'FDM-1', 'FCM-1', 'FRM-1', 'FZM-1', 'NBG-12LX', 'FDRM-1',
+]);
+
+/**
+ * Model code without channel/circuit suffixes ("SIGA-CT2 ( Circuit 1 )" ->
+ * "SIGA-CT2"), upper-cased.
+ */
+export function normalizeModel(model) {
+    return String(model ?? '')
+        .replace(/\(\s*(channel|circuit)\s*\d+\s*\)/i, '')
+        .trim()
+        .toUpperCase();
+}
+
+function isBlank(value) {
+    if (value === undefined || value === null) return true;
+    const trimmed = String(value).trim();
+    return trimmed === '' || trimmed.toUpperCase() === 'N/A';
+}
+
+// Whole number, or NaN when the value is present but not one.
+function parseWholeNumber(value) {
+    if (typeof value === 'number') return Number.isInteger(value) ? value : NaN;
+    const trimmed = String(value).trim();
+    return /^\d+$/.test(trimmed) ? parseInt(trimmed, 10) : NaN;
+}
+
+function checkRange(value, field, label, range, report) {
+    if (isBlank(value)) {
+        report('warning', field, `No ${label}; the device can only be matched by serial number.`);
+        return null;
+    }
+    const parsed = parseWholeNumber(value);
+    if (Number.isNaN(parsed)) {
+        report('error', field, `${label[0].toUpperCase()}${label.slice(1)} "${value}" is not a whole number.`);
+        return null;
+    }
+    if (parsed < range.min || parsed > range.max) {
+        report('error', field, `${label[0].toUpperCase()}${label.slice(1)} ${parsed} is outside ${range.min}–${range.max}.`);
+        return null;
+    }
+    return parsed;
+}
+
+function validateDevices(devices, addIssue) {
+    const byLoopAddress = new Map();
+    const bySerial = new Map();
+
+    devices.forEach((device, index) => {
+        const report = (severity, field, message) => addIssue({ row: index, device, severity, field, message });
+
+        if (!device || typeof device !== 'object' || Array.isArray(device)) {
+            report('error', null, 'Device must be an object.');
+            return;
+        }
+
+        const loop = checkRange(device.loop, 'loop', 'loop', LOOP_RANGE, report);
+        const address = checkRange(device.address, 'address', 'address', ADDRESS_RANGE, report);
+        if (loop !== null && address !== null) {
+            const key = `${loop}:${address}`;
+            if (byLoopAddress.has(key)) {
+                report('error', 'address', `Loop ${loop} / address ${address} is also used by row ${byLoopAddress.get(key) + 1}.`);
+            } else {
+                byLoopAddress.set(key, index);
+            }
+        }
+
+        const serial = normalizeSerial(device.serialNumber);
+        if (serial) {
+            if (bySerial.has(serial)) {
+                report('warning', 'serialNumber', `Serial ${device.serialNumber} is also used by row ${bySerial.get(serial) + 1}; neither can be matched by serial.`);
+            } else {
+                bySerial.set(serial, index);
+            }
+        }
+
+        if (isBlank(device.deviceType)) {
+            report('warning', 'deviceType', 'Device type is empty.');
+        }
+
+        if (isBlank(device.model)) {
+            report('warning', 'model', 'Model is empty.');
+        } else if (!KNOWN_MODELS.has(normalizeModel(device.model))) {
+            report('warning', 'model', `Unknown model "${device.model}".`);
+        }
+
+        if (isBlank(device.messages)) {
+            report('warning', 'messages', 'Location text (messages) is empty.');
+        }
+    });
+}
+
+/**
+ * Validates one or more checklist objects.
+ *
+ * @param {Array} items  parsed JSON (a single object should be wrapped)
+ * @returns {{ issues: Array, errorCount: number, warningCount: number }}
+ *   issues are { checklist, checklistName, row, device, severity, field, message };
+ *   `row` is the device index (null for checklist-level issues)
+ */
+export function validateChecklistObjects(items) {
+    const issues = [];
+    const seenChecklists = new Map();
+
+    items.forEach((item, checklist) => {
+        const checklistName = item && typeof item === 'object'
+            ? [item.name || item.key, item.location].filter(Boolean).join(' · ')
+            : '';
+        const addIssue = (issue) => issues.push({ checklist, checklistName, row: null, device: null, field: null, ...issue });
+
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            addIssue({ severity: 'error', message: 'Checklist must be an object.' });
+            return;
+        }
+        if (isBlank(item.name) && isBlank(item.key)) {
+            addIssue({ severity: 'error', field: 'name', message: "Missing 'name' (or 'key')." });
+        }
+        if (isBlank(item.location)) {
+            addIssue({ severity: 'warning', field: 'location', message: "No 'location'; the company name is used as the checklist name." });
+        }
+
+        const identity = `${item.name || item.key}::${item.location || item.name || item.key}`;
+        if (seenChecklists.has(identity)) {
+            addIssue({ severity: 'error', message: `Same company and checklist as checklist ${seenChecklists.get(identity) + 1}.` });
+        } else {
+            seenChecklists.set(identity, checklist);
+        }
+
+        if (item.devices === undefined) {
+            addIssue({ severity: 'warning', field: 'devices', message: "No 'devices' array; the checklist would have no devices." });
+            return;
+        }
+        if (!Array.isArray(item.devices)) {
+            addIssue({ severity: 'error', field: 'devices', message: "'devices' must be an array." });
+            return;
+        }
+        if (item.devices.length === 0) {
+            addIssue({ severity: 'warning', field: 'devices', message: 'The device list is empty.' });
+        }
+
+        validateDevices(item.devices, addIssue);
+    });
+
+    return {
+        issues,
+        errorCount: issues.filter(issue => issue.severity === 'error').length,
+        warningCount: issues.filter(issue => issue.severity === 'warning').length,
+    };
+}
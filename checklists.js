@@ -1,4 +1,7 @@
 // checklists.js
+// Source data for scripts/sync-checklists.mjs (the default input) and
+// supabase/seed.sql. The app no longer loads this file; checklists live in
+// Supabase.
 export const CHECKLISTS = [
    {
     key: "mcfarland_psc",
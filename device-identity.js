@@ -0,0 +1,127 @@
+// device-identity.js (ES module)
+// Stable device identity. device_progress.device_uid (and device_attachments)
+// reference the devices row id. Re-uploads keep those ids by matching incoming
+// devices against the existing rows on serial number, then on loop + address,
+// so fixing a typo in the location text no longer orphans a device's history.
+
+export const DEVICE_ROW_FIELDS = ['loop', 'address', 'model', 'device_type', 'serial_number', 'messages'];
+
+function toIntOrNull(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    const trimmed = String(value).trim();
+    if (!trimmed || trimmed.toUpperCase() === 'N/A') return null;
+    const parsed = parseInt(trimmed, 10);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function emptyToNull(value) {
+    if (value === undefined || value === null) return null;
+    const trimmed = String(value).trim();
+    return trimmed === '' ? null : trimmed;
+}
+
+/**
+ * Device in checklists.js / import format -> devices table row.
+ */
+export function toDeviceRow(checklistId, device) {
+    return {
+        checklist_id: checklistId,
+        loop: toIntOrNull(device.loop),
+        address: toIntOrNull(device.address),
+        model: emptyToNull(device.model),
+        device_type: emptyToNull(device.deviceType),
+        serial_number: emptyToNull(device.serialNumber),
+        messages: emptyToNull(device.messages),
+    };
+}
+
+export function normalizeSerial(serial) {
+    const value = String(serial ?? '').replace(/\s+/g, '').toUpperCase();
+    return value === '' || value === 'N/A' || /^0+$/.test(value) ? '' : value;
+}
+
+function loopAddressKey(row) {
+    return row.loop === null || row.loop === undefined || row.address === null || row.address === undefined
+        ? ''
+        : `${row.loop}:${row.address}`;
+}
+
+/**
+ * Normalized identity of a devices row: "sn:<serial>" when it has a serial,
+ * otherwise "la:<loop>:<address>". Empty when neither is known.
+ */
+export function deviceIdentityKey(row) {
+    const serial = normalizeSerial(row.serial_number);
+    if (serial) return `sn:${serial}`;
+    const la = loopAddressKey(row);
+    return la ? `la:${la}` : '';
+}
+
+/**
+ * The device_uid used before devices were identified by row id. Needed to
+ * map old device_progress rows, saved local state and share links.
+ * `device` is in workspace format (serialNumber, loop, address, messages).
+ */
+export function legacyDeviceUid(checklistId, device) {
+    return `${checklistId}-${device.serialNumber ?? ''}-${device.loop ?? ''}-${device.address ?? ''}-${device.messages ?? ''}`;
+}
+
+export function changedDeviceFields(existing, incoming) {
+    return DEVICE_ROW_FIELDS.filter(field => (existing[field] ?? null) !== (incoming[field] ?? null));
+}
+
+// Keys that occur exactly once, so they can be matched unambiguously.
+function uniqueIndex(rows, keyFn) {
+    const index = new Map();
+    const duplicates = new Set();
+    rows.forEach(row => {
+        const key = keyFn(row);
+        if (!key) return;
+        if (index.has(key)) duplicates.add(key);
+        else index.set(key, row);
+    });
+    duplicates.forEach(key => index.delete(key));
+    return index;
+}
+
+/**
+ * Matches incoming device rows against the rows already stored for a checklist.
+ * Serial numbers are tried first, then loop + address for what is left.
+ * Unmatched field-added devices still pending review are not in `removed`:
+ * uploads keep them (see sync_checklist_devices()).
+ *
+ * @param {Array} existingRows  devices rows (with id)
+ * @param {Array} incomingRows  rows from toDeviceRow()
+ * @returns {{ unchanged: Array, changed: Array, added: Array, removed: Array }}
+ *   unchanged/changed entries are { existing, incoming, fields }
+ */
+export function planDeviceSync(existingRows, incomingRows) {
+    const pairs = [];
+    const matchedExisting = new Set();
+    const matchedIncoming = new Set();
+
+    const matchBy = (keyFn) => {
+        const existingIndex = uniqueIndex(existingRows.filter(row => !matchedExisting.has(row)), keyFn);
+        const incomingIndex = uniqueIndex(incomingRows.filter(row => !matchedIncoming.has(row)), keyFn);
+        incomingIndex.forEach((incoming, key) => {
+            const existing = existingIndex.get(key);
+            if (!existing) return;
+            matchedExisting.add(existing);
+            matchedIncoming.add(incoming);
+            pairs.push({ existing, incoming, fields: changedDeviceFields(existing, incoming) });
+        });
+    };
+
+    matchBy(row => normalizeSerial(row.serial_number));
+    matchBy(loopAddressKey);
+
+    return {
+        unchanged: pairs.filter(pair => pair.fields.length === 0),
+        changed: pairs.filter(pair => pair.fields.length > 0),
+        added: incomingRows.filter(row => !matchedIncoming.has(row)),
+        removed: existingRows.filter(row => !matchedExisting.has(row) && row.review_status !== 'pending'),
+    };
+}
@@ -0,0 +1,214 @@
+// device-import.js (ES module)
+// Spreadsheet / JSON device-list import shared by the workspace (app.js) and
+// the admin upload page. XLSX parsing uses the SheetJS global (`XLSX`) loaded
+// from the CDN by each page; CSV is parsed here so it works without it.
+
+import { escapeHTML } from './text-utils.js';
+
+export const DEVICE_FIELDS = [
+    { key: 'loop', label: 'Loop', aliases: ['loop', 'loop #', 'loop number', 'sld', 'card'] },
+    { key: 'address', label: 'Address', aliases: ['address', 'addr', 'device', 'device address', 'point'] },
+    { key: 'model', label: 'Model', aliases: ['model', 'sku', 'part number', 'part', 'device model'] },
+    { key: 'deviceType', label: 'Device Type', aliases: ['device type', 'devicetype', 'type', 'sku description', 'description'] },
+    { key: 'serialNumber', label: 'Serial Number', aliases: ['serial number', 'serialnumber', 'serial', 'serial #', 'sn', 'device id'] },
+    { key: 'messages', label: 'Location / Message', aliases: ['messages', 'message', 'location', 'location text', 'label', 'custom label', 'description text'] },
+];
+
+// Column that identifies an EST3 / 3-SDU device report; normalizeDevice splits it.
+const EST3_ADDRESS_COLUMN = 'System Address ( Node : Card : Device )';
+
+/**
+ * Normalizes device data from different sources into a consistent format.
+ * Handles the EST3 export columns as well as the checklists.js field names.
+ */
+export function normalizeDevice(device) {
+    const isExcelFormat = device.hasOwnProperty(EST3_ADDRESS_COLUMN);
+    if (isExcelFormat) {
+        const systemAddress = device[EST3_ADDRESS_COLUMN] || 'N/A:N/A:N/A';
+        const addressParts = String(systemAddress).split(':');
+        return {
+            loop: addressParts[1] || '',
+            address: addressParts[2] || '',
+            systemAddress,
+            model: device['SKU'] || '',
+            deviceType: device['SKU Description'] || '',
+            deviceTypeID: '',
+            serialNumber: device['Serial Number'] || '',
+            messages: device['Location Text'] || '',
+        };
+    }
+
+    return {
+        loop: device.loop ?? '',
+        address: device.address ?? '',
+        systemAddress: device.systemAddress ?? '',
+        model: device.model ?? '',
+        deviceType: device.deviceType ?? '',
+        deviceTypeID: device.deviceTypeID ?? '',
+        serialNumber: device.serialNumber ?? '',
+        messages: device.messages ?? '',
+    };
+}
+
+function normalizeHeader(header) {
+    return String(header || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, escaped quotes, CRLF/LF.
+ * Returns an array of string arrays.
+ */
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => String(cell).trim() !== ''));
+}
+
+function tableToObjects(table) {
+    const [headerRow = [], ...body] = table;
+    const headers = headerRow.map(h => String(h ?? '').trim());
+    const rows = body.map(cells => {
+        const obj = {};
+        headers.forEach((header, i) => {
+            if (header) obj[header] = cells[i] ?? '';
+        });
+        return obj;
+    });
+    return { headers: headers.filter(Boolean), rows };
+}
+
+/**
+ * Reads a .csv, .xlsx/.xls or .json file.
+ * Spreadsheets resolve to { kind: 'table', headers, rows } (rows keyed by header);
+ * JSON resolves to { kind: 'json', devices } (array of devices or checklist.devices).
+ */
+export async function parseDeviceFile(file) {
+    const name = (file.name || '').toLowerCase();
+
+    if (name.endsWith('.json')) {
+        const parsed = JSON.parse(await file.text());
+        const devices = Array.isArray(parsed) ? parsed : parsed?.devices;
+        if (!Array.isArray(devices)) {
+            throw new Error('Expected an array of devices or an object with a "devices" array.');
+        }
+        return { kind: 'json', devices };
+    }
+
+    if (name.endsWith('.csv')) {
+        return { kind: 'table', ...tableToObjects(parseCSV(await file.text())) };
+    }
+
+    if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+        if (!window.XLSX) throw new Error('Spreadsheet support failed to load. Check your connection and reload.');
+        const workbook = window.XLSX.read(await file.arrayBuffer(), { type: 'array' });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        if (!sheet) throw new Error('The workbook has no sheets.');
+        const table = window.XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false });
+        return { kind: 'table', ...tableToObjects(table) };
+    }
+
+    throw new Error('Unsupported file type. Use .csv, .xlsx, .xls or .json.');
+}
+
+/**
+ * Guesses which spreadsheet column feeds each device field.
+ * EST3 reports are recognised as a preset and need no mapping step.
+ */
+export function detectColumnMapping(headers) {
+    if (headers.includes(EST3_ADDRESS_COLUMN)) {
+        return { preset: 'est3' };
+    }
+
+    const mapping = {};
+    const byNormalized = new Map(headers.map(h => [normalizeHeader(h), h]));
+    for (const field of DEVICE_FIELDS) {
+        const match = field.aliases.find(alias => byNormalized.has(alias));
+        mapping[field.key] = match ? byNormalized.get(match) : '';
+    }
+    return mapping;
+}
+
+export function mapRowsToDevices(rows, mapping) {
+    const source = mapping.preset === 'est3'
+        ? rows
+        : rows.map(row => Object.fromEntries(
+            DEVICE_FIELDS.map(field => [field.key, mapping[field.key] ? row[mapping[field.key]] : ''])
+        ));
+
+    return source
+        .map(normalizeDevice)
+        .map(device => ({
+            ...device,
+            model: String(device.model ?? '').trim(),
+            deviceType: String(device.deviceType ?? '').trim(),
+            serialNumber: String(device.serialNumber ?? '').trim(),
+            messages: String(device.messages ?? '').trim(),
+        }))
+        .filter(device => DEVICE_FIELDS.some(field => String(device[field.key] ?? '').trim() !== ''));
+}
+
+/**
+ * HTML for the column-mapping step: one select per device field. Read it back
+ * with readColumnMapping() on the same container.
+ */
+export function renderColumnMappingFields(headers, mapping) {
+    const options = (selected) => [
+        `<option value="">— not in file —</option>`,
+        ...headers.map(h => `<option value="${escapeHTML(h)}" ${h === selected ? 'selected' : ''}>${escapeHTML(h)}</option>`),
+    ].join('');
+
+    return `
+        <div class="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            ${DEVICE_FIELDS.map(field => `
+                <label class="flex flex-col gap-1 text-xs font-medium">
+                    <span>${escapeHTML(field.label)}</span>
+                    <select data-map-field="${field.key}"
+                            class="rounded-md border border-slate-300 dark:border-slate-700 bg-white dark:bg-slate-900 px-2 py-1 text-xs">
+                        ${options(mapping[field.key])}
+                    </select>
+                </label>
+            `).join('')}
+        </div>
+    `;
+}
+
+export function readColumnMapping(container) {
+    const mapping = {};
+    container.querySelectorAll('select[data-map-field]').forEach(select => {
+        mapping[select.dataset.mapField] = select.value;
+    });
+    return mapping;
+}
@@ -0,0 +1,157 @@
+// device-location.js (ES module)
+// Pulls the floor, room and device keyword out of a device's location text
+// (devices.messages), e.g. "SMOKE 2ND FL ROOM 203 CLOSET" -> 2nd floor, room
+// 203, smoke. Buildings that label floors their own way get per-checklist
+// override rules (checklists.location_rules), tried before the built-in
+// patterns.
+
+const ORDINAL_WORDS = ['FIRST', 'SECOND', 'THIRD', 'FOURTH', 'FIFTH', 'SIXTH', 'SEVENTH', 'EIGHTH', 'NINTH', 'TENTH'];
+
+export const NO_FLOOR = { key: '', label: 'No floor', order: 10000 };
+
+// Named levels, used only when the text names no numbered floor: "1ST FL UNIT
+// 115 LOWER LEVEL" is the 1st floor, "11TH FL MECH PENTHOUSE" the 11th.
+const NAMED_FLOORS = [
+    { pattern: /\bSUB[- ]?BASEMENT\b/, key: 'sub-basement', label: 'Sub-basement', order: -2 },
+    { pattern: /\b(?:BASEMENT|BSMT|LOWER (?:LEVEL|LVL))\b/, key: 'basement', label: 'Basement', order: -1 },
+    { pattern: /\bGROUND (?:FLOOR|FLR|FL|LEVEL)\b/, key: 'ground', label: 'Ground floor', order: 0 },
+    { pattern: /\bMEZZ?(?:ANINE)?\b/, key: 'mezzanine', label: 'Mezzanine', order: 1.5 },
+    { pattern: /\bATTIC\b/, key: 'attic', label: 'Attic', order: 997 },
+    { pattern: /\bPENTHOUSE\b/, key: 'penthouse', label: 'Penthouse', order: 998 },
+    { pattern: /\bROOF(?:TOP)?\b/, key: 'roof', label: 'Roof', order: 999 },
+];
+
+const NUMBERED_FLOOR_PATTERNS = [
+    /\b(\d{1,2})(?:ST|ND|RD|TH)?\s*(?:FLOOR|FLR|FL)\b/,
+    /\b(?:FLOOR|FLR|FL|LEVEL|LVL)\s*#?\s*(\d{1,2})\b/,
+    new RegExp(`\\b(${ORDINAL_WORDS.join('|')})\\s+(?:FLOOR|FLR|FL)\\b`),
+];
+
+const ROOM_PATTERN = /\b(?:ROOM|RM|UNIT|SUITE|STE|APT)\s*#?\s*([A-Z]?\d+[A-Z]?(?:-\d+)?)\b|#\s*(\d+[A-Z]?)\b/;
+
+// First match wins, so more specific words come first.
+const KEYWORDS = [
+    [/\bDUCT\b/, 'Duct'],
+    [/\bBEAM\b/, 'Beam'],
+    [/\bSMOKE\b|\bSMK\b/, 'Smoke'],
+    [/\bHEAT\b/, 'Heat'],
+    [/\bCO\b|\bCARBON MONOXIDE\b/, 'CO'],
+    [/\bPULL\b|\bMANUAL STATION\b/, 'Pull station'],
+    [/\bHORN\b|\bSTROBE\b|\bSPEAKER\b|\bBELL\b|\bSOUNDER\b|\bCHIME\b/, 'Notification'],
+    [/\bWATER ?FLOW\b|\bFLOW\b/, 'Waterflow'],
+    [/\bTAMPER\b|\bPIV\b|\bVALVE\b/, 'Tamper'],
+    [/\bRELAY\b/, 'Relay'],
+    [/\bMONITOR\b|\bINPUT\b/, 'Monitor'],
+    [/\bDOOR\b/, 'Door'],
+    [/\bDAMPER\b/, 'Damper'],
+    [/\bELEVATOR\b|\bRECALL\b/, 'Elevator'],
+    [/\bANNUNCIATOR\b|\bLCD\b/, 'Annunciator'],
+];
+
+function ordinalLabel(n) {
+    const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix} floor`;
+}
+
+function numberedFloor(n) {
+    return { key: `floor-${n}`, label: ordinalLabel(n), order: n };
+}
+
+function parseFloor(text) {
+    for (const pattern of NUMBERED_FLOOR_PATTERNS) {
+        const match = text.match(pattern);
+        if (!match) continue;
+        const word = ORDINAL_WORDS.indexOf(match[1]);
+        const n = word >= 0 ? word + 1 : parseInt(match[1], 10);
+        if (n > 0) return numberedFloor(n);
+    }
+
+    const named = NAMED_FLOORS.find(floor => floor.pattern.test(text));
+    return named ? { key: named.key, label: named.label, order: named.order } : null;
+}
+
+function ruleRegExp(pattern) {
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (err) {
+        // Not a valid regular expression: match it as plain text
+        return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+}
+
+// A rule's floor label sorts like the floor it names ("3rd floor"), or after
+// the numbered floors when it is a name of its own ("Loading dock").
+function floorFromLabel(label) {
+    const parsed = parseFloor(label.toUpperCase());
+    if (parsed) return { ...parsed, label };
+    return { key: `custom:${label.toLowerCase()}`, label, order: 500 };
+}
+
+/**
+ * Floor, room and device keyword of a location text.
+ *
+ * @param {string} messages  devices.messages
+ * @param {Array} rules  checklist override rules, [{ pattern, floor }]; the
+ *   first rule whose pattern (a case-insensitive regular expression) matches
+ *   decides the floor
+ * @returns {{ floor: { key, label, order }, room: string, keyword: string }}
+ */
+export function parseDeviceLocation(messages, rules = []) {
+    const text = String(messages ?? '').toUpperCase().replace(/\s+/g, ' ').trim();
+
+    const rule = rules.find(candidate => candidate?.pattern && candidate.floor && ruleRegExp(candidate.pattern).test(text));
+    const floor = rule ? floorFromLabel(rule.floor) : parseFloor(text) || NO_FLOOR;
+
+    const roomMatch = text.match(ROOM_PATTERN);
+    const keyword = KEYWORDS.find(([pattern]) => pattern.test(text));
+
+    return {
+        floor,
+        room: roomMatch ? roomMatch[1] || roomMatch[2] : '',
+        keyword: keyword ? keyword[1] : '',
+    };
+}
+
+/**
+ * Devices grouped by floor, lowest floor first ("No floor" last). Devices keep
+ * their order within a floor. `getFloor(device)` returns the device's floor.
+ */
+export function groupDevicesByFloor(devices, getFloor) {
+    const groups = new Map();
+    devices.forEach(device => {
+        const floor = getFloor(device) || NO_FLOOR;
+        if (!groups.has(floor.key)) groups.set(floor.key, { floor, devices: [] });
+        groups.get(floor.key).devices.push(device);
+    });
+    return [...groups.values()].sort((a, b) =>
+        a.floor.order - b.floor.order || a.floor.label.localeCompare(b.floor.label)
+    );
+}
+
+/**
+ * Rules from the editor text: one `pattern => floor label` per line; blank
+ * lines and lines starting with # are ignored.
+ *
+ * @returns {{ rules: Array, errors: string[] }}
+ */
+export function parseLocationRules(text) {
+    const rules = [];
+    const errors = [];
+    String(text ?? '').split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const separator = trimmed.indexOf('=>');
+        const pattern = separator >= 0 ? trimmed.slice(0, separator).trim() : '';
+        const floor = separator >= 0 ? trimmed.slice(separator + 2).trim() : '';
+        if (!pattern || !floor) {
+            errors.push(`Line ${index + 1}: expected "pattern => floor label".`);
+            return;
+        }
+        rules.push({ pattern, floor });
+    });
+    return { rules, errors };
+}
+
+export function formatLocationRules(rules) {
+    return (rules || []).map(rule => `${rule.pattern} => ${rule.floor}`).join('\n');
+}
@@ -0,0 +1,70 @@
+// device-versions.js (ES module)
+// Device list versions (public.device_list_versions). Each upload or import
+// of a checklist's devices is snapshotted after it is applied, so admins can
+// see what a renovation changed and roll a checklist back to an earlier list.
+// Snapshots keep the devices row ids: rolling back re-adds removed devices
+// under their old id, which reattaches their progress and photos.
+
+import { planDeviceSync } from './device-identity.js';
+
+async function fetchDeviceRows(client, checklistId) {
+    const { data, error } = await client
+        .from('devices')
+        .select('*')
+        .eq('checklist_id', checklistId);
+    if (error) throw error;
+    return data || [];
+}
+
+export async function listDeviceVersions(client, checklistId) {
+    const { data, error } = await client
+        .from('device_list_versions')
+        .select('id, version, source, device_count, summary, rolled_back_to, created_by_name, created_at')
+        .eq('checklist_id', checklistId)
+        .order('version', { ascending: false });
+    if (error) throw error;
+    return data || [];
+}
+
+async function fetchVersion(client, versionId) {
+    const { data, error } = await client
+        .from('device_list_versions')
+        .select('id, checklist_id, version, devices')
+        .eq('id', versionId)
+        .single();
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * The plan an upload of `incomingRows` would apply, without writing anything.
+ */
+export async function previewDeviceSync(client, checklistId, incomingRows) {
+    return planDeviceSync(await fetchDeviceRows(client, checklistId), incomingRows);
+}
+
+/**
+ * What rolling back to `versionId` would change in the current list.
+ */
+export async function previewDeviceRollback(client, checklistId, versionId) {
+    const target = await fetchVersion(client, versionId);
+    const rows = target.devices.map(device => ({ ...device, checklist_id: checklistId }));
+    return { target, plan: await previewDeviceSync(client, checklistId, rows) };
+}
+
+/**
+ * Restores the device list of an earlier version (public.rollback_device_list(),
+ * one transaction). Devices still on the list keep their current row; devices
+ * the version had but the list lost are re-added under their old id. The
+ * result is recorded as a new version.
+ *
+ * @returns {Promise<object>} { added, changed, removed, unchanged, version, rolled_back_to }
+ */
+export async function rollbackDeviceList(client, checklistId, versionId) {
+    const { data, error } = await client.rpc('rollback_device_list', {
+        target_checklist: checklistId,
+        target_version: versionId,
+    });
+    if (error) throw error;
+    return data;
+}
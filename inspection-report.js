@@ -0,0 +1,258 @@
+// inspection-report.js (ES module)
+// Builds the customer / AHJ inspection deliverable from workspace data and
+// renders it as CSV, XLSX (SheetJS global `XLSX`) or a print-ready HTML page.
+// Everything runs client-side.
+
+import { escapeHTML, compareValues } from './text-utils.js';
+
+export const REPORT_COLUMNS = [
+    { key: 'loop', label: 'Loop' },
+    { key: 'address', label: 'Address' },
+    { key: 'model', label: 'Model' },
+    { key: 'deviceType', label: 'Device Type' },
+    { key: 'serialNumber', label: 'Serial Number' },
+    { key: 'messages', label: 'Location / Message' },
+    { key: 'status', label: 'Status' },
+    { key: 'note', label: 'Notes' },
+];
+
+export function slugify(str) {
+    return String(str || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'checklist';
+}
+
+export function toCSV(rows) {
+    return rows.map(row => row.map(cell => {
+        const value = cell === null || cell === undefined ? '' : String(cell);
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(',')).join('\r\n');
+}
+
+export function downloadFile(filename, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.companyName
+ * @param {string} options.checklistName
+ * @param {number|string} options.year
+ * @param {string} options.inspectionDate  ISO date (yyyy-mm-dd)
+ * @param {string} [options.inspectionType]  e.g. 'Annual'
+ * @param {string} [options.leadInspector]
+ * @param {Array}  options.devices         workspace device objects
+ * @param {(device) => string} options.getStatus  e.g. 'Pass' / 'Fail' / 'Untested'
+ * @param {(device) => string} [options.getNote]
+ * @param {string[]} [options.statusOrder]  column order for the summary counts
+ * @param {Array}  [options.deficiencies]  failed devices with `notes` and `photos` (URLs)
+ */
+export function buildInspectionReport({ companyName, checklistName, year, inspectionDate, inspectionType = '', leadInspector = '', devices, getStatus, getNote = () => '', statusOrder = [], deficiencies = [] }) {
+    const rows = devices
+        .map(device => ({ ...device, status: getStatus(device), note: getNote(device) }))
+        .sort((a, b) => compareValues(a.loop, b.loop) || compareValues(a.address, b.address));
+
+    const byType = new Map();
+    for (const row of rows) {
+        const type = row.deviceType || 'Unspecified';
+        if (!byType.has(type)) byType.set(type, { deviceType: type, total: 0, counts: {} });
+        const entry = byType.get(type);
+        entry.total++;
+        entry.counts[row.status] = (entry.counts[row.status] || 0) + 1;
+    }
+
+    const statuses = Array.from(new Set([...statusOrder, ...rows.map(row => row.status)]));
+    const summary = Array.from(byType.values()).sort((a, b) => compareValues(a.deviceType, b.deviceType));
+    const totals = statuses.reduce((acc, status) => {
+        acc[status] = rows.filter(row => row.status === status).length;
+        return acc;
+    }, {});
+
+    return {
+        companyName,
+        checklistName,
+        year,
+        inspectionDate,
+        inspectionType,
+        leadInspector,
+        generatedAt: new Date().toISOString(),
+        rows,
+        statuses,
+        summary,
+        totals,
+        deficiencies,
+    };
+}
+
+function reportFileBase(report) {
+    return `${slugify(report.companyName)}-inspection-${report.inspectionDate}`;
+}
+
+function deviceTable(report) {
+    return [
+        REPORT_COLUMNS.map(col => col.label),
+        ...report.rows.map(row => REPORT_COLUMNS.map(col => row[col.key])),
+    ];
+}
+
+function deficiencyTable(report) {
+    return [
+        ['Loop', 'Address', 'Model', 'Device Type', 'Serial Number', 'Location / Message', 'Status', 'Notes', 'Photos'],
+        ...report.deficiencies.map(d => [
+            d.loop, d.address, d.model, d.deviceType, d.serialNumber, d.messages, d.status,
+            [d.note, ...d.notes].filter(Boolean).join('\n'),
+            d.photos.join('\n'),
+        ]),
+    ];
+}
+
+function summaryTable(report) {
+    return [
+        ['Device Type', 'Total', ...report.statuses],
+        ...report.summary.map(entry => [
+            entry.deviceType,
+            entry.total,
+            ...report.statuses.map(status => entry.counts[status] || 0),
+        ]),
+        ['All devices', report.rows.length, ...report.statuses.map(status => report.totals[status] || 0)],
+    ];
+}
+
+export function downloadReportCSV(report) {
+    const header = [
+        ['Company', report.companyName],
+        ['Checklist', report.checklistName],
+        ['Inspection Date', report.inspectionDate],
+        ['Year', report.year],
+        ...(report.inspectionType ? [['Inspection Type', report.inspectionType]] : []),
+        ...(report.leadInspector ? [['Lead Inspector', report.leadInspector]] : []),
+        [],
+    ];
+    downloadFile(
+        `${reportFileBase(report)}.csv`,
+        toCSV([
+            ...header,
+            ...deviceTable(report),
+            ...(report.deficiencies.length ? [[], ['Deficiencies'], ...deficiencyTable(report)] : []),
+            [],
+            ['Summary'],
+            ...summaryTable(report),
+        ]),
+        'text/csv;charset=utf-8'
+    );
+}
+
+export function downloadReportXLSX(report) {
+    const XLSX = window.XLSX;
+    if (!XLSX) throw new Error('Spreadsheet support failed to load. Check your connection and reload.');
+
+    const workbook = XLSX.utils.book_new();
+    const devicesSheet = XLSX.utils.aoa_to_sheet([
+        [report.companyName],
+        [`${report.checklistName} — ${report.inspectionType ? `${report.inspectionType} inspection` : 'inspected'} ${report.inspectionDate} (${report.year})`],
+        ...(report.leadInspector ? [[`Lead inspector: ${report.leadInspector}`]] : []),
+        [],
+        ...deviceTable(report),
+    ]);
+    XLSX.utils.book_append_sheet(workbook, devicesSheet, 'Devices');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(summaryTable(report)), 'Summary');
+    if (report.deficiencies.length) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(deficiencyTable(report)), 'Deficiencies');
+    }
+    XLSX.writeFile(workbook, `${reportFileBase(report)}.xlsx`);
+}
+
+export function renderReportHTML(report) {
+    const table = (rows, className = '') => {
+        const [head, ...body] = rows;
+        return `
+            <table class="${className}">
+                <thead><tr>${head.map(cell => `<th>${escapeHTML(cell)}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${body.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(report.companyName)} — Inspection Report ${escapeHTML(report.inspectionDate)}</title>
+<style>
+    @page { size: letter; margin: 0.5in; }
+    body { font-family: Inter, Arial, sans-serif; font-size: 10pt; color: #0f172a; margin: 0; }
+    header { border-bottom: 2px solid #0ea5e9; padding-bottom: 8px; margin-bottom: 12px; }
+    h1 { font-size: 18pt; margin: 0; }
+    h2 { font-size: 12pt; margin: 16px 0 6px; }
+    .meta { display: flex; gap: 24px; color: #475569; margin-top: 4px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #cbd5e1; padding: 3px 5px; text-align: left; vertical-align: top; }
+    th { background: #f1f5f9; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+    .summary { width: auto; min-width: 50%; }
+    .deficiency { border: 1px solid #fca5a5; border-left: 4px solid #dc2626; padding: 6px 8px; margin-bottom: 8px; page-break-inside: avoid; }
+    .deficiency p { margin: 2px 0; }
+    .deficiency img { width: 160px; height: 120px; object-fit: cover; margin: 4px 4px 0 0; border: 1px solid #cbd5e1; }
+    footer { margin-top: 16px; color: #64748b; font-size: 8pt; }
+</style>
+</head>
+<body>
+<header>
+    <h1>${escapeHTML(report.companyName)}</h1>
+    <div>${escapeHTML(report.checklistName)}</div>
+    <div class="meta">
+        <span>Inspection date: <strong>${escapeHTML(report.inspectionDate)}</strong></span>
+        <span>Year: <strong>${escapeHTML(report.year)}</strong></span>
+        ${report.inspectionType ? `<span>Type: <strong>${escapeHTML(report.inspectionType)}</strong></span>` : ''}
+        ${report.leadInspector ? `<span>Lead inspector: <strong>${escapeHTML(report.leadInspector)}</strong></span>` : ''}
+        <span>Devices: <strong>${report.rows.length}</strong></span>
+    </div>
+</header>
+<h2>Summary by device type</h2>
+${table(summaryTable(report), 'summary')}
+${report.deficiencies.length ? `
+<h2>Deficiencies (${report.deficiencies.length})</h2>
+${report.deficiencies.map(d => `
+<div class="deficiency">
+    <p><strong>${escapeHTML(d.status)}</strong> — Loop ${escapeHTML(d.loop)} / Addr ${escapeHTML(d.address)} · ${escapeHTML(d.model)} · ${escapeHTML(d.deviceType)} · S/N ${escapeHTML(d.serialNumber)}</p>
+    <p>${escapeHTML(d.messages)}</p>
+    ${[d.note, ...d.notes].filter(Boolean).map(note => `<p><em>${escapeHTML(note)}</em></p>`).join('')}
+    ${d.photos.map(url => `<img src="${escapeHTML(url)}" alt="Deficiency photo">`).join('')}
+</div>`).join('')}` : ''}
+<h2>Devices</h2>
+${table(deviceTable(report))}
+<footer>Generated ${escapeHTML(new Date(report.generatedAt).toLocaleString())} by Omni Checklist Hub.</footer>
+</body>
+</html>`;
+}
+
+/**
+ * Opens the report in a new window and triggers the print dialog (Save as PDF).
+ * Falls back to downloading the HTML when pop-ups are blocked.
+ */
+export function openPrintableReport(report) {
+    const html = renderReportHTML(report);
+    const win = window.open('', '_blank');
+    if (!win) {
+        downloadFile(`${reportFileBase(report)}.html`, html, 'text/html;charset=utf-8');
+        return false;
+    }
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+    setTimeout(() => win.print(), 300);
+    return true;
+}
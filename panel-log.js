@@ -0,0 +1,209 @@
+// panel-log.js (ES module)
+// Reads fire alarm panel event history (printer output or a history export)
+// for walk-test mode: each line with a device address becomes an event with
+// loop, address, event type and timestamp. One parser per panel family; add
+// more with registerPanelLogParser().
+
+// Walk-test activations. Restorals and troubles are read but do not count as a test.
+const ACTIVATION_PATTERN = /\b(?:ALARM|ACTIVE|ACTIVATION|TEST|WALK ?TEST|SUPERVISORY|SUPV|MONITOR|PRE-?ALARM|FIRE)\b/;
+const RESTORE_PATTERN = /\b(?:RESTORE|RESTORAL|RESTORED|CLEAR|CLEARED|NORMAL)\b/;
+const TROUBLE_PATTERN = /\b(?:TROUBLE|TRBL|FAULT|DISABLED?)\b/;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// "01/15/24 10:23:45", "1/15/2024 10:23 PM", "10:23:45 01/15/24"
+const SLASH_DATE = /\b(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/;
+const CLOCK_TIME = /\b(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP])?M?\b/;
+// Notifier: "10:23:45A MON JAN 15, 2024" or "10:23A 011524"
+const NOTIFIER_TIME = /\b(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP])M?\s+(?:(?:[A-Z]{3}\s+)?([A-Z]{3})\s+(\d{1,2}),?\s+(\d{4})|(\d{2})(\d{2})(\d{2}))\b/;
+
+function toHours(hours, meridiem) {
+    const h = Number(hours) % 12;
+    if (meridiem === 'P') return h + 12;
+    if (meridiem === 'A') return h;
+    return Number(hours);
+}
+
+function fullYear(year) {
+    const y = Number(year);
+    return y < 100 ? 2000 + y : y;
+}
+
+// Panel clocks are local time; returned as an ISO string, or null when the line has no usable date.
+function localTimestamp(year, month, day, hours, minutes, seconds) {
+    const date = new Date(fullYear(year), month - 1, Number(day), hours, Number(minutes), Number(seconds || 0));
+    return Number.isNaN(date.getTime()) || date.getMonth() !== month - 1 ? null : date.toISOString();
+}
+
+function slashTimestamp(line) {
+    const dateMatch = line.match(SLASH_DATE);
+    if (!dateMatch) return null;
+    // Look for the time outside the date so "01/15/24" is not read as a clock
+    const timeMatch = line.replace(SLASH_DATE, ' ').match(CLOCK_TIME);
+    const [, month, day, year] = dateMatch;
+    const [, hours = 0, minutes = 0, seconds = 0, meridiem] = timeMatch || [];
+    return localTimestamp(year, Number(month), day, toHours(hours, meridiem), minutes, seconds);
+}
+
+function classifyEvent(line) {
+    const restore = RESTORE_PATTERN.test(line);
+    const trouble = TROUBLE_PATTERN.test(line);
+    const type = (line.match(/^\s*([A-Z][A-Z -]*?[A-Z])\s*(?::|\s{2}|\s\d)/) || [])[1] || '';
+    return {
+        type: type.trim(),
+        activation: !restore && !trouble && ACTIVATION_PATTERN.test(line),
+    };
+}
+
+// Whatever is left of the line once the parsed parts are removed, usually the device label.
+function labelText(line, ...parts) {
+    let text = line;
+    parts.filter(Boolean).forEach(part => { text = text.replace(part, ' '); });
+    return text.replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * EST3 / FireWorks history. Devices use the logical address PPCCDDDD (panel,
+ * card, device), e.g. "01020045" is card 2, device 45: loop 2 / address 45 in
+ * an EST3 device report ("Node : Card : Device").
+ *
+ *   ALARM ACTIVE      01020045  SMOKE 2ND FL ROOM 203   10:23:45 01/15/24
+ */
+const EST3_ADDRESS = /\b(\d{2})(\d{2})(\d{4})\b/;
+
+export const EST3_PARSER = {
+    id: 'est3',
+    label: 'EST3 / FireWorks',
+    detect: lines => lines.some(line => EST3_ADDRESS.test(line) && SLASH_DATE.test(line)),
+    parseLine(line) {
+        const upper = line.toUpperCase();
+        const address = upper.replace(SLASH_DATE, ' ').match(EST3_ADDRESS);
+        if (!address) return null;
+        const { type, activation } = classifyEvent(upper);
+        return {
+            loop: Number(address[2]),
+            address: Number(address[3]),
+            kind: null,
+            type,
+            activation,
+            timestamp: slashTimestamp(upper),
+            label: labelText(upper, type, address[0], upper.match(SLASH_DATE)?.[0], upper.replace(SLASH_DATE, ' ').match(CLOCK_TIME)?.[0]),
+        };
+    },
+};
+
+/**
+ * Notifier (NFS / NFS2 / Onyx) history printout. Devices are L<loop>D<addr>
+ * for detectors and L<loop>M<addr> for modules, which can share an address.
+ *
+ *   ALARM: SMOKE (PHOTO) 2ND FL ROOM 203   Z001   10:23:45A MON JAN 15, 2024   L01D045
+ */
+const NOTIFIER_ADDRESS = /\bL?(\d{1,2})([DM])(\d{3})\b|\bL(\d{1,2})([DM])(\d{1,3})\b/;
+
+export const NOTIFIER_PARSER = {
+    id: 'notifier',
+    label: 'Notifier',
+    detect: lines => lines.some(line => NOTIFIER_ADDRESS.test(line.toUpperCase())),
+    parseLine(line) {
+        const upper = line.toUpperCase();
+        const address = upper.match(NOTIFIER_ADDRESS);
+        if (!address) return null;
+        const [, loop = address[4], kind = address[5], addr = address[6]] = address;
+        const { type, activation } = classifyEvent(upper);
+
+        let timestamp = null;
+        const time = upper.match(NOTIFIER_TIME);
+        if (time) {
+            const [, hours, minutes, seconds, meridiem, monthName, day, year, mm, dd, yy] = time;
+            timestamp = monthName
+                ? localTimestamp(year, MONTHS.indexOf(monthName) + 1, day, toHours(hours, meridiem), minutes, seconds)
+                : localTimestamp(yy, Number(mm), dd, toHours(hours, meridiem), minutes, seconds);
+        } else {
+            timestamp = slashTimestamp(upper);
+        }
+
+        return {
+            loop: Number(loop),
+            address: Number(addr),
+            kind: kind === 'M' ? 'module' : 'detector',
+            type,
+            activation,
+            timestamp,
+            label: labelText(upper, type && `${type}:`, address[0], time?.[0], /\bZ\d{2,3}\b/),
+        };
+    },
+};
+
+export const PANEL_LOG_PARSERS = [EST3_PARSER, NOTIFIER_PARSER];
+
+/**
+ * Adds a parser: { id, label, detect(lines) -> boolean, parseLine(line) ->
+ * event | null }. Events are { loop, address, kind ('detector' | 'module' |
+ * null), type, activation, timestamp (ISO string or null), label }.
+ */
+export function registerPanelLogParser(parser) {
+    const existing = PANEL_LOG_PARSERS.findIndex(candidate => candidate.id === parser.id);
+    if (existing >= 0) PANEL_LOG_PARSERS.splice(existing, 1, parser);
+    else PANEL_LOG_PARSERS.push(parser);
+}
+
+/**
+ * Events in a panel log. `format` is a parser id or 'auto' (the first parser
+ * that recognises the text). Lines without a device address (headers, system
+ * events) are skipped.
+ *
+ * @returns {{ format: string, events: Array }} each event also has `line`
+ *   (the trimmed source line) and `lineNumber`
+ */
+export function parsePanelLog(text, format = 'auto') {
+    const lines = String(text ?? '').split(/\r?\n/);
+    const parser = format === 'auto'
+        ? PANEL_LOG_PARSERS.find(candidate => candidate.detect(lines))
+        : PANEL_LOG_PARSERS.find(candidate => candidate.id === format);
+    if (!parser) {
+        throw new Error(format === 'auto'
+            ? 'Could not recognise the panel log format. Pick the panel type and try again.'
+            : `Unknown panel log format "${format}".`);
+    }
+
+    const events = [];
+    lines.forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        const event = parser.parseLine(trimmed);
+        if (event) events.push({ ...event, line: trimmed, lineNumber: index + 1 });
+    });
+    return { format: parser.id, events };
+}
+
+const MODULE_DEVICE = /\b(?:FMM|FCM|FRM|FZM|FDM|FDRM|MMF|CMF|MODULE|MONITOR|CONTROL|RELAY)\b/i;
+
+/**
+ * Pairs activation events with checklist devices by loop and address. When a
+ * Notifier detector and module share an address, the event's kind picks the
+ * one whose model or type looks like a module (or not).
+ *
+ * @returns {{ matched: Array<{ event, device }>, unmatched: Array }}
+ */
+export function matchPanelEvents(events, devices) {
+    const byAddress = new Map();
+    devices.forEach(device => {
+        const key = `${Number(device.loop)}/${Number(device.address)}`;
+        if (!byAddress.has(key)) byAddress.set(key, []);
+        byAddress.get(key).push(device);
+    });
+
+    const matched = [];
+    const unmatched = [];
+    events.filter(event => event.activation).forEach(event => {
+        const candidates = byAddress.get(`${event.loop}/${event.address}`) || [];
+        let device = candidates[0];
+        if (candidates.length > 1 && event.kind) {
+            const isModule = candidate => MODULE_DEVICE.test(`${candidate.model} ${candidate.deviceType}`);
+            device = candidates.find(candidate => isModule(candidate) === (event.kind === 'module')) || device;
+        }
+        if (device) matched.push({ event, device });
+        else unmatched.push(event);
+    });
+    return { matched, unmatched };
+}
@@ -0,0 +1,65 @@
+// progress-events.js (ES module)
+// Reads the append-only progress_events log. The log is written by a database
+// trigger on device_progress (supabase/migrations/*_progress_events.sql); the
+// client only tags its writes with a client id so events can be traced back to
+// the browser that made them.
+
+const db = window.supabaseClient;
+
+const CLIENT_ID_KEY = 'progressClientId';
+
+const EVENT_COLUMNS = 'id, checklist_id, session_id, device_uid, action, old_checked, old_result, old_note, new_checked, new_result, new_note, actor_id, actor_name, client_id, changed_at';
+
+let clientId = null;
+
+/**
+ * Random id for this browser install, kept in localStorage and stored on
+ * every device_progress write (client_id).
+ */
+export function getClientId() {
+    if (clientId) return clientId;
+    try {
+        clientId = localStorage.getItem(CLIENT_ID_KEY);
+        if (!clientId) {
+            clientId = crypto.randomUUID();
+            localStorage.setItem(CLIENT_ID_KEY, clientId);
+        }
+    } catch (err) {
+        // Private mode or storage disabled: an id for this page load only
+        clientId = clientId || crypto.randomUUID();
+    }
+    return clientId;
+}
+
+/**
+ * Events for one device in an inspection session, newest first.
+ */
+export async function fetchDeviceEvents(sessionId, deviceUid, limit = 200) {
+    const { data, error } = await db
+        .from('progress_events')
+        .select(EVENT_COLUMNS)
+        .eq('session_id', sessionId)
+        .eq('device_uid', deviceUid)
+        .order('changed_at', { ascending: false })
+        .limit(limit);
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Events for a whole checklist, newest first. Narrow with `sessionId` and/or
+ * `since` (ISO timestamp).
+ */
+export async function fetchChecklistEvents(checklistId, { sessionId = null, since = null, limit = 500 } = {}) {
+    let query = db
+        .from('progress_events')
+        .select(EVENT_COLUMNS)
+        .eq('checklist_id', checklistId);
+    if (sessionId) query = query.eq('session_id', sessionId);
+    if (since) query = query.gte('changed_at', since);
+    const { data, error } = await query
+        .order('changed_at', { ascending: false })
+        .limit(limit);
+    if (error) throw error;
+    return data || [];
+}
@@ -0,0 +1,88 @@
+// progress-outbox.js (ES module)
+// IndexedDB outbox for device_progress writes made while offline. Each entry is
+// a full device_progress row keyed by inspection session + device, so repeated changes
+// to one device collapse into the latest one. The workspace replays the outbox
+// when the browser comes back online.
+
+const DB_NAME = 'omni-checklist';
+const DB_VERSION = 1;
+const STORE = 'progress-outbox';
+
+let dbPromise = null;
+
+function openOutbox() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not available in this browser.'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+            store.createIndex('checklist_id', 'row.checklist_id');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(mode, fn) {
+    const db = await openOutbox();
+    const tx = db.transaction(STORE, mode);
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn(tx.objectStore(STORE));
+    await done;
+    return result;
+}
+
+export function outboxKey(row) {
+    return `${row.session_id}::${row.device_uid}`;
+}
+
+/**
+ * Queue device_progress rows (as they would be upserted). A newer entry for
+ * the same device replaces the queued one.
+ */
+export function enqueueProgress(rows) {
+    return withStore('readwrite', (store) => {
+        rows.forEach(row => store.put({ key: outboxKey(row), row, queuedAt: new Date().toISOString() }));
+    });
+}
+
+export function getPendingProgress(checklistId = null) {
+    return withStore('readonly', (store) => {
+        const request = checklistId
+            ? store.index('checklist_id').getAll(checklistId)
+            : store.getAll();
+        return requestToPromise(request);
+    });
+}
+
+export function removeProgress(keys) {
+    return withStore('readwrite', (store) => {
+        keys.forEach(key => store.delete(key));
+    });
+}
+
+export async function countPendingProgress() {
+    try {
+        return await withStore('readonly', (store) => requestToPromise(store.count()));
+    } catch (err) {
+        console.warn('Progress outbox unavailable:', err);
+        return 0;
+    }
+}
@@ -0,0 +1,56 @@
+// browser-modules.mjs
+// Loads the app's browser modules (checklists.js, device-identity.js,
+// checklist-validation.js, ...) in Node without a build step or a
+// package.json: `export` keywords are stripped and the source runs in a vm
+// context. Named imports of other local modules (`import { a } from './x.js'`)
+// are loaded the same way and passed in; nothing else is supported.
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+export const REPO_ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+const EXPORT_PATTERN = /^export\s+(?:const|let|var|function|async\s+function|class)\s+([A-Za-z_$][\w$]*)/gm;
+const IMPORT_PATTERN = /^import\s*\{([^}]*)\}\s*from\s*['"](\.{1,2}\/[^'"]+)['"];?[ \t]*$/gm;
+
+const loaded = new Map();
+
+async function loadModule(url) {
+    if (!loaded.has(url.href)) {
+        loaded.set(url.href, evaluateModule(url));
+    }
+    return loaded.get(url.href);
+}
+
+async function evaluateModule(url) {
+    const source = await readFile(url, 'utf8');
+    const context = { console };
+
+    for (const [, specifiers, from] of source.matchAll(IMPORT_PATTERN)) {
+        const imported = await loadModule(new URL(from, url));
+        specifiers.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const [name, alias = name] = part.split(/\s+as\s+/);
+            if (!(name in imported)) {
+                throw new Error(`${fileURLToPath(url)}: ${from} has no export named ${name}.`);
+            }
+            context[alias] = imported[name];
+        });
+    }
+
+    const body = source.replace(IMPORT_PATTERN, '');
+    if (/^\s*import[\s{*'"]/m.test(body)) {
+        throw new Error(`${fileURLToPath(url)} has an import that cannot be loaded in a vm context.`);
+    }
+    const names = [...body.matchAll(EXPORT_PATTERN)].map(match => match[1]);
+    const code = `${body.replace(/^export\s+/gm, '')}\n;({ ${names.join(', ')} });`;
+    return vm.runInNewContext(code, context, { filename: fileURLToPath(url) });
+}
+
+/**
+ * The exports of a browser module, as a plain object. `file` is a URL or a
+ * path relative to the repository root.
+ */
+export async function loadBrowserModule(file) {
+    return loadModule(file instanceof URL ? file : new URL(file, new URL('..', import.meta.url)));
+}
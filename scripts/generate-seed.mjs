@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// generate-seed.mjs
+// Writes supabase/seed.sql from CHECKLISTS in checklists.js. Each checklist is
+// loaded with public.upload_checklist() in 'skip' mode, so re-running the seed
+// leaves existing checklists alone.
+//
+//   node scripts/generate-seed.mjs [output file]
+
+import { writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { REPO_ROOT, loadBrowserModule } from './browser-modules.mjs';
+
+function sqlString(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// Dollar-quoted JSON; the tag cannot occur in JSON text.
+function sqlJson(value) {
+    return `$json$${value}$json$::jsonb`;
+}
+
+function checklistSeed(checklist, toDeviceRow) {
+    const companyName = checklist.name || checklist.key;
+    const checklistName = checklist.location || checklist.name || checklist.key || 'Unnamed Checklist';
+    const rows = (checklist.devices || []).map(device => {
+        const { checklist_id: _checklistId, ...row } = toDeviceRow(null, device);
+        return `  ${JSON.stringify(row)}`;
+    });
+    return [
+        `-- ${companyName} / ${checklistName} (${rows.length} devices)`,
+        'select public.upload_checklist(',
+        `  ${sqlString(companyName)},`,
+        `  ${sqlString(checklistName)},`,
+        `  ${sqlJson(`[\n${rows.join(',\n')}\n]`)},`,
+        `  'skip',`,
+        '  false,',
+        `  'migration'`,
+        ');',
+    ].join('\n');
+}
+
+async function main() {
+    const output = resolve(process.argv[2] || resolve(REPO_ROOT, 'supabase/seed.sql'));
+    const { CHECKLISTS } = await loadBrowserModule('checklists.js');
+    const { toDeviceRow } = await loadBrowserModule('device-identity.js');
+
+    const seeds = CHECKLISTS
+        .filter(checklist => checklist.name || checklist.key)
+        .map(checklist => checklistSeed(checklist, toDeviceRow));
+
+    const sql = [
+        '-- Seed data: the checklists from checklists.js.',
+        '-- Generated by scripts/generate-seed.mjs; edit checklists.js and regenerate instead of editing this file.',
+        '',
+        seeds.join('\n\n'),
+        '',
+    ].join('\n');
+
+    await writeFile(output, sql);
+    console.log(`Wrote ${seeds.length} checklist(s) to ${output}`);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+// sync-checklists.mjs
+// Syncs checklists into Supabase from CHECKLISTS in checklists.js (the
+// default) or from a JSON or CSV file. Every checklist is validated like the
+// admin page does, compared with what is stored, and uploaded through the
+// upload_checklist database function only when something changed, so running
+// it twice changes nothing the second time.
+//
+//   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... \
+//     node scripts/sync-checklists.mjs [--file <json|csv|js>] [--only <key>]...
+//       [--mode replace|merge|skip] [--flag-missing] [--restore-trashed] [--dry-run]
+//
+// JSON files hold one checklist object or an array of them (the checklists.js
+// format). CSV files have one device per row with the columns key, name,
+// location, loop, address, model, deviceType, serialNumber and messages.
+// Exits with status 1 when any checklist fails.
+
+import { readFile } from 'node:fs/promises';
+import { extname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { loadBrowserModule } from './browser-modules.mjs';
+
+const USAGE = `Usage: node scripts/sync-checklists.mjs [options]
+
+  --file <path>        JSON, CSV or JS module exporting CHECKLISTS (default: checklists.js)
+  --only <key>         only the checklist with this key or name (repeatable)
+  --mode <mode>        replace (default), merge or skip for checklists that exist
+  --flag-missing       with --mode merge: flag devices left out of the file
+  --restore-trashed    upload checklists that are in the Trash (restores them)
+  --dry-run            show what would change without writing anything
+  --help
+
+Environment: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.`;
+
+const MODES = ['replace', 'merge', 'skip'];
+
+// CSV header (lower-cased, letters and digits only) -> checklists.js field
+const CSV_COLUMNS = {
+    key: 'key',
+    name: 'name',
+    company: 'name',
+    location: 'location',
+    checklist: 'location',
+    loop: 'loop',
+    address: 'address',
+    addr: 'address',
+    model: 'model',
+    devicetype: 'deviceType',
+    type: 'deviceType',
+    serialnumber: 'serialNumber',
+    serial: 'serialNumber',
+    messages: 'messages',
+    message: 'messages',
+};
+
+const DEVICE_FIELDS = ['loop', 'address', 'model', 'deviceType', 'serialNumber', 'messages'];
+
+// One device per CSV row -> checklist objects, in first-seen order. Parsed
+// with parseCSV() from device-import.js, like CSV imports on the pages.
+async function checklistsFromCsv(text) {
+    const { parseCSV } = await loadBrowserModule('device-import.js');
+    const [header, ...rows] = parseCSV(text.replace(/^\uFEFF/, ''));
+    if (!header) return [];
+    const fields = header.map(name => CSV_COLUMNS[name.toLowerCase().replace(/[^a-z0-9]/g, '')] || null);
+    if (!fields.includes('name') && !fields.includes('key')) {
+        throw new Error("CSV needs a 'name' (or 'key') column.");
+    }
+
+    const checklists = new Map();
+    rows.forEach(cells => {
+        const record = {};
+        fields.forEach((field, i) => {
+            if (field) record[field] = (cells[i] ?? '').trim();
+        });
+        const id = `${record.key || ''}\u0000${record.name || ''}\u0000${record.location || ''}`;
+        if (!checklists.has(id)) {
+            checklists.set(id, {
+                ...(record.key ? { key: record.key } : {}),
+                ...(record.name ? { name: record.name } : {}),
+                ...(record.location ? { location: record.location } : {}),
+                devices: [],
+            });
+        }
+        checklists.get(id).devices.push(Object.fromEntries(DEVICE_FIELDS.map(field => [field, record[field] ?? ''])));
+    });
+    return [...checklists.values()];
+}
+
+async function loadChecklists(file) {
+    if (!file) {
+        return (await loadBrowserModule('checklists.js')).CHECKLISTS;
+    }
+    const path = resolve(file);
+    switch (extname(path).toLowerCase()) {
+        case '.json': {
+            const parsed = JSON.parse(await readFile(path, 'utf8'));
+            return Array.isArray(parsed) ? parsed : [parsed];
+        }
+        case '.csv':
+            return checklistsFromCsv(await readFile(path, 'utf8'));
+        case '.js':
+        case '.mjs': {
+            const { CHECKLISTS } = await loadBrowserModule(pathToFileURL(path));
+            if (!Array.isArray(CHECKLISTS)) throw new Error(`${file} does not export a CHECKLISTS array.`);
+            return CHECKLISTS;
+        }
+        default:
+            throw new Error(`Unsupported file type: ${file} (use .json, .csv or .js).`);
+    }
+}
+
+/**
+ * Minimal PostgREST client: table reads and the `rpc()` call used by
+ * uploadChecklist() in checklist-upload.js.
+ */
+function createRestClient(url, key) {
+    const base = `${url.replace(/\/+$/, '')}/rest/v1`;
+    const headers = {
+        apikey: key,
+        Authorization: `Bearer ${key}`,
+        'Content-Type': 'application/json',
+    };
+
+    async function request(path, init = {}) {
+        const response = await fetch(`${base}${path}`, { ...init, headers: { ...headers, ...init.headers } });
+        const body = await response.text();
+        const data = body ? JSON.parse(body) : null;
+        if (!response.ok) {
+            const error = new Error(data?.message || `${response.status} ${response.statusText}`);
+            Object.assign(error, data);
+            throw error;
+        }
+        return data;
+    }
+
+    return {
+        select(table, query) {
+            return request(`/${table}?${new URLSearchParams(query)}`);
+        },
+        async rpc(name, args) {
+            try {
+                return { data: await request(`/rpc/${name}`, { method: 'POST', body: JSON.stringify(args) }), error: null };
+            } catch (error) {
+                return { data: null, error };
+            }
+        },
+    };
+}
+
+function matchesOnly(checklist, only) {
+    const names = [checklist?.key, checklist?.name].filter(Boolean).map(value => String(value).toLowerCase());
+    return only.some(needle => names.includes(needle.toLowerCase()));
+}
+
+// Names as in describeChecklistObject() in admin-upload.js.
+function checklistNames(checklist) {
+    return {
+        companyName: checklist.name || checklist.key,
+        checklistName: checklist.location || checklist.name || checklist.key || 'Unnamed Checklist',
+    };
+}
+
+async function fetchStored(rest, companyName, checklistName) {
+    const [company] = await rest.select('companies', { select: 'id', name: `eq.${companyName}` });
+    if (!company) return null;
+    const [checklist] = await rest.select('checklists', {
+        select: 'id,deleted_at',
+        company_id: `eq.${company.id}`,
+        name: `eq.${checklistName}`,
+    });
+    if (!checklist) return null;
+    const devices = await rest.select('devices', { select: '*', checklist_id: `eq.${checklist.id}` });
+    return { checklist, devices };
+}
+
+function describePlan(plan, { merge, flagMissing }) {
+    const parts = [`${plan.added.length} added`, `${plan.changed.length} updated`, `${plan.unchanged.length} unchanged`];
+    if (merge) {
+        parts.push(`${plan.removed.length} not in file (kept${flagMissing ? ', flagged' : ''})`);
+    } else {
+        parts.push(`${plan.removed.length} removed`);
+    }
+    return parts.join(', ');
+}
+
+function contentKeys(rows, fields) {
+    return rows.map(row => JSON.stringify(fields.map(field => row[field] ?? null))).sort();
+}
+
+// Devices without a serial number or loop/address (annunciators, NACs, ...)
+// can never be matched, so a replace would delete and re-add them on every
+// run. Identical unmatched rows on both sides are not a change.
+function onlyUnmatchableChurn(plan, fields) {
+    const added = contentKeys(plan.added, fields);
+    const removed = contentKeys(plan.removed, fields);
+    return added.length === removed.length && added.every((key, i) => key === removed[i]);
+}
+
+function planHasChanges(plan, { merge, flagMissing, fields }) {
+    const matched = [...plan.changed, ...plan.unchanged];
+    if (plan.changed.length || matched.some(pair => pair.existing.missing_from_upload_at)) return true;
+    if (merge) {
+        return plan.added.length > 0 || (flagMissing && plan.removed.some(row => !row.missing_from_upload_at));
+    }
+    return !onlyUnmatchableChurn(plan, fields);
+}
+
+async function syncChecklist(checklist, { rest, modules, options }) {
+    const { companyName, checklistName } = checklistNames(checklist);
+    const devices = Array.isArray(checklist.devices) ? checklist.devices : [];
+    const merge = options.mode === 'merge';
+    const stored = await fetchStored(rest, companyName, checklistName);
+
+    if (stored?.checklist.deleted_at && !options.restoreTrashed) {
+        return { status: 'skipped', detail: 'in the Trash (use --restore-trashed to restore it)' };
+    }
+    if (stored && options.mode === 'skip') {
+        return { status: 'skipped', detail: 'already exists (--mode skip)' };
+    }
+
+    let detail;
+    if (stored) {
+        const rows = devices.map(device => modules.toDeviceRow(stored.checklist.id, device));
+        const plan = modules.planDeviceSync(stored.devices, rows);
+        if (!planHasChanges(plan, { merge, flagMissing: options.flagMissing, fields: modules.DEVICE_ROW_FIELDS }) && !stored.checklist.deleted_at) {
+            return { status: 'unchanged', detail: `${stored.devices.length} devices, nothing to do` };
+        }
+        detail = describePlan(plan, { merge, flagMissing: options.flagMissing });
+        if (stored.checklist.deleted_at) detail = `restore from Trash; ${detail}`;
+    } else {
+        detail = `new checklist with ${devices.length} devices`;
+    }
+
+    if (options.dryRun) {
+        return { status: 'would sync', detail };
+    }
+
+    const result = await modules.uploadChecklist(rest, {
+        companyName,
+        checklistName,
+        devices,
+        mode: options.mode,
+        flagMissing: options.flagMissing,
+        source: 'migration',
+        createdByName: 'sync-checklists',
+    });
+    return {
+        status: result.created ? 'created' : 'updated',
+        detail: `${result.restored ? 'restored from Trash; ' : ''}${modules.describeUploadResult(result)}`,
+    };
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            file: { type: 'string' },
+            only: { type: 'string', multiple: true, default: [] },
+            mode: { type: 'string', default: 'replace' },
+            'flag-missing': { type: 'boolean', default: false },
+            'restore-trashed': { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false },
+        },
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!MODES.includes(values.mode)) {
+        throw new Error(`--mode must be one of ${MODES.join(', ')}.`);
+    }
+    if (values['flag-missing'] && values.mode !== 'merge') {
+        throw new Error('--flag-missing only applies to --mode merge.');
+    }
+
+    const url = process.env.SUPABASE_URL;
+    const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+    if (!url || !key) {
+        throw new Error(`SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set.\n\n${USAGE}`);
+    }
+
+    const options = {
+        mode: values.mode,
+        flagMissing: values['flag-missing'],
+        restoreTrashed: values['restore-trashed'],
+        dryRun: values['dry-run'],
+    };
+    const modules = {
+        ...(await loadBrowserModule('device-identity.js')),
+        ...(await loadBrowserModule('checklist-validation.js')),
+        ...(await loadBrowserModule('checklist-upload.js')),
+    };
+
+    let checklists = await loadChecklists(values.file);
+    if (values.only.length) {
+        const unknown = values.only.filter(needle => !checklists.some(checklist => matchesOnly(checklist, [needle])));
+        if (unknown.length) {
+            throw new Error(`No checklist with key or name: ${unknown.join(', ')}`);
+        }
+        checklists = checklists.filter(checklist => matchesOnly(checklist, values.only));
+    }
+
+    const rest = createRestClient(url, key);
+    const { issues } = modules.validateChecklistObjects(checklists);
+    const summary = [];
+
+    console.log(`${options.dryRun ? 'Dry run: ' : ''}syncing ${checklists.length} checklist(s), mode ${options.mode}`);
+
+    for (const [index, checklist] of checklists.entries()) {
+        const label = checklist && typeof checklist === 'object'
+            ? checklist.key || [checklist.name, checklist.location].filter(Boolean).join(' / ')
+            : `#${index + 1}`;
+        const own = issues.filter(issue => issue.checklist === index);
+        const errors = own.filter(issue => issue.severity === 'error');
+        own.filter(issue => issue.severity === 'warning').forEach(issue =>
+            console.warn(`  ! ${label}${issue.row === null ? '' : ` row ${issue.row + 1}`}: ${issue.message}`)
+        );
+
+        let outcome;
+        if (errors.length) {
+            errors.forEach(issue =>
+                console.error(`  ✗ ${label}${issue.row === null ? '' : ` row ${issue.row + 1}`}: ${issue.message}`)
+            );
+            outcome = { status: 'failed', detail: `${errors.length} validation error(s)` };
+        } else {
+            try {
+                outcome = await syncChecklist(checklist, { rest, modules, options });
+            } catch (err) {
+                outcome = { status: 'failed', detail: err.message || String(err) };
+            }
+        }
+
+        summary.push({ checklist: label, ...outcome });
+        console.log(`${outcome.status === 'failed' ? '✗' : '✓'} ${label}: ${outcome.status} (${outcome.detail})`);
+    }
+
+    const failed = summary.filter(row => row.status === 'failed').length;
+    console.log(`\n${summary.length - failed} ok, ${failed} failed${options.dryRun ? ' (dry run, nothing written)' : ''}.`);
+    if (failed) process.exitCode = 1;
+}
+
+main().catch(err => {
+    console.error(err.message || err);
+    process.exitCode = 1;
+});
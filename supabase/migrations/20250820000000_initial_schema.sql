@@ -0,0 +1,91 @@
+-- Initial schema: the tables the app was first built on (companies, checklists,
+-- devices, device_progress), before any of the later migrations. Everything
+-- here is idempotent so the file can also be applied to a project that was set
+-- up by hand; later migrations reshape these tables (inspection sessions,
+-- stable device ids, roles, ...).
+--
+-- A new environment: `supabase start` (or `supabase db reset`) applies the
+-- migrations in order and then supabase/seed.sql, which holds the checklists
+-- from checklists.js (regenerate it with `node scripts/generate-seed.mjs`).
+
+-- A company is a building/customer; checklists.js calls it `name`.
+create table if not exists public.companies (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  created_at timestamptz not null default now()
+);
+
+-- checklists.js `location`, e.g. "Fire Alarm Device Inspection".
+create table if not exists public.checklists (
+  id uuid primary key default gen_random_uuid(),
+  company_id uuid not null references public.companies (id) on delete cascade,
+  name text not null,
+  year integer,
+  created_at timestamptz not null default now(),
+  unique (company_id, name)
+);
+
+create index if not exists checklists_company_idx
+  on public.checklists (company_id);
+
+create table if not exists public.devices (
+  id uuid primary key default gen_random_uuid(),
+  checklist_id uuid not null references public.checklists (id) on delete cascade,
+  loop integer,
+  address integer,
+  model text,
+  device_type text,
+  serial_number text,
+  messages text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists devices_checklist_idx
+  on public.devices (checklist_id);
+
+-- One row per checked device. pushDeviceProgressToSupabase() upserts on
+-- (checklist_id, device_uid); device_uid was built by the client from the
+-- device's fields (see legacyDeviceUid() in device-identity.js).
+create table if not exists public.device_progress (
+  id uuid primary key default gen_random_uuid(),
+  checklist_id uuid not null references public.checklists (id) on delete cascade,
+  device_uid text not null,
+  checked boolean not null default false,
+  updated_at timestamptz not null default now(),
+  constraint device_progress_checklist_id_device_uid_key unique (checklist_id, device_uid)
+);
+
+alter table public.companies enable row level security;
+alter table public.checklists enable row level security;
+alter table public.devices enable row level security;
+alter table public.device_progress enable row level security;
+
+-- Open access with the anon key, as the app originally ran. The roles
+-- migration replaces these; tables that already have policies keep theirs.
+do $$
+declare
+  tbl text;
+begin
+  foreach tbl in array array['companies', 'checklists', 'devices', 'device_progress']
+  loop
+    if not exists (select 1 from pg_policies where schemaname = 'public' and tablename = tbl) then
+      execute format(
+        'create policy %I on public.%I for all to anon, authenticated using (true) with check (true)',
+        tbl || ' open access', tbl
+      );
+    end if;
+  end loop;
+end;
+$$;
+
+-- The workspace subscribes to device_progress changes.
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'device_progress'
+  ) then
+    alter publication supabase_realtime add table public.device_progress;
+  end if;
+end;
+$$;
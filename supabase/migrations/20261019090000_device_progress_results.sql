@@ -0,0 +1,18 @@
+-- Per-device inspection outcome instead of a bare checked flag.
+-- `checked` stays as "has a result" so older clients keep working;
+-- rows that were checked before this migration count as passes.
+
+alter table public.device_progress
+  add column if not exists result text,
+  add column if not exists note text;
+
+alter table public.device_progress
+  drop constraint if exists device_progress_result_check;
+
+alter table public.device_progress
+  add constraint device_progress_result_check
+  check (result is null or result in ('pass', 'fail', 'trouble', 'not_accessible', 'replaced'));
+
+update public.device_progress
+  set result = 'pass'
+  where checked and result is null;
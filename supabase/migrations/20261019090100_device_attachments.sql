@@ -0,0 +1,53 @@
+-- Notes and photos attached to a device during an inspection.
+-- Photos live in the private `device-attachments` storage bucket; the row keeps
+-- the object path. Paths are `<checklist_id>/<hash of device_uid>/<timestamp>.<ext>`.
+
+create table if not exists public.device_attachments (
+  id uuid primary key default gen_random_uuid(),
+  checklist_id uuid not null references public.checklists (id) on delete cascade,
+  device_uid text not null,
+  kind text not null check (kind in ('note', 'photo')),
+  note text,
+  storage_path text,
+  created_at timestamptz not null default now(),
+  constraint device_attachments_payload_check check (
+    (kind = 'note' and note is not null) or (kind = 'photo' and storage_path is not null)
+  )
+);
+
+create index if not exists device_attachments_checklist_device_idx
+  on public.device_attachments (checklist_id, device_uid);
+
+alter table public.device_attachments enable row level security;
+
+drop policy if exists "device_attachments open access" on public.device_attachments;
+create policy "device_attachments open access"
+  on public.device_attachments
+  for all
+  to anon, authenticated
+  using (true)
+  with check (true);
+
+alter publication supabase_realtime add table public.device_attachments;
+
+insert into storage.buckets (id, name, public)
+values ('device-attachments', 'device-attachments', false)
+on conflict (id) do nothing;
+
+drop policy if exists "device-attachments read" on storage.objects;
+create policy "device-attachments read"
+  on storage.objects for select
+  to anon, authenticated
+  using (bucket_id = 'device-attachments');
+
+drop policy if exists "device-attachments upload" on storage.objects;
+create policy "device-attachments upload"
+  on storage.objects for insert
+  to anon, authenticated
+  with check (bucket_id = 'device-attachments');
+
+drop policy if exists "device-attachments delete" on storage.objects;
+create policy "device-attachments delete"
+  on storage.objects for delete
+  to anon, authenticated
+  using (bucket_id = 'device-attachments');
@@ -0,0 +1,55 @@
+-- device_progress.device_uid (and device_attachments.device_uid) now hold the
+-- devices row id instead of the client-built string
+--   <checklist_id>-<serial_number>-<loop>-<address>-<messages>
+-- Map the existing rows onto the device they were recorded for. Where a row
+-- already exists under the new id (written by an updated client), the newer
+-- of the two is kept.
+
+create temporary table legacy_device_uid_map on commit drop as
+select distinct on (checklist_id, legacy_uid)
+  checklist_id,
+  legacy_uid,
+  id::text as device_uid
+from (
+  select
+    d.id,
+    d.checklist_id,
+    concat_ws('-',
+      d.checklist_id::text,
+      coalesce(d.serial_number, ''),
+      coalesce(d.loop::text, ''),
+      coalesce(d.address::text, ''),
+      coalesce(d.messages, '')
+    ) as legacy_uid
+  from public.devices d
+) k
+order by checklist_id, legacy_uid, id;
+
+-- Legacy rows that lose to a newer row already stored under the device id.
+delete from public.device_progress old
+using legacy_device_uid_map m, public.device_progress cur
+where old.checklist_id = m.checklist_id
+  and old.device_uid = m.legacy_uid
+  and cur.checklist_id = m.checklist_id
+  and cur.device_uid = m.device_uid
+  and cur.updated_at >= old.updated_at;
+
+-- Remaining conflicts: the legacy row is newer, so drop the stale new-id row.
+delete from public.device_progress cur
+using legacy_device_uid_map m, public.device_progress old
+where cur.checklist_id = m.checklist_id
+  and cur.device_uid = m.device_uid
+  and old.checklist_id = m.checklist_id
+  and old.device_uid = m.legacy_uid;
+
+update public.device_progress p
+  set device_uid = m.device_uid
+  from legacy_device_uid_map m
+  where p.checklist_id = m.checklist_id
+    and p.device_uid = m.legacy_uid;
+
+update public.device_attachments a
+  set device_uid = m.device_uid
+  from legacy_device_uid_map m
+  where a.checklist_id = m.checklist_id
+    and a.device_uid = m.legacy_uid;
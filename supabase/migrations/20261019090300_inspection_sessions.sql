@@ -0,0 +1,157 @@
+-- Inspection sessions: one record per inspection cycle of a checklist
+-- (annual, semi-annual, quarterly). device_progress and device_attachments are
+-- scoped to a session, so starting the next inspection no longer overwrites the
+-- previous one. Closed sessions are read-only.
+
+create table if not exists public.inspection_sessions (
+  id uuid primary key default gen_random_uuid(),
+  checklist_id uuid not null references public.checklists (id) on delete cascade,
+  inspection_date date not null default current_date,
+  inspection_type text not null default 'annual'
+    check (inspection_type in ('annual', 'semi_annual', 'quarterly')),
+  lead_inspector text,
+  created_at timestamptz not null default now(),
+  closed_at timestamptz
+);
+
+create index if not exists inspection_sessions_checklist_idx
+  on public.inspection_sessions (checklist_id, inspection_date desc);
+
+-- At most one open session per checklist.
+create unique index if not exists inspection_sessions_one_open_idx
+  on public.inspection_sessions (checklist_id)
+  where closed_at is null;
+
+alter table public.inspection_sessions enable row level security;
+
+drop policy if exists "inspection_sessions open access" on public.inspection_sessions;
+create policy "inspection_sessions open access"
+  on public.inspection_sessions
+  for all
+  to anon, authenticated
+  using (true)
+  with check (true);
+
+-- Existing progress becomes the open annual session of its checklist, dated
+-- from the first recorded check.
+insert into public.inspection_sessions (checklist_id, inspection_date, inspection_type)
+select p.checklist_id, min(p.updated_at)::date, 'annual'
+from (
+  select checklist_id, updated_at from public.device_progress
+  union all
+  select checklist_id, created_at from public.device_attachments
+) p
+where not exists (
+  select 1 from public.inspection_sessions s
+  where s.checklist_id = p.checklist_id and s.closed_at is null
+)
+group by p.checklist_id;
+
+alter table public.device_progress
+  add column if not exists session_id uuid references public.inspection_sessions (id) on delete cascade;
+
+alter table public.device_attachments
+  add column if not exists session_id uuid references public.inspection_sessions (id) on delete cascade;
+
+update public.device_progress p
+  set session_id = s.id
+  from public.inspection_sessions s
+  where p.session_id is null
+    and s.checklist_id = p.checklist_id
+    and s.closed_at is null;
+
+update public.device_attachments a
+  set session_id = s.id
+  from public.inspection_sessions s
+  where a.session_id is null
+    and s.checklist_id = a.checklist_id
+    and s.closed_at is null;
+
+alter table public.device_progress alter column session_id set not null;
+alter table public.device_attachments alter column session_id set not null;
+
+alter table public.device_progress
+  drop constraint if exists device_progress_checklist_id_device_uid_key;
+
+alter table public.device_progress
+  drop constraint if exists device_progress_session_id_device_uid_key;
+
+alter table public.device_progress
+  add constraint device_progress_session_id_device_uid_key unique (session_id, device_uid);
+
+create index if not exists device_attachments_session_idx
+  on public.device_attachments (session_id, device_uid);
+
+-- Reject progress and attachment writes into a closed session. Deleting from
+-- a closed session is left to admins and the service role (purging a checklist
+-- from the Trash, rejecting a field-added device); is_admin_or_service() is
+-- added by a later migration and looked up when the trigger runs.
+create or replace function public.ensure_inspection_session_open()
+returns trigger
+language plpgsql
+as $$
+declare
+  target_session uuid;
+begin
+  if tg_op = 'DELETE' then
+    target_session := old.session_id;
+  else
+    target_session := new.session_id;
+  end if;
+
+  if exists (
+    select 1 from public.inspection_sessions
+    where id = target_session and closed_at is not null
+  ) and not (tg_op = 'DELETE' and public.is_admin_or_service()) then
+    raise exception 'Inspection session % is closed and read-only.', target_session
+      using errcode = 'P0001';
+  end if;
+
+  if tg_op = 'DELETE' then
+    return old;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists device_progress_session_open on public.device_progress;
+create trigger device_progress_session_open
+  before insert or update or delete on public.device_progress
+  for each row execute function public.ensure_inspection_session_open();
+
+drop trigger if exists device_attachments_session_open on public.device_attachments;
+create trigger device_attachments_session_open
+  before insert or update or delete on public.device_attachments
+  for each row execute function public.ensure_inspection_session_open();
+
+-- Closes the checklist's open session and starts the next one in a single
+-- transaction, so a failed insert cannot leave the checklist with no open
+-- session.
+create or replace function public.start_inspection_session(
+  target_checklist uuid,
+  session_date date default current_date,
+  session_type text default 'annual',
+  session_lead text default null
+)
+returns public.inspection_sessions
+language plpgsql
+as $$
+declare
+  started public.inspection_sessions;
+begin
+  update public.inspection_sessions
+    set closed_at = now()
+    where checklist_id = target_checklist and closed_at is null;
+
+  insert into public.inspection_sessions (checklist_id, inspection_date, inspection_type, lead_inspector)
+  values (target_checklist, coalesce(session_date, current_date), coalesce(session_type, 'annual'), nullif(trim(session_lead), ''))
+  returning * into started;
+
+  return started;
+end;
+$$;
+
+revoke execute on function public.start_inspection_session(uuid, date, text, text) from public, anon;
+grant execute on function public.start_inspection_session(uuid, date, text, text) to authenticated, service_role;
+
+alter publication supabase_realtime add table public.inspection_sessions;
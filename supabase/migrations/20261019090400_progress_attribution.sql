@@ -0,0 +1,36 @@
+-- Who recorded each device result. checked_by is the Supabase Auth user;
+-- checked_by_name is kept alongside so the name shows without a profile lookup
+-- (and stays on the record if the account is removed).
+
+alter table public.device_progress
+  add column if not exists checked_by uuid references auth.users (id) on delete set null,
+  add column if not exists checked_by_name text;
+
+create index if not exists device_progress_checked_by_idx
+  on public.device_progress (session_id, checked_by);
+
+-- Signed-in clients cannot attribute a change to someone else: the id and
+-- the name both come from the JWT (the name the same way auth.js builds it),
+-- whatever the client sent.
+create or replace function public.set_device_progress_checked_by()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is not null then
+    new.checked_by := auth.uid();
+    new.checked_by_name := coalesce(
+      auth.jwt() -> 'user_metadata' ->> 'full_name',
+      auth.jwt() -> 'user_metadata' ->> 'name',
+      nullif(split_part(auth.jwt() ->> 'email', '@', 1), ''),
+      new.checked_by_name
+    );
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists device_progress_checked_by on public.device_progress;
+create trigger device_progress_checked_by
+  before insert or update on public.device_progress
+  for each row execute function public.set_device_progress_checked_by();
@@ -0,0 +1,139 @@
+-- Roles: admin, lead, technician, customer (read-only).
+--   admin       everything, including deleting checklists and managing roles
+--   lead        upload / replace checklists, start and close inspection sessions
+--   technician  record device results, notes and photos
+--   customer    read-only
+-- Every table requires a signed-in user with a role; the anon key alone no
+-- longer reads or writes anything. Grant the first admin from the SQL editor:
+--   insert into public.user_roles (user_id, role) values ('<auth user id>', 'admin');
+
+create table if not exists public.user_roles (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  role text not null check (role in ('admin', 'lead', 'technician', 'customer')),
+  created_at timestamptz not null default now()
+);
+
+create or replace function public.app_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from public.user_roles where user_id = auth.uid();
+$$;
+
+create or replace function public.has_role(variadic roles text[])
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(public.app_role() = any (roles), false);
+$$;
+
+-- Replace the open policies the tables were created with.
+do $$
+declare
+  pol record;
+begin
+  for pol in
+    select schemaname, tablename, policyname
+    from pg_policies
+    where schemaname = 'public'
+      and tablename in ('companies', 'checklists', 'devices', 'device_progress',
+                        'device_attachments', 'inspection_sessions', 'user_roles')
+  loop
+    execute format('drop policy if exists %I on %I.%I', pol.policyname, pol.schemaname, pol.tablename);
+  end loop;
+end;
+$$;
+
+alter table public.companies enable row level security;
+alter table public.checklists enable row level security;
+alter table public.devices enable row level security;
+alter table public.device_progress enable row level security;
+alter table public.device_attachments enable row level security;
+alter table public.inspection_sessions enable row level security;
+alter table public.user_roles enable row level security;
+
+-- Checklist data: everyone with a role reads, leads and admins write, admins delete.
+create policy "companies read" on public.companies
+  for select to authenticated using (public.app_role() is not null);
+create policy "companies insert" on public.companies
+  for insert to authenticated with check (public.has_role('admin', 'lead'));
+create policy "companies update" on public.companies
+  for update to authenticated using (public.has_role('admin', 'lead')) with check (public.has_role('admin', 'lead'));
+create policy "companies delete" on public.companies
+  for delete to authenticated using (public.has_role('admin'));
+
+create policy "checklists read" on public.checklists
+  for select to authenticated using (public.app_role() is not null);
+create policy "checklists insert" on public.checklists
+  for insert to authenticated with check (public.has_role('admin', 'lead'));
+create policy "checklists update" on public.checklists
+  for update to authenticated using (public.has_role('admin', 'lead')) with check (public.has_role('admin', 'lead'));
+create policy "checklists delete" on public.checklists
+  for delete to authenticated using (public.has_role('admin'));
+
+-- Replacing a device list deletes devices, so leads may delete devices (but not checklists).
+create policy "devices read" on public.devices
+  for select to authenticated using (public.app_role() is not null);
+create policy "devices insert" on public.devices
+  for insert to authenticated with check (public.has_role('admin', 'lead'));
+create policy "devices update" on public.devices
+  for update to authenticated using (public.has_role('admin', 'lead')) with check (public.has_role('admin', 'lead'));
+create policy "devices delete" on public.devices
+  for delete to authenticated using (public.has_role('admin', 'lead'));
+
+-- Inspection sessions: leads and admins start and close them.
+create policy "inspection_sessions read" on public.inspection_sessions
+  for select to authenticated using (public.app_role() is not null);
+create policy "inspection_sessions insert" on public.inspection_sessions
+  for insert to authenticated with check (public.has_role('admin', 'lead'));
+create policy "inspection_sessions update" on public.inspection_sessions
+  for update to authenticated using (public.has_role('admin', 'lead')) with check (public.has_role('admin', 'lead'));
+create policy "inspection_sessions delete" on public.inspection_sessions
+  for delete to authenticated using (public.has_role('admin'));
+
+-- Results, notes and photos: technicians and up.
+create policy "device_progress read" on public.device_progress
+  for select to authenticated using (public.app_role() is not null);
+create policy "device_progress insert" on public.device_progress
+  for insert to authenticated with check (public.has_role('admin', 'lead', 'technician'));
+create policy "device_progress update" on public.device_progress
+  for update to authenticated
+  using (public.has_role('admin', 'lead', 'technician'))
+  with check (public.has_role('admin', 'lead', 'technician'));
+create policy "device_progress delete" on public.device_progress
+  for delete to authenticated using (public.has_role('admin', 'lead'));
+
+create policy "device_attachments read" on public.device_attachments
+  for select to authenticated using (public.app_role() is not null);
+create policy "device_attachments insert" on public.device_attachments
+  for insert to authenticated with check (public.has_role('admin', 'lead', 'technician'));
+create policy "device_attachments delete" on public.device_attachments
+  for delete to authenticated using (public.has_role('admin', 'lead', 'technician'));
+
+-- Roles: users see their own, admins manage everyone's.
+create policy "user_roles read own" on public.user_roles
+  for select to authenticated using (user_id = auth.uid() or public.has_role('admin'));
+create policy "user_roles admin" on public.user_roles
+  for all to authenticated using (public.has_role('admin')) with check (public.has_role('admin'));
+
+-- Device photos in storage follow device_attachments.
+drop policy if exists "device-attachments read" on storage.objects;
+create policy "device-attachments read" on storage.objects
+  for select to authenticated
+  using (bucket_id = 'device-attachments' and public.app_role() is not null);
+
+drop policy if exists "device-attachments upload" on storage.objects;
+create policy "device-attachments upload" on storage.objects
+  for insert to authenticated
+  with check (bucket_id = 'device-attachments' and public.has_role('admin', 'lead', 'technician'));
+
+drop policy if exists "device-attachments delete" on storage.objects;
+create policy "device-attachments delete" on storage.objects
+  for delete to authenticated
+  using (bucket_id = 'device-attachments' and public.has_role('admin', 'lead', 'technician'));
@@ -0,0 +1,108 @@
+-- Append-only audit log of device_progress changes. Every insert, update and
+-- delete of a progress row records who made it, when, the state before and
+-- after, and the client (browser install) it came from. Rows are written only
+-- by the trigger below; nobody can update or delete them through the API.
+
+alter table public.device_progress
+  add column if not exists client_id text;
+
+create table if not exists public.progress_events (
+  id bigint generated always as identity primary key,
+  checklist_id uuid not null references public.checklists (id) on delete cascade,
+  session_id uuid references public.inspection_sessions (id) on delete cascade,
+  device_uid text not null,
+  action text not null check (action in ('insert', 'update', 'delete')),
+  old_checked boolean,
+  old_result text,
+  old_note text,
+  new_checked boolean,
+  new_result text,
+  new_note text,
+  actor_id uuid references auth.users (id) on delete set null,
+  actor_name text,
+  client_id text,
+  -- When the change was made on the device (differs from created_at for
+  -- changes replayed from the offline outbox).
+  changed_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists progress_events_checklist_idx
+  on public.progress_events (checklist_id, changed_at desc);
+
+create index if not exists progress_events_device_idx
+  on public.progress_events (session_id, device_uid, changed_at desc);
+
+create or replace function public.log_progress_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  jwt_name text := coalesce(
+    auth.jwt() -> 'user_metadata' ->> 'full_name',
+    auth.jwt() -> 'user_metadata' ->> 'name',
+    auth.jwt() ->> 'email'
+  );
+begin
+  if tg_op = 'DELETE' then
+    insert into public.progress_events (
+      checklist_id, session_id, device_uid, action,
+      old_checked, old_result, old_note,
+      actor_id, actor_name
+    ) values (
+      old.checklist_id, old.session_id, old.device_uid, 'delete',
+      old.checked, old.result, old.note,
+      auth.uid(), jwt_name
+    );
+    return old;
+  end if;
+
+  -- Re-saving the same state (e.g. an outbox replay) is not a change.
+  if tg_op = 'UPDATE'
+     and new.checked is not distinct from old.checked
+     and new.result is not distinct from old.result
+     and new.note is not distinct from old.note
+     and new.device_uid = old.device_uid then
+    return new;
+  end if;
+
+  insert into public.progress_events (
+    checklist_id, session_id, device_uid, action,
+    old_checked, old_result, old_note,
+    new_checked, new_result, new_note,
+    actor_id, actor_name, client_id, changed_at
+  ) values (
+    new.checklist_id, new.session_id, new.device_uid, lower(tg_op),
+    case when tg_op = 'UPDATE' then old.checked end,
+    case when tg_op = 'UPDATE' then old.result end,
+    case when tg_op = 'UPDATE' then old.note end,
+    new.checked, new.result, new.note,
+    coalesce(auth.uid(), new.checked_by),
+    -- The client-sent name only counts for writes without a signed-in user
+    case when auth.uid() is not null then coalesce(jwt_name, new.checked_by_name)
+         else coalesce(new.checked_by_name, jwt_name) end,
+    new.client_id,
+    coalesce(new.updated_at, now())
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists device_progress_log_event on public.device_progress;
+create trigger device_progress_log_event
+  after insert or update or delete on public.device_progress
+  for each row execute function public.log_progress_event();
+
+alter table public.progress_events enable row level security;
+
+-- Readable by every role; no insert/update/delete policies, so the log can
+-- only grow through the trigger.
+drop policy if exists "progress_events read" on public.progress_events;
+create policy "progress_events read" on public.progress_events
+  for select to authenticated using (public.app_role() is not null);
+
+revoke insert, update, delete on public.progress_events from anon, authenticated;
+
+alter publication supabase_realtime add table public.progress_events;
@@ -0,0 +1,134 @@
+-- Soft delete for checklists. "Deleting" a checklist in the admin page sets
+-- deleted_at; its devices, sessions, progress and photos stay untouched so a
+-- restore brings everything back. Checklists that have been in the Trash longer
+-- than the retention period (app_settings.trash_retention_days) are purged for
+-- good by public.purge_deleted_checklists(), which the admin page runs when an
+-- admin opens it. To also purge on a schedule with pg_cron:
+--   select cron.schedule('purge-checklist-trash', '30 3 * * *',
+--     $$select public.purge_deleted_checklists()$$);
+-- (scheduled purges leave the photo files of purged checklists in storage).
+
+alter table public.checklists
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by uuid references auth.users (id) on delete set null;
+
+create index if not exists checklists_deleted_at_idx
+  on public.checklists (deleted_at)
+  where deleted_at is not null;
+
+-- Small key/value store for settings admins change from the UI.
+create table if not exists public.app_settings (
+  key text primary key,
+  value jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+insert into public.app_settings (key, value)
+values ('trash_retention_days', '30'::jsonb)
+on conflict (key) do nothing;
+
+alter table public.app_settings enable row level security;
+
+drop policy if exists "app_settings read" on public.app_settings;
+create policy "app_settings read" on public.app_settings
+  for select to authenticated using (public.app_role() is not null);
+drop policy if exists "app_settings admin" on public.app_settings;
+create policy "app_settings admin" on public.app_settings
+  for all to authenticated using (public.has_role('admin')) with check (public.has_role('admin'));
+
+-- Only admins see checklists in the Trash.
+drop policy if exists "checklists read" on public.checklists;
+create policy "checklists read" on public.checklists
+  for select to authenticated
+  using (public.app_role() is not null and (deleted_at is null or public.has_role('admin')));
+
+-- Callers allowed to manage the Trash: admins, the service role (scripts/)
+-- and direct database sessions such as the SQL editor or pg_cron. API
+-- requests always connect as "authenticator", so a missing JWT (auth.uid()
+-- null) is not enough to get in.
+create or replace function public.is_admin_or_service()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.has_role('admin')
+    or coalesce(auth.role(), '') = 'service_role'
+    or session_user <> 'authenticator';
+$$;
+
+revoke execute on function public.is_admin_or_service() from public, anon;
+grant execute on function public.is_admin_or_service() to authenticated, service_role;
+
+-- Only admins move checklists to or out of the Trash; record who did it.
+create or replace function public.guard_checklist_trash()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.deleted_at is distinct from old.deleted_at then
+    if not public.is_admin_or_service() then
+      raise exception 'Only admins can delete or restore checklists.'
+        using errcode = '42501';
+    end if;
+    new.deleted_by := case when new.deleted_at is null then null else auth.uid() end;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists checklists_guard_trash on public.checklists;
+create trigger checklists_guard_trash
+  before update on public.checklists
+  for each row execute function public.guard_checklist_trash();
+
+create or replace function public.trash_retention_days()
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((select (value #>> '{}')::integer from public.app_settings where key = 'trash_retention_days'), 30);
+$$;
+
+-- Permanently deletes checklists that have been in the Trash longer than the
+-- retention period (or the given ids, when passed), with their devices and
+-- everything that cascades from them, plus companies left without checklists.
+create or replace function public.purge_deleted_checklists(only_ids uuid[] default null)
+returns setof uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  purged uuid[];
+  owners uuid[];
+begin
+  if not public.is_admin_or_service() then
+    raise exception 'Only admins can purge checklists.' using errcode = '42501';
+  end if;
+
+  select coalesce(array_agg(id), '{}'), coalesce(array_agg(distinct company_id), '{}')
+    into purged, owners
+  from public.checklists
+  where deleted_at is not null
+    and (
+      (only_ids is null and deleted_at < now() - make_interval(days => public.trash_retention_days()))
+      or id = any (only_ids)
+    );
+
+  delete from public.device_progress where checklist_id = any (purged);
+  delete from public.devices where checklist_id = any (purged);
+  delete from public.checklists where id = any (purged);
+  delete from public.companies c
+  where c.id = any (owners)
+    and not exists (select 1 from public.checklists where company_id = c.id);
+
+  return query select unnest(purged);
+end;
+$$;
+
+revoke execute on function public.purge_deleted_checklists(uuid[]) from public, anon;
+grant execute on function public.purge_deleted_checklists(uuid[]) to authenticated, service_role;
@@ -0,0 +1,48 @@
+-- Device list versions. Every upload or import of a checklist's devices stores
+-- a snapshot of the resulting list (with device row ids, so rolling back can
+-- reattach progress and photos to re-added devices) and a summary of what the
+-- upload added, changed and removed. Versions are numbered per checklist.
+
+create table if not exists public.device_list_versions (
+  id uuid primary key default gen_random_uuid(),
+  checklist_id uuid not null references public.checklists (id) on delete cascade,
+  version integer not null,
+  source text not null default 'upload'
+    check (source in ('baseline', 'upload', 'import', 'rollback', 'migration')),
+  devices jsonb not null,
+  device_count integer generated always as (jsonb_array_length(devices)) stored,
+  summary jsonb,
+  rolled_back_to integer,
+  created_by uuid references auth.users (id) on delete set null default auth.uid(),
+  created_by_name text,
+  created_at timestamptz not null default now(),
+  unique (checklist_id, version)
+);
+
+create or replace function public.number_device_list_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  perform pg_advisory_xact_lock(hashtext(new.checklist_id::text));
+  select coalesce(max(version), 0) + 1 into new.version
+  from public.device_list_versions
+  where checklist_id = new.checklist_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists device_list_versions_number on public.device_list_versions;
+create trigger device_list_versions_number
+  before insert on public.device_list_versions
+  for each row execute function public.number_device_list_version();
+
+alter table public.device_list_versions enable row level security;
+
+-- Same audience as the device list itself; versions are never edited.
+drop policy if exists "device_list_versions read" on public.device_list_versions;
+create policy "device_list_versions read" on public.device_list_versions
+  for select to authenticated using (public.app_role() is not null);
+drop policy if exists "device_list_versions insert" on public.device_list_versions;
+create policy "device_list_versions insert" on public.device_list_versions
+  for insert to authenticated with check (public.has_role('admin', 'lead'));
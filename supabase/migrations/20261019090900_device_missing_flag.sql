@@ -0,0 +1,6 @@
+-- Merge uploads add and update devices without deleting the ones a partial
+-- device list leaves out. When asked to, they flag those devices instead;
+-- the flag is cleared as soon as an upload contains the device again.
+
+alter table public.devices
+  add column if not exists missing_from_upload_at timestamptz;
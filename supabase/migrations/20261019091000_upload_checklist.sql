@@ -0,0 +1,399 @@
+-- Atomic checklist upload. public.upload_checklist() finds or creates the
+-- company and checklist and syncs the checklist's devices in one transaction,
+-- so a failed insert can no longer leave a checklist with its devices deleted.
+-- Devices are matched the same way as planDeviceSync() in device-identity.js:
+-- unique normalized serial numbers first, then unique loop + address, so
+-- matched devices keep their row id (and their progress and photos). The
+-- resulting list is saved to device_list_versions. public.rollback_device_list()
+-- restores an earlier version the same way.
+--
+-- Runs with the caller's rights: row-level security decides who may upload,
+-- and restoring a checklist from the Trash still needs an admin. Others get
+-- an error saying the checklist is in the Trash. Skip mode leaves a trashed
+-- checklist where it is (in the Trash) and reports `trashed: true`.
+
+-- Same rules as normalizeSerial() in device-identity.js.
+create or replace function public.normalize_device_serial(serial text)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when v = '' or v = 'N/A' or v ~ '^0+$' then ''
+    else v
+  end
+  from (select upper(regexp_replace(coalesce(serial, ''), '\s+', '', 'g')) as v) s;
+$$;
+
+-- Snapshot of a checklist's devices, as stored in device_list_versions.devices.
+create or replace function public.device_list_snapshot(target_checklist uuid)
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'id', id,
+    'loop', loop,
+    'address', address,
+    'model', model,
+    'device_type', device_type,
+    'serial_number', serial_number,
+    'messages', messages
+  ) order by loop nulls last, address nulls last, id), '[]'::jsonb)
+  from public.devices
+  where checklist_id = target_checklist;
+$$;
+
+-- Id of a checklist in the Trash. The "checklists read" policy hides trashed
+-- checklists from everyone but admins, so upload_checklist() asks through
+-- here before it would try to create a second checklist with the same name.
+create or replace function public.trashed_checklist_id(target_company uuid, target_name text)
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select id
+  from public.checklists
+  where company_id = target_company and name = target_name and deleted_at is not null
+  limit 1;
+$$;
+
+revoke execute on function public.trashed_checklist_id(uuid, text) from public, anon;
+grant execute on function public.trashed_checklist_id(uuid, text) to authenticated, service_role;
+
+-- Syncs a checklist's devices with device_rows inside the caller's
+-- transaction; shared by upload_checklist() and rollback_device_list().
+-- Devices are matched the same way as planDeviceSync() in device-identity.js.
+-- keep_ids: unmatched rows are inserted under their `id` (rollbacks re-add a
+-- snapshot's devices so their progress and photos reattach).
+-- Returns the version summary plus `flagged`.
+create or replace function public.sync_checklist_devices(
+  target_checklist uuid,
+  device_rows jsonb,
+  existing_mode text default 'replace',
+  flag_missing boolean default false,
+  keep_ids boolean default false
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  matched_ids uuid[];
+  matched_ords bigint[];
+  added_count integer := 0;
+  changed_count integer := 0;
+  removed_count integer := 0;
+  missing_count integer := 0;
+  flagged_count integer := 0;
+  summary jsonb;
+begin
+  create temporary table upload_incoming on commit drop as
+  select
+    r.ord,
+    case when keep_ids then (r.row ->> 'id')::uuid end as id,
+    (r.row ->> 'loop')::integer as loop,
+    (r.row ->> 'address')::integer as address,
+    nullif(trim(r.row ->> 'model'), '') as model,
+    nullif(trim(r.row ->> 'device_type'), '') as device_type,
+    nullif(trim(r.row ->> 'serial_number'), '') as serial_number,
+    nullif(trim(r.row ->> 'messages'), '') as messages
+  from jsonb_array_elements(coalesce(device_rows, '[]'::jsonb)) with ordinality as r(row, ord);
+
+  -- Pair incoming rows with existing devices: serial numbers first, then
+  -- loop + address for what is left. Keys that occur more than once on either
+  -- side are ambiguous and never matched.
+  with incoming as (
+    select ord, loop, address, public.normalize_device_serial(serial_number) as serial
+    from upload_incoming
+  ),
+  existing as (
+    select id, loop, address, public.normalize_device_serial(serial_number) as serial
+    from public.devices
+    where checklist_id = target_checklist
+  ),
+  serial_pairs as (
+    select e.id, i.ord
+    from (select ord, serial, count(*) over (partition by serial) as n from incoming where serial <> '') i
+    join (select id, serial, count(*) over (partition by serial) as n from existing where serial <> '') e
+      on e.serial = i.serial
+    where i.n = 1 and e.n = 1
+  ),
+  loop_address_pairs as (
+    select e.id, i.ord
+    from (
+      select ord, loop, address, count(*) over (partition by loop, address) as n
+      from incoming
+      where loop is not null and address is not null
+        and ord not in (select ord from serial_pairs)
+    ) i
+    join (
+      select id, loop, address, count(*) over (partition by loop, address) as n
+      from existing
+      where loop is not null and address is not null
+        and id not in (select id from serial_pairs)
+    ) e on e.loop = i.loop and e.address = i.address
+    where i.n = 1 and e.n = 1
+  ),
+  pairs as (
+    select id, ord from serial_pairs
+    union all
+    select id, ord from loop_address_pairs
+  )
+  select coalesce(array_agg(id order by ord), '{}'), coalesce(array_agg(ord order by ord), '{}')
+    into matched_ids, matched_ords
+  from pairs;
+
+  if existing_mode = 'replace' then
+    delete from public.devices
+    where checklist_id = target_checklist
+      and id <> all (matched_ids);
+    get diagnostics removed_count = row_count;
+  else
+    select count(*) into missing_count
+    from public.devices
+    where checklist_id = target_checklist
+      and id <> all (matched_ids);
+
+    if flag_missing then
+      update public.devices
+        set missing_from_upload_at = now()
+        where checklist_id = target_checklist
+          and id <> all (matched_ids)
+          and missing_from_upload_at is null;
+      get diagnostics flagged_count = row_count;
+    end if;
+  end if;
+
+  -- Matched devices take the uploaded values and are no longer missing.
+  select count(*) into changed_count
+  from unnest(matched_ids, matched_ords) as m(id, ord)
+  join public.devices d on d.id = m.id
+  join upload_incoming i on i.ord = m.ord
+  where (d.loop, d.address, d.model, d.device_type, d.serial_number, d.messages)
+    is distinct from (i.loop, i.address, i.model, i.device_type, i.serial_number, i.messages);
+
+  update public.devices d
+    set loop = i.loop,
+        address = i.address,
+        model = i.model,
+        device_type = i.device_type,
+        serial_number = i.serial_number,
+        messages = i.messages,
+        missing_from_upload_at = null
+    from unnest(matched_ids, matched_ords) as m(id, ord)
+    join upload_incoming i on i.ord = m.ord
+    where d.id = m.id
+      and (
+        d.missing_from_upload_at is not null
+        or (d.loop, d.address, d.model, d.device_type, d.serial_number, d.messages)
+          is distinct from (i.loop, i.address, i.model, i.device_type, i.serial_number, i.messages)
+      );
+
+  insert into public.devices (id, checklist_id, loop, address, model, device_type, serial_number, messages)
+  select
+    case when id is not null and not exists (select 1 from public.devices d where d.id = upload_incoming.id)
+      then id else gen_random_uuid() end,
+    target_checklist, loop, address, model, device_type, serial_number, messages
+  from upload_incoming
+  where ord <> all (matched_ords)
+  order by ord;
+  get diagnostics added_count = row_count;
+
+  summary := jsonb_build_object(
+    'added', added_count,
+    'changed', changed_count,
+    'removed', removed_count,
+    'unchanged', cardinality(matched_ids) - changed_count
+  );
+  if existing_mode = 'merge' then
+    summary := summary || jsonb_build_object('missing', missing_count);
+  end if;
+
+  drop table upload_incoming;
+
+  return summary || jsonb_build_object('flagged', flagged_count);
+end;
+$$;
+
+revoke execute on function public.sync_checklist_devices(uuid, jsonb, text, boolean, boolean) from public, anon;
+grant execute on function public.sync_checklist_devices(uuid, jsonb, text, boolean, boolean) to authenticated, service_role;
+
+-- company_name / checklist_name: see describeChecklistObject() in admin-upload.js.
+-- device_rows: devices rows as built by toDeviceRow() (checklist_id is ignored).
+-- existing_mode: 'replace', 'merge' (never deletes; flag_missing marks the
+-- devices the payload left out) or 'skip' (existing checklists are left alone).
+-- actor_name: who the saved version is credited to, for service-role callers
+-- (scripts/sync-checklists.mjs). Signed-in users are credited from their JWT.
+create or replace function public.upload_checklist(
+  company_name text,
+  checklist_name text,
+  device_rows jsonb default '[]'::jsonb,
+  existing_mode text default 'replace',
+  flag_missing boolean default false,
+  upload_source text default 'upload',
+  actor_name text default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  target_company uuid;
+  target_checklist public.checklists;
+  exists_visible boolean;
+  trashed_id uuid;
+  created boolean := false;
+  restored boolean := false;
+  existing_count integer;
+  summary jsonb;
+  new_version integer;
+  version_author text;
+begin
+  if existing_mode not in ('replace', 'merge', 'skip') then
+    raise exception 'Unknown upload mode "%".', existing_mode using errcode = '22023';
+  end if;
+  if coalesce(trim(company_name), '') = '' or coalesce(trim(checklist_name), '') = '' then
+    raise exception 'A company and checklist name are required.' using errcode = '22023';
+  end if;
+  if jsonb_typeof(coalesce(device_rows, '[]'::jsonb)) <> 'array' then
+    raise exception 'device_rows must be a JSON array.' using errcode = '22023';
+  end if;
+
+  version_author := case
+    when auth.uid() is not null then coalesce(
+      auth.jwt() -> 'user_metadata' ->> 'full_name',
+      auth.jwt() -> 'user_metadata' ->> 'name',
+      nullif(split_part(auth.jwt() ->> 'email', '@', 1), '')
+    )
+    when public.is_admin_or_service() then actor_name
+  end;
+
+  select id into target_company
+  from public.companies
+  where name = company_name
+  limit 1;
+
+  if target_company is null then
+    insert into public.companies (name)
+    values (company_name)
+    returning id into target_company;
+  end if;
+
+  select * into target_checklist
+  from public.checklists
+  where company_id = target_company and name = checklist_name
+  limit 1
+  for update;
+  exists_visible := found;
+
+  if not exists_visible then
+    trashed_id := public.trashed_checklist_id(target_company, checklist_name);
+    if trashed_id is not null and existing_mode <> 'skip' then
+      raise exception 'Checklist "%" for "%" is in the Trash; ask an admin to restore it.', checklist_name, company_name
+        using errcode = '42501';
+    end if;
+  end if;
+
+  if existing_mode = 'skip' and (exists_visible or trashed_id is not null) then
+    return jsonb_build_object(
+      'company_id', target_company,
+      'checklist_id', coalesce(target_checklist.id, trashed_id),
+      'created', false,
+      'restored', false,
+      'skipped', true,
+      'trashed', trashed_id is not null or target_checklist.deleted_at is not null
+    );
+  end if;
+
+  if not exists_visible then
+    insert into public.checklists (company_id, name, year)
+    values (target_company, checklist_name, extract(year from now())::integer)
+    returning * into target_checklist;
+    created := true;
+  elsif target_checklist.deleted_at is not null then
+    update public.checklists
+      set deleted_at = null
+      where id = target_checklist.id;
+    restored := true;
+  end if;
+
+  select count(*) into existing_count
+  from public.devices
+  where checklist_id = target_checklist.id;
+
+  -- First versioned change of a list that predates versioning: keep what it replaces.
+  if existing_count > 0 and not exists (
+    select 1 from public.device_list_versions where checklist_id = target_checklist.id
+  ) then
+    insert into public.device_list_versions (checklist_id, source, devices, created_by_name)
+    values (target_checklist.id, 'baseline', public.device_list_snapshot(target_checklist.id), version_author);
+  end if;
+
+  summary := public.sync_checklist_devices(target_checklist.id, device_rows, existing_mode, flag_missing);
+
+  insert into public.device_list_versions (checklist_id, source, devices, summary, created_by_name)
+  values (target_checklist.id, upload_source, public.device_list_snapshot(target_checklist.id), summary - 'flagged', version_author)
+  returning version into new_version;
+
+  return summary || jsonb_build_object(
+    'company_id', target_company,
+    'checklist_id', target_checklist.id,
+    'created', created,
+    'restored', restored,
+    'skipped', false,
+    'version', new_version
+  );
+end;
+$$;
+
+revoke execute on function public.upload_checklist(text, text, jsonb, text, boolean, text, text) from public, anon;
+grant execute on function public.upload_checklist(text, text, jsonb, text, boolean, text, text) to authenticated, service_role;
+
+-- Restores the device list of an earlier version in one transaction. Devices
+-- still on the list keep their current row; devices the version had but the
+-- list lost are re-added under their old id. Saved as a new 'rollback' version.
+create or replace function public.rollback_device_list(target_checklist uuid, target_version uuid)
+returns jsonb
+language plpgsql
+as $$
+declare
+  target public.device_list_versions;
+  summary jsonb;
+  new_version integer;
+begin
+  select * into target
+  from public.device_list_versions
+  where id = target_version;
+  if not found then
+    raise exception 'Device list version not found.' using errcode = 'P0002';
+  end if;
+  if target.checklist_id <> target_checklist then
+    raise exception 'That version belongs to a different checklist.' using errcode = '22023';
+  end if;
+
+  perform 1 from public.checklists where id = target_checklist for update;
+
+  summary := public.sync_checklist_devices(target_checklist, target.devices, 'replace', false, true);
+
+  insert into public.device_list_versions (checklist_id, source, devices, summary, rolled_back_to, created_by_name)
+  values (
+    target_checklist,
+    'rollback',
+    public.device_list_snapshot(target_checklist),
+    summary - 'flagged',
+    target.version,
+    coalesce(
+      auth.jwt() -> 'user_metadata' ->> 'full_name',
+      auth.jwt() -> 'user_metadata' ->> 'name',
+      nullif(split_part(auth.jwt() ->> 'email', '@', 1), '')
+    )
+  )
+  returning version into new_version;
+
+  return (summary - 'flagged') || jsonb_build_object('version', new_version, 'rolled_back_to', target.version);
+end;
+$$;
+
+revoke execute on function public.rollback_device_list(uuid, uuid) from public, anon;
+grant execute on function public.rollback_device_list(uuid, uuid) to authenticated, service_role;
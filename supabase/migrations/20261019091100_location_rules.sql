@@ -0,0 +1,14 @@
+-- Per-checklist floor override rules for the grouped device view (see
+-- device-location.js): [{ "pattern": "<regular expression>", "floor": "<label>" }],
+-- tried in order before the built-in floor patterns. Edited by leads and
+-- admins through the existing "checklists update" policy.
+
+alter table public.checklists
+  add column if not exists location_rules jsonb not null default '[]'::jsonb;
+
+alter table public.checklists
+  drop constraint if exists checklists_location_rules_check;
+
+alter table public.checklists
+  add constraint checklists_location_rules_check
+  check (jsonb_typeof(location_rules) = 'array');
@@ -0,0 +1,14 @@
+-- Per-checklist walk route: the order the crew walks the building, as an array
+-- of device row ids (devices.id). The workspace sorts by it and its
+-- "Next device" button follows it; devices not on the route come last.
+-- Edited by leads and admins through the existing "checklists update" policy.
+
+alter table public.checklists
+  add column if not exists walk_route jsonb not null default '[]'::jsonb;
+
+alter table public.checklists
+  drop constraint if exists checklists_walk_route_check;
+
+alter table public.checklists
+  add constraint checklists_walk_route_check
+  check (jsonb_typeof(walk_route) = 'array');
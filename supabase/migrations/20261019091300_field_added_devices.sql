@@ -0,0 +1,288 @@
+-- Devices found on site and added from the workspace ("Add device") wait for
+-- an admin to approve or reject them in admin.html:
+--   review_status null        from an upload or import
+--   review_status 'pending'   added in the field, not yet reviewed
+--   review_status 'approved'  added in the field and approved
+-- Rejecting deletes the device (reject_field_added_device()). Uploads and
+-- rollbacks leave pending devices alone until they are reviewed.
+
+alter table public.devices
+  add column if not exists review_status text,
+  add column if not exists field_added_at timestamptz,
+  add column if not exists field_added_by uuid references auth.users (id) on delete set null,
+  add column if not exists field_added_by_name text;
+
+alter table public.devices
+  drop constraint if exists devices_review_status_check;
+
+alter table public.devices
+  add constraint devices_review_status_check
+  check (review_status is null or review_status in ('pending', 'approved'));
+
+create index if not exists devices_pending_review_idx
+  on public.devices (checklist_id)
+  where review_status = 'pending';
+
+-- Who added a field device and when is taken from the session, not the
+-- client: a signed-in user cannot attribute an addition to someone else.
+create or replace function public.set_device_field_added()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.review_status = 'pending' and auth.uid() is not null then
+    new.field_added_at := now();
+    new.field_added_by := auth.uid();
+    new.field_added_by_name := coalesce(
+      auth.jwt() -> 'user_metadata' ->> 'full_name',
+      auth.jwt() -> 'user_metadata' ->> 'name',
+      nullif(split_part(auth.jwt() ->> 'email', '@', 1), '')
+    );
+  elsif new.review_status is null then
+    new.field_added_at := null;
+    new.field_added_by := null;
+    new.field_added_by_name := null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists devices_field_added on public.devices;
+create trigger devices_field_added
+  before insert on public.devices
+  for each row execute function public.set_device_field_added();
+
+-- Technicians may insert devices, but only as pending field additions.
+drop policy if exists "devices insert" on public.devices;
+create policy "devices insert" on public.devices
+  for insert to authenticated
+  with check (
+    case
+      when review_status = 'pending' then public.has_role('admin', 'lead', 'technician')
+      when review_status = 'approved' then public.has_role('admin')
+      else public.has_role('admin', 'lead')
+    end
+  );
+
+-- Leads can update devices (uploads, imports), but only admins review them.
+create or replace function public.devices_review_guard()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.review_status is distinct from old.review_status and not public.is_admin_or_service() then
+    raise exception 'Only admins can approve field-added devices.'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists devices_review_guard on public.devices;
+create trigger devices_review_guard
+  before update of review_status on public.devices
+  for each row execute function public.devices_review_guard();
+
+-- Rejecting deletes a still-pending device with its results and notes in one
+-- transaction. Returns { rejected, storage_paths }: rejected is false when the
+-- device is gone or no longer pending (e.g. another admin approved it);
+-- storage_paths are the device's photos, for the caller to remove from
+-- storage.
+create or replace function public.reject_field_added_device(target_device uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target public.devices%rowtype;
+  paths text[];
+begin
+  if not public.is_admin_or_service() then
+    raise exception 'Only admins can review field-added devices.' using errcode = '42501';
+  end if;
+
+  select * into target
+  from public.devices
+  where id = target_device and review_status = 'pending'
+  for update;
+
+  if not found then
+    return jsonb_build_object('rejected', false, 'storage_paths', '[]'::jsonb);
+  end if;
+
+  with removed as (
+    delete from public.device_attachments
+    where checklist_id = target.checklist_id and device_uid = target.id::text
+    returning storage_path
+  )
+  select coalesce(array_agg(storage_path) filter (where storage_path is not null), '{}')
+    into paths
+  from removed;
+
+  delete from public.device_progress
+  where checklist_id = target.checklist_id and device_uid = target.id::text;
+
+  delete from public.devices where id = target.id;
+
+  return jsonb_build_object('rejected', true, 'storage_paths', to_jsonb(paths));
+end;
+$$;
+
+revoke execute on function public.reject_field_added_device(uuid) from public, anon;
+grant execute on function public.reject_field_added_device(uuid) to authenticated, service_role;
+
+-- sync_checklist_devices() from 20261019091000_upload_checklist.sql, except
+-- that a pending device the payload leaves out is neither deleted (replace)
+-- nor counted or flagged as missing (merge): the upload was prepared before
+-- the technician found it.
+create or replace function public.sync_checklist_devices(
+  target_checklist uuid,
+  device_rows jsonb,
+  existing_mode text default 'replace',
+  flag_missing boolean default false,
+  keep_ids boolean default false
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  matched_ids uuid[];
+  matched_ords bigint[];
+  added_count integer := 0;
+  changed_count integer := 0;
+  removed_count integer := 0;
+  missing_count integer := 0;
+  flagged_count integer := 0;
+  summary jsonb;
+begin
+  create temporary table upload_incoming on commit drop as
+  select
+    r.ord,
+    case when keep_ids then (r.row ->> 'id')::uuid end as id,
+    (r.row ->> 'loop')::integer as loop,
+    (r.row ->> 'address')::integer as address,
+    nullif(trim(r.row ->> 'model'), '') as model,
+    nullif(trim(r.row ->> 'device_type'), '') as device_type,
+    nullif(trim(r.row ->> 'serial_number'), '') as serial_number,
+    nullif(trim(r.row ->> 'messages'), '') as messages
+  from jsonb_array_elements(coalesce(device_rows, '[]'::jsonb)) with ordinality as r(row, ord);
+
+  -- Pair incoming rows with existing devices: serial numbers first, then
+  -- loop + address for what is left. Keys that occur more than once on either
+  -- side are ambiguous and never matched.
+  with incoming as (
+    select ord, loop, address, public.normalize_device_serial(serial_number) as serial
+    from upload_incoming
+  ),
+  existing as (
+    select id, loop, address, public.normalize_device_serial(serial_number) as serial
+    from public.devices
+    where checklist_id = target_checklist
+  ),
+  serial_pairs as (
+    select e.id, i.ord
+    from (select ord, serial, count(*) over (partition by serial) as n from incoming where serial <> '') i
+    join (select id, serial, count(*) over (partition by serial) as n from existing where serial <> '') e
+      on e.serial = i.serial
+    where i.n = 1 and e.n = 1
+  ),
+  loop_address_pairs as (
+    select e.id, i.ord
+    from (
+      select ord, loop, address, count(*) over (partition by loop, address) as n
+      from incoming
+      where loop is not null and address is not null
+        and ord not in (select ord from serial_pairs)
+    ) i
+    join (
+      select id, loop, address, count(*) over (partition by loop, address) as n
+      from existing
+      where loop is not null and address is not null
+        and id not in (select id from serial_pairs)
+    ) e on e.loop = i.loop and e.address = i.address
+    where i.n = 1 and e.n = 1
+  ),
+  pairs as (
+    select id, ord from serial_pairs
+    union all
+    select id, ord from loop_address_pairs
+  )
+  select coalesce(array_agg(id order by ord), '{}'), coalesce(array_agg(ord order by ord), '{}')
+    into matched_ids, matched_ords
+  from pairs;
+
+  if existing_mode = 'replace' then
+    delete from public.devices
+    where checklist_id = target_checklist
+      and id <> all (matched_ids)
+      and review_status is distinct from 'pending';
+    get diagnostics removed_count = row_count;
+  else
+    select count(*) into missing_count
+    from public.devices
+    where checklist_id = target_checklist
+      and id <> all (matched_ids)
+      and review_status is distinct from 'pending';
+
+    if flag_missing then
+      update public.devices
+        set missing_from_upload_at = now()
+        where checklist_id = target_checklist
+          and id <> all (matched_ids)
+          and review_status is distinct from 'pending'
+          and missing_from_upload_at is null;
+      get diagnostics flagged_count = row_count;
+    end if;
+  end if;
+
+  -- Matched devices take the uploaded values and are no longer missing.
+  select count(*) into changed_count
+  from unnest(matched_ids, matched_ords) as m(id, ord)
+  join public.devices d on d.id = m.id
+  join upload_incoming i on i.ord = m.ord
+  where (d.loop, d.address, d.model, d.device_type, d.serial_number, d.messages)
+    is distinct from (i.loop, i.address, i.model, i.device_type, i.serial_number, i.messages);
+
+  update public.devices d
+    set loop = i.loop,
+        address = i.address,
+        model = i.model,
+        device_type = i.device_type,
+        serial_number = i.serial_number,
+        messages = i.messages,
+        missing_from_upload_at = null
+    from unnest(matched_ids, matched_ords) as m(id, ord)
+    join upload_incoming i on i.ord = m.ord
+    where d.id = m.id
+      and (
+        d.missing_from_upload_at is not null
+        or (d.loop, d.address, d.model, d.device_type, d.serial_number, d.messages)
+          is distinct from (i.loop, i.address, i.model, i.device_type, i.serial_number, i.messages)
+      );
+
+  insert into public.devices (id, checklist_id, loop, address, model, device_type, serial_number, messages)
+  select
+    case when id is not null and not exists (select 1 from public.devices d where d.id = upload_incoming.id)
+      then id else gen_random_uuid() end,
+    target_checklist, loop, address, model, device_type, serial_number, messages
+  from upload_incoming
+  where ord <> all (matched_ords)
+  order by ord;
+  get diagnostics added_count = row_count;
+
+  summary := jsonb_build_object(
+    'added', added_count,
+    'changed', changed_count,
+    'removed', removed_count,
+    'unchanged', cardinality(matched_ids) - changed_count
+  );
+  if existing_mode = 'merge' then
+    summary := summary || jsonb_build_object('missing', missing_count);
+  end if;
+
+  drop table upload_incoming;
+
+  return summary || jsonb_build_object('flagged', flagged_count);
+end;
+$$;
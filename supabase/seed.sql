@@ -0,0 +1,1311 @@
+-- Seed data: the checklists from checklists.js.
+-- Generated by scripts/generate-seed.mjs; edit checklists.js and regenerate instead of editing this file.
+
+-- McFarland Public Safety Center / Fire Alarm Device Inspection (122 devices)
+select public.upload_checklist(
+  'McFarland Public Safety Center',
+  'Fire Alarm Device Inspection',
+  $json$[
+  {"loop":1,"address":1,"model":"PS","device_type":"Smoke Verified","serial_number":"3939747909","messages":"BASEMENT SMOKE ABOVE FACP"},
+  {"loop":1,"address":2,"model":"HRS","device_type":"Heat ROR","serial_number":"3831067556","messages":"BASEMENT HEAT BY SPRINK PIPING"},
+  {"loop":1,"address":3,"model":"HRS","device_type":"Heat ROR","serial_number":"3828858723","messages":"BASEMENT HEAT MECHANICAL RM"},
+  {"loop":1,"address":4,"model":"PS","device_type":"Smoke Verified","serial_number":"3939754204","messages":"BASEMENT SMOKE ELEVATOR SMOKE"},
+  {"loop":1,"address":5,"model":"HRS","device_type":"Heat ROR","serial_number":"3828858570","messages":"BASEMENT HEAT OUTSIDE PANEL RM"},
+  {"loop":1,"address":6,"model":"HRS","device_type":"Heat ROR","serial_number":"3828849349","messages":"BASEMENT HEAT ABOVE PANEL"},
+  {"loop":1,"address":7,"model":"HRS","device_type":"Heat ROR","serial_number":"3828845501","messages":"BASEMENT HEAT MIDDLE/STAIRWELL B"},
+  {"loop":1,"address":8,"model":"HRS","device_type":"Heat ROR","serial_number":"3828862416","messages":"BASEMENT HEAT FAR MIDDLE/STAIR A"},
+  {"loop":1,"address":9,"model":"HRS","device_type":"Heat ROR","serial_number":"3828845457","messages":"BASEMENT HEAT NORTH/STAIRWELL A"},
+  {"loop":1,"address":10,"model":"SD","device_type":"Duct Supervisory Latching","serial_number":"3969261901","messages":"APPATURE BAY MEZ DUCT DETECTOR"},
+  {"loop":1,"address":11,"model":"PS","device_type":"Smoke Verified","serial_number":"3939777975","messages":"PENTHOUSE SMOKE ABOVE BOSCH DIALER"},
+  {"loop":1,"address":12,"model":"PS","device_type":"Smoke Verified","serial_number":"3939754365","messages":"SOUTH STAIRWELL SMOKE DETECTOR"},
+  {"loop":1,"address":13,"model":"PS","device_type":"Smoke Verified","serial_number":"3939647735","messages":"OUTSIDE SOUTH STAIR NEXT TO EXTERIOR DR"},
+  {"loop":1,"address":14,"model":"PS","device_type":"Smoke Verified","serial_number":"3939753535","messages":"1ST FLOOR SMOKE CORRIDOR TO STAIR B"},
+  {"loop":1,"address":15,"model":"PS","device_type":"Smoke Verified","serial_number":"3939753511","messages":"1ST FLOOR SMOKE S/E APP BAY"},
+  {"loop":1,"address":16,"model":"PS","device_type":"Smoke Verified","serial_number":"3939754167","messages":"1ST FLOOR SMOKE ELEVATOR SMOKE"},
+  {"loop":1,"address":17,"model":"PS","device_type":"Smoke Verified","serial_number":"3939755119","messages":"1ST FLOOR SMOKE OUTSIDE ELEVATOR"},
+  {"loop":1,"address":18,"model":"SD","device_type":"Duct Supervisory Latching","serial_number":"3912816448","messages":"1ST FLOOR DUCT STAIRWELL B"},
+  {"loop":1,"address":19,"model":"SD","device_type":"Duct Supervisory Latching","serial_number":"3912816295","messages":"1ST FLOOR DUCT STAIRWELL B"},
+  {"loop":1,"address":20,"model":"PS","device_type":"Smoke Verified","serial_number":"3939754259","messages":"1ST FLOOR SMOKE EAST APP BAY"},
+  {"loop":1,"address":21,"model":"PS","device_type":"Smoke Verified","serial_number":"3939754297","messages":"1ST FLOOR SMOKE TRAINING STORAGE"},
+  {"loop":1,"address":22,"model":"PS","device_type":"Smoke Verified","serial_number":"3939755096","messages":"1ST FLOOR SMOKE MEDICAL STORAGE"},
+  {"loop":1,"address":23,"model":"PS","device_type":"Smoke Verified","serial_number":"3939755225","messages":"1ST FLOOR SMOKE IT/COMM ROOM"},
+  {"loop":1,"address":24,"model":"PS","device_type":"Smoke Verified","serial_number":"3939754020","messages":"1ST FLOOR SMOKE JANITOR STORAGE"},
+  {"loop":1,"address":25,"model":"PS","device_type":"Smoke Verified","serial_number":"3939747961","messages":"1ST FLOOR SMOKE AV STORAGE ROOM"},
+  {"loop":1,"address":26,"model":"PS","device_type":"Smoke Verified","serial_number":"3939754792","messages":"1ST FLOOR SMOKE COURT STORAGE"},
+  {"loop":1,"address":27,"model":"PS","device_type":"Smoke Verified","serial_number":"3939753962","messages":"1ST FLOOR POLICE SM EVIDENCE PROC. STOR."},
+  {"loop":1,"address":28,"model":"PS","device_type":"Smoke Verified","serial_number":"3939753849","messages":"1ST FLOOR SMOKE POLICE IT CLOSET"},
+  {"loop":1,"address":29,"model":"PS","device_type":"Smoke Verified","serial_number":"3939753832","messages":"1ST FLOOR SMOKE POLICE SHOWER STRG"},
+  {"loop":1,"address":30,"model":"PS","device_type":"Smoke Verified","serial_number":"3939759575","messages":"1ST FLOOR SMOKE POLICE INVEST RM"},
+  {"loop":1,"address":31,"model":"PS","device_type":"Smoke Verified","serial_number":"3939758134","messages":"1ST FLOOR SMOKE POLICE P120 STORAGE"},
+  {"loop":1,"address":32,"model":"PS","device_type":"Smoke Verified","serial_number":"3939754921","messages":"1ST FLOOR SMOKE POLICE MECH RM"},
+  {"loop":1,"address":33,"model":"HRS","device_type":"Heat ROR","serial_number":"3828859904","messages":"2ND FLOOR HEAT WEST MECH ROOM"},
+  {"loop":1,"address":34,"model":"HRS","device_type":"Heat ROR","serial_number":"3828858587","messages":"2ND FLOOR HEAT WEST MECH ROOM"},
+  {"loop":1,"address":35,"model":"PS","device_type":"Smoke Verified","serial_number":"3939735654","messages":"2ND FLOOR SMOKE STIARWELL B"},
+  {"loop":1,"address":36,"model":"PS","device_type":"Smoke Verified","serial_number":"3939754563","messages":"TOP OF ELEVATOR SHAFT SMOKE"},
+  {"loop":1,"address":37,"model":"PS","device_type":"Smoke Verified","serial_number":"3939754266","messages":"2ND FLOOR SMOKE OUTSIDE ELEVATOR"},
+  {"loop":1,"address":38,"model":"HFS","device_type":"Heat","serial_number":"3622616017","messages":"TOP OF ELEVATOR SHAFT HEAT"},
+  {"loop":1,"address":39,"model":"PS","device_type":"Smoke Verified","serial_number":"3939753870","messages":"2ND FLOOR SMOKE OUTSIDE DORM 12"},
+  {"loop":1,"address":40,"model":"PS","device_type":"Supervisory Non-Latching","serial_number":"3939776800","messages":"2ND FLOOR SMOKE DORM 12"},
+  {"loop":1,"address":41,"model":"PS","device_type":"Smoke Verified","serial_number":"3939754525","messages":"2ND FLOOR SMOKE OUTSIDE DORM 11"},
+  {"loop":1,"address":42,"model":"PS","device_type":"Supervisory Non-Latching","serial_number":"3939736088","messages":"2ND FLOOR SMOKE DORM 11"},
+  {"loop":1,"address":43,"model":"PS","device_type":"Supervisory Non-Latching","serial_number":"3939754242","messages":"2ND FLOOR SMOKE DORM 10"},
+  {"loop":1,"address":44,"model":"PS","device_type":"Supervisory Non-Latching","serial_number":"3939778194","messages":"2ND FLOOR SMOKE DORM 9"},
+  {"loop":1,"address":45,"model":"PS","device_type":"Smoke Verified","serial_number":"3939754945","messages":"2ND FLOOR SMOKE OUTSIDE DORM 8/9"},
+  {"loop":1,"address":46,"model":"PS","device_type":"Supervisory Non-Latching","serial_number":"3939754938","messages":"2ND FLOOR SMOKE DORM 8"},
+  {"loop":1,"address":47,"model":"PS","device_type":"Supervisory Non-Latching","serial_number":"3939754822","messages":"2ND FLOOR SMOKE DORM7"},
+  {"loop":1,"address":48,"model":"PS","device_type":"Supervisory Non-Latching","serial_number":"3939754044","messages":"2ND FLOOR SMOKE DORM 6"},
+  {"loop":1,"address":49,"model":"PS","device_type":"Smoke Verified","serial_number":"3939755102","messages":"2ND FLOOR SMOKE OUTSIDE DORM 5/6"},
+  {"loop":1,"address":50,"model":"PS","device_type":"Supervisory Non-Latching","serial_number":"3939747923","messages":"2ND FLOOR SMOKE DORM 5"},
+  {"loop":1,"address":51,"model":"PS","device_type":"Supervisory Non-Latching","serial_number":"3939753894","messages":"2ND FLOOR SMOKE DORM 4"},
+  {"loop":1,"address":52,"model":"PS","device_type":"Smoke Verified","serial_number":"3939755010","messages":"2ND FLOOR SMOKE OUTSIDE DORM 3/4"},
+  {"loop":1,"address":53,"model":"PS","device_type":"Supervisory Non-Latching","serial_number":"3939753856","messages":"2ND FLOOR SMOKE DORM 3"},
+  {"loop":1,"address":54,"model":"PS","device_type":"Supervisory Non-Latching","serial_number":"3939755065","messages":"2ND FLOOR SMOKE DORM 2"},
+  {"loop":1,"address":55,"model":"PS","device_type":"Supervisory Non-Latching","serial_number":"3939754433","messages":"2ND FLOOR SMOKE DORM 1"},
+  {"loop":1,"address":56,"model":"PS","device_type":"Smoke Verified","serial_number":"3939754952","messages":"2ND FLOOR SMOKE OUTSIDE DORM 1"},
+  {"loop":1,"address":57,"model":"PS","device_type":"Smoke Verified","serial_number":"3939747619","messages":"2ND FLOOR SMOKE NORTH STAIRWELL"},
+  {"loop":1,"address":58,"model":"PS","device_type":"Smoke Verified","serial_number":"3945817825","messages":"1ST FLOOR SMOKE ROLL DOWN DOOR"},
+  {"loop":1,"address":60,"model":"PS","device_type":"Smoke Verified","serial_number":"3934208757","messages":"1ST FLOOR SMOKE ROLL DOWN DOOR"},
+  {"loop":1,"address":65,"model":"PS","device_type":"Smoke Verified","serial_number":"3939758455","messages":"SOUTH STAIRWELL ROOF ACCESS"},
+  {"loop":1,"address":80,"model":"IM","device_type":"Monitor","serial_number":"3698974301","messages":"ISOLATOR MODULE BASEMENT FACP"},
+  {"loop":1,"address":81,"model":"IM","device_type":"Monitor","serial_number":"3698972574","messages":"ISOLATOR MODULE 1ST FLOOR FACP"},
+  {"loop":1,"address":82,"model":"IM","device_type":"Monitor","serial_number":"3698973106","messages":"ISOLATOR MODULE 2ND FLOOR FACP"},
+  {"loop":1,"address":83,"model":"IM","device_type":"Monitor","serial_number":"3698973830","messages":"ISOLATOR MODULE 2ND FLR DORMS FACP"},
+  {"loop":1,"address":126,"model":"278","device_type":"Pull Station","serial_number":"4899926137","messages":"BASEMENT PULL STAIR B"},
+  {"loop":1,"address":127,"model":"278","device_type":"Pull Station","serial_number":"4899926700","messages":"2ND FLOOR PULL APP. BAY STORAGE"},
+  {"loop":1,"address":128,"model":"278","device_type":"Pull Station","serial_number":"4899925901","messages":"BASEMENT PULL STAIRWELL A"},
+  {"loop":1,"address":129,"model":"CT2","device_type":"Supervisory Non-Latching","serial_number":"4922818507","messages":"ZONE #1 CONTROL VALVE ACTIVE"},
+  {"loop":1,"address":130,"model":"CT2","device_type":"Supervisory Non-Latching","serial_number":"4922818514","messages":"ZONE #2 CONTROL VALVE ACTIVE"},
+  {"loop":1,"address":131,"model":"CT2","device_type":"Water Flow NoDelay","serial_number":"4922828643","messages":"ZONE #1 WATEFLOW ACTIVE"},
+  {"loop":1,"address":132,"model":"CT2","device_type":"Water Flow NoDelay","serial_number":"4922828650","messages":"ZONE #2 WATERFLOW ACTIVE"},
+  {"loop":1,"address":133,"model":"CT1","device_type":"Supervisory Non-Latching","serial_number":"4800233804","messages":"BASEMENT ELEV EQUIP POWER MONITOR"},
+  {"loop":1,"address":134,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5222515448","messages":"BASEMENT ELEV EQUIP SHUNT TRIP"},
+  {"loop":1,"address":135,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5222516698","messages":"ELEVATOR MAIN RECALL"},
+  {"loop":1,"address":136,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5222516971","messages":"ELEVATOR SECONDARY RECALL"},
+  {"loop":1,"address":137,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5222516896","messages":"ELEVATOR HAT"},
+  {"loop":1,"address":138,"model":"278","device_type":"Pull Station","serial_number":"4899919580","messages":"1ST FLOOR PULL S/W APP BAY EXIT"},
+  {"loop":1,"address":139,"model":"278","device_type":"Pull Station","serial_number":"4899926144","messages":"1ST FLOOR PULL TURN-OUT GEAR EXIT"},
+  {"loop":1,"address":140,"model":"278","device_type":"Pull Station","serial_number":"4899919313","messages":"1ST FLOOR PULL ANTIQUE BAY EXIT"},
+  {"loop":1,"address":141,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5222516957","messages":"1ST FLOOR DUCT CR AHU SHUTDOWN STAIR B"},
+  {"loop":1,"address":142,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5222516841","messages":"1ST FLOOR DUCT CR AHU SHUTDOWN STAIR B"},
+  {"loop":1,"address":143,"model":"CT2","device_type":"Supervisory Non-Latching","serial_number":"4925797465","messages":"DIALER TROUBLE PENTHOUSE BOSCH"},
+  {"loop":1,"address":144,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5221949961","messages":"AHU #3 SHUTDOWN"},
+  {"loop":1,"address":145,"model":"278","device_type":"Pull Station","serial_number":"4899927172","messages":"1ST FLOOR PULL STAIRWELL B"},
+  {"loop":1,"address":146,"model":"278","device_type":"Pull Station","serial_number":"4899919245","messages":"1ST FLOOR PULL STAIRWELL A"},
+  {"loop":1,"address":147,"model":"278","device_type":"Pull Station","serial_number":"4899928186","messages":"1ST FLOOR PULL SOUTH VESTIBULE"},
+  {"loop":1,"address":148,"model":"278","device_type":"Pull Station","serial_number":"4899928094","messages":"1ST FLOOR PULL COURT/TRAINING RM"},
+  {"loop":1,"address":149,"model":"278","device_type":"Pull Station","serial_number":"4899927097","messages":"1ST FLOOR PULL OUTSIDE INTERVIEW RM"},
+  {"loop":1,"address":150,"model":"278","device_type":"Pull Station","serial_number":"4899926434","messages":"1ST FLOOR PULL MAIN VESTIBULE"},
+  {"loop":1,"address":151,"model":"278","device_type":"Pull Station","serial_number":"4899926304","messages":"1ST FLOOR PULL POLICE VESTIBULE"},
+  {"loop":1,"address":152,"model":"278","device_type":"Pull Station","serial_number":"4899930905","messages":"1ST FLOOR PULL POLICE GARAGE 3/3"},
+  {"loop":1,"address":153,"model":"278","device_type":"Pull Station","serial_number":"4899919788","messages":"1ST FLOOR PULL POLICE GARAGE 2/3"},
+  {"loop":1,"address":154,"model":"278","device_type":"Pull Station","serial_number":"4899919849","messages":"PENTHOUSE TO ROOF ACCESS"},
+  {"loop":1,"address":155,"model":"278","device_type":"Pull Station","serial_number":"4899926717","messages":"2ND FLOOR PULL STAIRWELL B"},
+  {"loop":1,"address":156,"model":"CT1","device_type":"Supervisory Non-Latching","serial_number":"4800233392","messages":"2ND FLOOR RANGE HOOD NEED TO TEST"},
+  {"loop":1,"address":157,"model":"278","device_type":"Pull Station","serial_number":"4899927875","messages":"2ND FLOOR PULL KITCHEN TO APP BAY"},
+  {"loop":1,"address":158,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5221705154","messages":"BASEMENT CR DOOR HOLDER"},
+  {"loop":1,"address":159,"model":"278","device_type":"Pull Station","serial_number":"4899931070","messages":"2ND FLOOR PULL STAIRWELL A"},
+  {"loop":1,"address":160,"model":"CT2","device_type":"Supervisory Non-Latching","serial_number":"4921144881","messages":"BACK FLOW SECONDARY CONTROL VALVE ACTIVE"},
+  {"loop":1,"address":161,"model":"CT2","device_type":"Supervisory Non-Latching","serial_number":"4921144898","messages":"BACKFLOW PRIMARY CONTROL VALVE ACTIVE"},
+  {"loop":1,"address":162,"model":"CT2","device_type":"Supervisory Non-Latching","serial_number":"4925797472","messages":"DIALER/NOT USED CT2 TO BOSCH CELL"},
+  {"loop":1,"address":163,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5225324788","messages":"TROUBLE TO BOSCH PENTHOUSE FIRE"},
+  {"loop":1,"address":164,"model":"278","device_type":"Pull Station","serial_number":"4899918859","messages":"1ST FLOOR PULL POLICE GARAGE 1/3"},
+  {"loop":1,"address":165,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5223936815","messages":"PENTHOUSE FIRE ALARM TO BOSCH DIALER"},
+  {"loop":1,"address":166,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5222572595","messages":"PENTHOUSE CO ALARM TO BOSCH DIALER"},
+  {"loop":1,"address":167,"model":"CT2","device_type":"Supervisory Latching","serial_number":"4922828803","messages":"2ND FLOOR CO"},
+  {"loop":1,"address":168,"model":"CT2","device_type":"Supervisory Latching","serial_number":"4922828810","messages":"INPUT 2 FOR CO'S NOT USED"},
+  {"loop":1,"address":180,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5221061762","messages":"PENTHOUSE FIRE SUP TO BOSCH DIALER"},
+  {"loop":1,"address":181,"model":"CRR","device_type":"Relay Non-Silenceable","serial_number":"5221663690","messages":"SOUNDER BASE RELAY"},
+  {"loop":1,"address":182,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5216256135","messages":"DOOR ACCESS RELAY"},
+  {"loop":1,"address":183,"model":"278","device_type":"Pull Station","serial_number":"4899919535","messages":"BASEMENT PULL NEXT TO FACP"},
+  {"loop":1,"address":185,"model":"CC1S","device_type":"Genesis Audible Visible Silence","serial_number":"5074492140","messages":"1ST FLOOR CC1S POLICE IT CLOSET"},
+  {"loop":1,"address":186,"model":"CR","device_type":"Relay Non-Silenceable","serial_number":"5222516872","messages":"FIRE ROLL UP DOOR"},
+  {"loop":1,"address":187,"model":"RM1","device_type":"Monitor","serial_number":"5798621253","messages":"SOUNDER BASE PWR MONITOR"},
+  {"loop":1,"address":188,"model":"CC1S","device_type":"Genesis Audible Visible Silence","serial_number":"5066206359","messages":"BPS RM F003 NEXT TO FACP"},
+  {"loop":1,"address":189,"model":"CC1S","device_type":"Genesis Audible Visible Silence","serial_number":"5066291058","messages":"FURTHEST FROM PANEL BPS RM F003"},
+  {"loop":null,"address":1,"model":"LCD C","device_type":"Annunciator","serial_number":"N/A","messages":"MCFARLAND PUBLIC BLD FIRE PANEL NORMAL"},
+  {"loop":null,"address":2,"model":"LCD C","device_type":"Annunciator","serial_number":"N/A","messages":"MCFARLAND PUBLIC BLD FIRE PANEL NORMAL"},
+  {"loop":null,"address":1,"model":"Genesis","device_type":"NAC","serial_number":"N/A","messages":"Bell Active"},
+  {"loop":null,"address":2,"model":"Genesis","device_type":"NAC","serial_number":"N/A","messages":"NAC 2"},
+  {"loop":null,"address":3,"model":"Genesis","device_type":"NAC","serial_number":"N/A","messages":"NAC 3"},
+  {"loop":null,"address":4,"model":"Genesis","device_type":"NAC","serial_number":"N/A","messages":"NAC 4"}
+]$json$::jsonb,
+  'skip',
+  false,
+  'migration'
+);
+
+-- Rock County Youth Services / Fire Alarm Device Inspection (169 devices)
+select public.upload_checklist(
+  'Rock County Youth Services',
+  'Fire Alarm Device Inspection',
+  $json$[
+  {"loop":2,"address":159,"model":"SIGA-278","device_type":"Dual Action Pull Station","serial_number":"4892474956","messages":"PULL 2ND FL TOP OF STAIRS MECH RM"},
+  {"loop":2,"address":381,"model":"SIGA-278","device_type":"Dual Action Pull Station","serial_number":"4892472907","messages":"PULL 1ST FL BACK RECEIVING DOOER"},
+  {"loop":2,"address":168,"model":"SIGA-278","device_type":"Dual Action Pull Station","serial_number":"4892475977","messages":"PULL 1ST FL W. VESTIBULE"},
+  {"loop":2,"address":169,"model":"SIGA-278","device_type":"Dual Action Pull Station","serial_number":"4892472822","messages":"PULL 1ST FL MAIN ENTRY VESTIBULE"},
+  {"loop":2,"address":376,"model":"SIGA-278","device_type":"Dual Action Pull Station","serial_number":"4892475632","messages":"1ST FL REAR VEST. BY RECEIVING"},
+  {"loop":2,"address":167,"model":"SIGA-278","device_type":"Dual Action Pull Station","serial_number":"4892475441","messages":"PULL 1ST FL MECH. ROOM 141 BY FACP"},
+  {"loop":2,"address":126,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5065318725","messages":"NAC 1ST FL MECH. ROOM 141 IN BPS"},
+  {"loop":2,"address":134,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226915336","messages":"DAMPER 2ND FL MECH. ROOM CENTER"},
+  {"loop":2,"address":152,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226889354","messages":"DAMPER 1ST FL BY CELL A-10/A-20"},
+  {"loop":2,"address":135,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226841932","messages":"DAMPER 2ND FL MECH. ROOM CENTER"},
+  {"loop":2,"address":158,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226889293","messages":"DAMPER 1ST FL HALL BY CELL D-10"},
+  {"loop":2,"address":142,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226899049","messages":"DAMPER 2ND FL W. HALL"},
+  {"loop":2,"address":155,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226840638","messages":"DAMPER 1ST FL BY CELL C-10/C-20"},
+  {"loop":2,"address":139,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226888890","messages":"DAMPER 1ST FL BY DAY ROOM SHOWER"},
+  {"loop":2,"address":132,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226898103","messages":"DAMPER 2ND FL MECH. ROOM S.E."},
+  {"loop":2,"address":149,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226890008","messages":"DAMPER 1ST FL N. HOLDING"},
+  {"loop":2,"address":156,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5225867704","messages":"DAMPER 1ST FL BY CELL C-10/C-20"},
+  {"loop":2,"address":140,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226881495","messages":"DAMPER 1ST FL SHOWER B-05"},
+  {"loop":2,"address":151,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226841055","messages":"DAMPER 1ST FL BY CELL A-10/A-20"},
+  {"loop":2,"address":146,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226887497","messages":"DAMPER 2ND FL CENTER HALL"},
+  {"loop":2,"address":150,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226841963","messages":"DAMPER 1ST FL N. HOLDING"},
+  {"loop":2,"address":154,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226840270","messages":"DAMPER 1ST FL BY CELL D-20/D-30"},
+  {"loop":2,"address":133,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226889361","messages":"DAMPER 2ND FL MECH. ROOM S."},
+  {"loop":2,"address":157,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226889347","messages":"DAMPER 1ST FL HALL BY CELL D-10"},
+  {"loop":2,"address":147,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226887527","messages":"DAMPER 2ND FL CENTER HALL"},
+  {"loop":2,"address":145,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226619593","messages":"DAMPER 2ND FL CENTER HALL"},
+  {"loop":2,"address":141,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226898318","messages":"DAMPER 2ND FL W. HALL"},
+  {"loop":2,"address":143,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226898714","messages":"DAMPER 2ND FL E. HALL"},
+  {"loop":2,"address":131,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226890039","messages":"DAMPER 2ND FL MECH. ROOM N.E."},
+  {"loop":2,"address":136,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226927001","messages":"DAMPER 2ND FL MECH. ROOM N."},
+  {"loop":2,"address":137,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226870871","messages":"DAMPER 2ND FL CELL HALL W."},
+  {"loop":2,"address":138,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226888937","messages":"DAMPER 2ND FL CELL HALL E."},
+  {"loop":2,"address":144,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226898974","messages":"DAMPER 2ND FL E. HALL"},
+  {"loop":2,"address":148,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226888920","messages":"DAMPER 2ND FL CENTER HALL"},
+  {"loop":2,"address":153,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5226888746","messages":"DAMPER 1ST FL BY CELL D-20/D-30"},
+  {"loop":2,"address":377,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928653546","messages":"FLOW 1ST FL MECH RM 141"},
+  {"loop":2,"address":379,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928703463","messages":"DELUGE ALARM 1ST FL MECH RM 141"},
+  {"loop":2,"address":378,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928653553","messages":"TAMPER 1ST FL MECH RM 141"},
+  {"loop":2,"address":380,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928703470","messages":"DELUGE TROUBLE 1ST FL MECH RM 141"},
+  {"loop":2,"address":127,"model":"SIGA-AA50 ( Channel 1 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103630529","messages":"AMP A1 1ST FL MECH. ROOM 141 IN APS"},
+  {"loop":2,"address":129,"model":"SIGA-AA50 ( Channel 1 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103629943","messages":"AMP A2 1ST FL MECH. ROOM 141 IN APS"},
+  {"loop":2,"address":128,"model":"SIGA-AA50 ( Channel 2 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103630536","messages":"AMP A1 1ST FL MECH. ROOM 141 IN APS"},
+  {"loop":2,"address":130,"model":"SIGA-AA50 ( Channel 2 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103629950","messages":"AMP A2 1ST FL MECH. ROOM 141 IN APS"},
+  {"loop":2,"address":62,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3832292414","messages":"HEAT 1ST FL MECH. ROOM 141"},
+  {"loop":2,"address":64,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3832292674","messages":"HEAT 1ST FL SHOWER N.E. DAY ROOM"},
+  {"loop":2,"address":63,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831747120","messages":"HEAT 1ST FL SHOWER ROOM"},
+  {"loop":2,"address":59,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831747540","messages":"HEAT 1ST FL ROOM 145"},
+  {"loop":2,"address":36,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831746147","messages":"HEAT 2ND FL MECH. ROOM E."},
+  {"loop":2,"address":65,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3832293251","messages":"HEAT 1ST FL SHOWER N.E. DAY ROOM"},
+  {"loop":2,"address":61,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831746130","messages":"HEAT 1ST FL GRNDS EQUIP RM 144 EXT"},
+  {"loop":2,"address":37,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831746215","messages":"HEAT 2ND FL MECH. ROOM W."},
+  {"loop":2,"address":258,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831747106","messages":"HEAT 1ST FL SERVING KITCHEN RM 136"},
+  {"loop":2,"address":60,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831749773","messages":"HEAT 1ST FL GENERATOR RM 142"},
+  {"loop":2,"address":257,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953981976","messages":"SMOKE 1ST FL VISITATION RM. 111"},
+  {"loop":2,"address":95,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953903589","messages":"SMOKE 1ST FL BY DAY ROOM E"},
+  {"loop":2,"address":9,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919327572","messages":"DUCT SMK 1ST FL BY DAY ROOM SHOWERS"},
+  {"loop":2,"address":27,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953914592","messages":"SMOKE 2ND FL MULTIPURPOSE RM. N."},
+  {"loop":2,"address":21,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919325301","messages":"DUCT SMK 1ST FL BY CELL A-10/A20"},
+  {"loop":2,"address":265,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953981891","messages":"SMOKE 1ST FL TOILET RM 113"},
+  {"loop":2,"address":6,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919326414","messages":"DUCT SMK 2ND FL MECH. ROOM N."},
+  {"loop":2,"address":32,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922610","messages":"SMOKE 2ND FL HALL BY STORAGE 204"},
+  {"loop":2,"address":275,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953981730","messages":"SMOKE 1ST FL CENTRAL CONTROL S."},
+  {"loop":2,"address":23,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919326094","messages":"DUCT SMK 1ST FL BY CELL D-20/D-30"},
+  {"loop":2,"address":279,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953921620","messages":"SMOKE 1ST FL VISITATION RM 130"},
+  {"loop":2,"address":125,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953921644","messages":"SMOKE 2ND FL UNIT C STORAGE"},
+  {"loop":2,"address":38,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922856","messages":"SMOKE 1ST FL PATIENT RM 70"},
+  {"loop":2,"address":40,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953921842","messages":"SMOKE 2ND FL DAY ROOM BY CELL B-50"},
+  {"loop":2,"address":20,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919326100","messages":"DUCT SMK 1ST FL BY CELL A-10/A-20"},
+  {"loop":2,"address":48,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953921651","messages":"SMOKE 1ST FL OFFICE RM 107"},
+  {"loop":2,"address":2,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919326445","messages":"DUCT SMK 2ND FL MECH. ROOM S.E."},
+  {"loop":2,"address":66,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953981099","messages":"SMOKE 1ST FL SEC./NON SEC. M.P. RM R-03"},
+  {"loop":2,"address":119,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953917845","messages":"SMOKE 1ST FL RESIDENT RM R-30"},
+  {"loop":2,"address":68,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922177","messages":"SMOKE 1ST FL EXAM ROOM"},
+  {"loop":2,"address":69,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953912109","messages":"SMOKE 1ST FL CORRIDOR 152"},
+  {"loop":2,"address":13,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919328364","messages":"DUCT SMK 2ND FL E. HALL"},
+  {"loop":2,"address":49,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953912123","messages":"SMOKE 1ST FL STAFF TOILET RM 157"},
+  {"loop":2,"address":256,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953983437","messages":"SMOKE 1ST FL VISITATION RM. 110"},
+  {"loop":2,"address":264,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953923297","messages":"SMOKE 1ST FL JANITORS CLOSET RM 135"},
+  {"loop":2,"address":270,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945698233","messages":"SMOKE 1ST FL PROGRAM STORAGE RM 119"},
+  {"loop":2,"address":282,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945519293","messages":"SMOKE 1ST FL CORRIDOR 129 N.W."},
+  {"loop":2,"address":269,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3944483519","messages":"SMOKE 1ST FL PROGRAM STORAGE RM 117"},
+  {"loop":2,"address":276,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953981037","messages":"SMOKE 1ST FL CENTRAL CONTROL BY FAAP"},
+  {"loop":2,"address":121,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953911836","messages":"SMOKE 1ST FL OFFICE RM R-60"},
+  {"loop":2,"address":8,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919325257","messages":"DUCT SMK 2ND FL CELL HALL E."},
+  {"loop":2,"address":76,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953912208","messages":"SMOKE 1ST FL ELEC. RM. 143"},
+  {"loop":2,"address":39,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922962","messages":"SMOKE 1ST FL OFFICE RM 40"},
+  {"loop":2,"address":52,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919325639","messages":"DUCT SMK 1ST FL HALL BY CELL D-10"},
+  {"loop":2,"address":10,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919327800","messages":"DUCT SMK 2ND FL W. HALL"},
+  {"loop":2,"address":254,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953982218","messages":"SMOKE 1ST FL VISITATION RM. 108"},
+  {"loop":2,"address":15,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919325646","messages":"DUCT SMK 2ND FL CENTER HALL"},
+  {"loop":2,"address":123,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953980993","messages":"SMOKE 1ST FL NON-SECURE DAY ROOM R-0"},
+  {"loop":2,"address":75,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953911959","messages":"SMOKE 1ST FL W. VESTIBULE"},
+  {"loop":2,"address":272,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945519699","messages":"SMOKE 1ST FL ELEC. CLOSET IN CENTRAL CTRL"},
+  {"loop":2,"address":77,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945515363","messages":"SMOKE 1ST FL MECH. ROOM 141 ABOVE FACP"},
+  {"loop":2,"address":71,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922511","messages":"SMOKE 1ST FL INTAKE ROOM"},
+  {"loop":2,"address":122,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953981945","messages":"SMOKE 1ST FL OFFICE STATION R-09"},
+  {"loop":2,"address":70,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953982331","messages":"SMOKE 1ST FL TOILET RM 154"},
+  {"loop":2,"address":266,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945312894","messages":"SMOKE 1ST FL JANITORS CLOSET RM 133"},
+  {"loop":2,"address":277,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945516094","messages":"SMOKE 1ST FL CENTRAL CONTROL W."},
+  {"loop":2,"address":251,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945513802","messages":"SMOKE 1ST FL SALLYPORT AREA"},
+  {"loop":2,"address":262,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953981815","messages":"SMOKE 1ST FL COR. 134 BY JANITOR CLOSET"},
+  {"loop":2,"address":16,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919328128","messages":"DUCT SMK 2ND FL CENTER HALL"},
+  {"loop":2,"address":53,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919326247","messages":"DUCT SMK 1ST FL HALL BY CELL D-10"},
+  {"loop":2,"address":283,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945541836","messages":"SMOKE 1ST FL CORRIDOR 129 W."},
+  {"loop":2,"address":47,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953912185","messages":"SMOKE 1ST FL OFFICE RM 105"},
+  {"loop":2,"address":5,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919325097","messages":"DUCT SMK 2ND FL MECH. ROOM CENTER"},
+  {"loop":2,"address":11,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919325561","messages":"DUCT SMK 2ND FL W. HALL"},
+  {"loop":2,"address":263,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922597","messages":"SMOKE 1ST FL DETENTION SUPPLY RM 137"},
+  {"loop":2,"address":28,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953921729","messages":"SMOKE 2ND FL DAY ROOM BY CELL E-20"},
+  {"loop":2,"address":117,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953912307","messages":"SMOKE 1ST FL RESIDENT RM R-10"},
+  {"loop":2,"address":259,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953983482","messages":"SMOKE 1ST FL REAR VEST. 135"},
+  {"loop":2,"address":288,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945514465","messages":"SMOKE 1ST FL RESIDENT LAUNDRY"},
+  {"loop":2,"address":44,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953914790","messages":"SMOKE 1ST FL RECEPTION 103"},
+  {"loop":2,"address":285,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945712564","messages":"SMOKE 1ST FL CORRIDOR 129 BY DAY ROOM E"},
+  {"loop":2,"address":260,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953981952","messages":"SMOKE 1ST FL INNER REAR VESTIBULE"},
+  {"loop":2,"address":12,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919327848","messages":"DUCT SMK 2ND FL E. HALL"},
+  {"loop":2,"address":25,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919326360","messages":"DUCT SMK 1ST FL BY CELL C-10/C-20"},
+  {"loop":2,"address":114,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953911614","messages":"SMOKE 1ST FL RESIDENT RM R-90"},
+  {"loop":2,"address":94,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953923778","messages":"SMOKE 1ST FL BY DAY ROOM D"},
+  {"loop":2,"address":268,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3934112535","messages":"SMOKE 1ST FL PROGRAM B RM 116"},
+  {"loop":2,"address":91,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3947293276","messages":"SMOKE 1ST FL ADMIN OFFICE RM 106"},
+  {"loop":2,"address":24,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919325691","messages":"DUCT SMK 1ST FL BY CELL C-10/C-20"},
+  {"loop":2,"address":50,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945515974","messages":"SMOKE 2ND FL TOP OF W. STAIRS"},
+  {"loop":2,"address":84,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922344","messages":"SMOKE 1ST FL BY DAY ROOM A"},
+  {"loop":2,"address":261,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953984144","messages":"SMOKE 1ST FL COR. 134 BY STAFF RR"},
+  {"loop":2,"address":85,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953921569","messages":"SMOKE 1ST FL BY DAY ROOM B"},
+  {"loop":2,"address":45,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953982317","messages":"SMOKE 1ST FL FILE RM 104"},
+  {"loop":2,"address":124,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953982010","messages":"SMOKE 1ST FL NON-SECURE DAY ROOM W."},
+  {"loop":2,"address":19,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919325707","messages":"DUCT SMK 1ST FL N. HOLDING"},
+  {"loop":2,"address":286,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945541379","messages":"SMOKE 1ST FL HALL BY S.E. MULTPURPOSE RM"},
+  {"loop":2,"address":88,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922801","messages":"SMOKE 1ST FL FRONT ENTRANCE"},
+  {"loop":2,"address":120,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953914820","messages":"SMOKE 1ST FL RESIDENT ROOM R-50"},
+  {"loop":2,"address":82,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953921873","messages":"SMOKE 1ST FL DAY ROOM C-01"},
+  {"loop":2,"address":46,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953921767","messages":"SMOKE 1ST FL MULTIPURPOSE RM 156"},
+  {"loop":2,"address":22,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919327824","messages":"DUCT SMK 1ST FL BY CELL D-20/D-30"},
+  {"loop":2,"address":271,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945515998","messages":"SMOKE 1ST FL CENTRAL CONTROL E."},
+  {"loop":2,"address":72,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922160","messages":"SMOKE 1ST FL CLEAN LAUNDRY RM"},
+  {"loop":2,"address":4,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919328159","messages":"DUCT SMK 2ND FL MECH. ROOM CENTER"},
+  {"loop":2,"address":252,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945516032","messages":"SMOKE 1ST FL BY ELEC. ROOM 124"},
+  {"loop":2,"address":14,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919325585","messages":"DUCT SMK 2ND FL CENTER HALL"},
+  {"loop":2,"address":51,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919327664","messages":"DUCT SMK 1ST FL SHOWER B-05"},
+  {"loop":2,"address":33,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953923334","messages":"SMOKE 2ND FL DAY ROOM BY CELL C-50"},
+  {"loop":2,"address":18,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919325578","messages":"DUCT SMK 1ST FL N. HOLDING"},
+  {"loop":2,"address":278,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953911737","messages":"SMOKE 1ST FL VISITATION RM 129"},
+  {"loop":2,"address":284,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945519354","messages":"SMOKE 1ST FL CORRIDOR 129 BY DAY ROOM D"},
+  {"loop":2,"address":29,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953923006","messages":"SMOKE 2ND FL DAY ROOM BY CELL D-20"},
+  {"loop":2,"address":42,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953923105","messages":"SMOKE 1ST FL PROGRAM STORAGE R-04"},
+  {"loop":2,"address":273,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945519347","messages":"SMOKE 1ST FL EQUIP. RM. IN CENTRAL CTRL N."},
+  {"loop":2,"address":67,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953921705","messages":"SMOKE 1ST FL CORRIDOR 102"},
+  {"loop":2,"address":255,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953982812","messages":"SMOKE 1ST FL VISITATION RM. 109"},
+  {"loop":2,"address":274,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945514274","messages":"SMOKE 1ST FL EQUIP. RM. IN CENTRAL CTRL S."},
+  {"loop":2,"address":115,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922153","messages":"SMOKE 1ST FL RESIDENT RM R-80"},
+  {"loop":2,"address":267,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3947250927","messages":"SMOKE 1ST FL STAFF TOILET RM 123"},
+  {"loop":2,"address":26,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953912079","messages":"SMOKE 2ND FL MULTIPURPOSE RM. S."},
+  {"loop":2,"address":41,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953923655","messages":"SMOKE 2ND FL DAY ROOM BY CELL A-40"},
+  {"loop":2,"address":280,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922047","messages":"SMOKE 1ST FL VISITATION RM 131"},
+  {"loop":2,"address":7,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919326537","messages":"DUCT SMK 2ND FL CELL HALL W."},
+  {"loop":2,"address":289,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922603","messages":"SMOKE 1ST FL MAINTENANCE OFFICE"},
+  {"loop":2,"address":43,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953982256","messages":"SMOKE 1ST FL JANITORS CLOSET RM 05"},
+  {"loop":2,"address":287,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945513772","messages":"SMOKE 1ST FL VESTIBULE BY RECEIVING"},
+  {"loop":2,"address":1,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919327640","messages":"DUCT SMK 2ND FL MECH. ROOM N.E."},
+  {"loop":2,"address":17,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919327947","messages":"DUCT SMK 2ND FL CENTER HALL"},
+  {"loop":2,"address":31,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953912147","messages":"SMOKE 1ST FL INTAKE AREA"},
+  {"loop":2,"address":118,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922641","messages":"SMOKE 1ST FL RESIDENT RM R-20"},
+  {"loop":2,"address":3,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3919328722","messages":"DUCT SMK 2ND FL MECH. ROOM S."},
+  {"loop":2,"address":281,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922931","messages":"SMOKE 1ST FL VISITATION RM 132"},
+  {"loop":2,"address":74,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953921637","messages":"SMOKE 1ST FL PROPERTY STORAGE RM 148"},
+  {"loop":2,"address":253,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3945516193","messages":"SMOKE 1ST FL EQUIP. ROOM 125"},
+  {"loop":2,"address":73,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953922672","messages":"SMOKE 2ND FL ROOM 203 CLOSET"}
+]$json$::jsonb,
+  'skip',
+  false,
+  'migration'
+);
+
+-- Promega Allen Center (RPP) / Fire Alarm Device Inspection (42 devices)
+select public.upload_checklist(
+  'Promega Allen Center (RPP)',
+  'Fire Alarm Device Inspection',
+  $json$[
+  {"loop":1,"address":138,"model":"SIGA-278","device_type":"Dual Action Pull Station","serial_number":"4894352009","messages":"PULL 1ST FL BY FACP WEST DOCK"},
+  {"loop":1,"address":154,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4808274595","messages":"FD OVERRIDE SWITCH 1ST FL MAIN ENTRY"},
+  {"loop":1,"address":150,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5062753086","messages":"STROBE 1ST FL IN BPS1 WEST DOCK"},
+  {"loop":1,"address":151,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5062725373","messages":"STROBE TRIGGER 2ND FL IN BPS2 COMP RM 212"},
+  {"loop":1,"address":155,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5062745982","messages":"FLOWBELL 1ST FL IN BPS1 WEST DOCK"},
+  {"loop":1,"address":128,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231658051","messages":"AHU SHUTDOWN 2ND FL"},
+  {"loop":1,"address":132,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231657795","messages":"AHU SHUTDOWN 2ND FL"},
+  {"loop":1,"address":129,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231660474","messages":"AHU SHUTDOWN 2ND FL"},
+  {"loop":1,"address":130,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231658723","messages":"AHU SHUTDOWN 2ND FL"},
+  {"loop":1,"address":152,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231616761","messages":"DOOR UNLOCK RELAY 1ST FL MAG DOOR"},
+  {"loop":1,"address":153,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231658549","messages":"CARD READER UNLOCK 1ST FL BY ACP"},
+  {"loop":1,"address":143,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231662447","messages":"ELEV SHUNT RELAY 1ST FL ELEV EQUIP RM"},
+  {"loop":1,"address":133,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231661402","messages":"AHU SHUTDOWN 2ND FL"},
+  {"loop":1,"address":127,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231661990","messages":"AHU SHUTDOWN 2ND FL"},
+  {"loop":1,"address":126,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231659126","messages":"AHU SHUTDOWN 2ND FL"},
+  {"loop":1,"address":131,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231662195","messages":"AHU SHUTDOWN 2ND FL"},
+  {"loop":1,"address":140,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231658747","messages":"ELEV ALT RECALL RLY 1ST FL ELEV EQUIP RM"},
+  {"loop":1,"address":139,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231655128","messages":"ELEV HAT *ELEVATOR UNSAFE* DO NOT USE"},
+  {"loop":1,"address":141,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231658686","messages":"ELEV MAIN RECALL RLY 1ST FL ELEV EQUIP RM"},
+  {"loop":1,"address":156,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5231658716","messages":"DOOR RELEASE RELAY 1ST FL MAG DOOR"},
+  {"loop":1,"address":174,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4932164625","messages":"ELEV SHUNT TRIP MONITOR ELEV EQUIP RM"},
+  {"loop":1,"address":148,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4932124568","messages":"TAMPER 1ST FL WEST DOCK BY FACP"},
+  {"loop":1,"address":136,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4932123806","messages":"WATERFLOW 1ST FL WEST DOCK BY FACP"},
+  {"loop":1,"address":146,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4932123745","messages":"TAMPER 1ST FL EAST MECH ROOM"},
+  {"loop":1,"address":147,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4932123752","messages":"FLOW 1ST FL EAST MECH ROOM"},
+  {"loop":1,"address":149,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4932124575","messages":"FLOW 1ST FL WEST DOCK BY FACP"},
+  {"loop":1,"address":175,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4932164632","messages":"SPARE INPUT CT2 INPUT 2"},
+  {"loop":1,"address":137,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4932123813","messages":"CT2 SPARE INPUT 2 1ST FL WEST DOCK BY FACP"},
+  {"loop":1,"address":7,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3963392717","messages":"DUCT SMOKE 2ND FL OFFICE SPACE CENTER EAST"},
+  {"loop":1,"address":4,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3963393509","messages":"DUCT SMOKE 2ND FL N SPACE EAST"},
+  {"loop":1,"address":1,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3963392915","messages":"DUCT SMOKE 2ND FL N SPACE WEST"},
+  {"loop":1,"address":6,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3963392779","messages":"DUCT SMOKE 2ND FL OFFICE SPACE CENTER WEST"},
+  {"loop":1,"address":2,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3963393264","messages":"DUCT SMOKE 2ND FL N SPACE CENTER WEST"},
+  {"loop":1,"address":3,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3963393561","messages":"DUCT SMOKE 2ND FLN SPACE CENTER EAST"},
+  {"loop":1,"address":8,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3963392625","messages":"DUCT SMOKE 2ND FL OFFICE SPACE EAST"},
+  {"loop":1,"address":5,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3963393141","messages":"DUCT SMOKE 2ND FL OFFICE SPACE WEST"},
+  {"loop":1,"address":13,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3971790901","messages":"SMOKE 2ND FL ELEV LOBBY"},
+  {"loop":1,"address":18,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3971791113","messages":"SMOKE ELEVATOR LOBBY 1ST FLOOR"},
+  {"loop":1,"address":15,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3971790338","messages":"SMOKE 2ND FL ABOVE BPS2 COMP. RM 212"},
+  {"loop":1,"address":16,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3971792769","messages":"SMOKE 1ST FL MAG DOOR WEST SIDE"},
+  {"loop":1,"address":17,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3971799607","messages":"SMOKE 1ST FL BY MAG DOOR EAST SIDE"},
+  {"loop":1,"address":12,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3970201026","messages":"SMOKE 1ST FL ABOVE FACP WEST DOCK"}
+]$json$::jsonb,
+  'skip',
+  false,
+  'migration'
+);
+
+-- Bakers Place / Fire Alarm Device Inspection (932 devices)
+select public.upload_checklist(
+  'Bakers Place',
+  'Fire Alarm Device Inspection',
+  $json$[
+  {"loop":2,"address":166,"model":"SIGA-278","device_type":"Dual Action Pull Station","serial_number":"4892652705","messages":"PULL 1ST FL FCC RM S101 NEXT TO FACP"},
+  {"loop":3,"address":392,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4810961636","messages":"SPF1 14TH FL SAIL SWITCH STAIR 1"},
+  {"loop":4,"address":171,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4810960998","messages":"SPF2 SAIL SWITCH STAIR 2 14TH FL"},
+  {"loop":2,"address":249,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4811444930","messages":"KEYSWITCH ACCESS CONTROL DOOR UNLOCK"},
+  {"loop":2,"address":175,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4810956779","messages":"SPF5 SAIL SWITCH 1ST FL E-BIKE STRG RSVCA"},
+  {"loop":2,"address":176,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4811443162","messages":"SPF6 SAIL SWITCH LOWER LVL RM S006"},
+  {"loop":2,"address":126,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4811445036","messages":"TAMPER LOWER LVL DRY SYSTEM WATER ROOM"},
+  {"loop":3,"address":142,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4811444664","messages":"SPF3 SAIL SWITCH 10TH FL STAIR 3"},
+  {"loop":2,"address":207,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4810945384","messages":"CTRL VLVE 1ST FL BEFORE PUMP ISO PUMP ROOM"},
+  {"loop":3,"address":393,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4810954737","messages":"CTRL VLVE ROOF HATCH ROOF 14TH FL"},
+  {"loop":6,"address":240,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4810961278","messages":"CTRL VLVE 10TH FL AMMENITY BATHROOM"},
+  {"loop":2,"address":181,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4809890299","messages":"GENERATOR RUNNING MON LOWER LVL ELEC ROOM"},
+  {"loop":4,"address":142,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4810961292","messages":"SPF4 SAIL SWITCH STAIR 2 1ST FLOOR"},
+  {"loop":3,"address":145,"model":"SIGA-CT1","device_type":"Single Input Module","serial_number":"4811811497","messages":"PULL 10TH FLOOR BBQ PATIO OUTSIDE STAIR 3"},
+  {"loop":2,"address":241,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5064889769","messages":"STROBE 7TH FL MTR RM S702 FEEDS V13"},
+  {"loop":2,"address":242,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5062345663","messages":"STROBE LL ELEC S002 FEEDS V14"},
+  {"loop":2,"address":229,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5065312624","messages":"STROBE 5TH FL MTR RM S502 FEEDS V11"},
+  {"loop":2,"address":171,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5065314086","messages":"STROBE 3RD FL MTR RM S302 FEEDS V4 V5 V6"},
+  {"loop":6,"address":241,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5062346233","messages":"ADA STROBE 10TH FL RM 1019 IN BPS 9TH V22"},
+  {"loop":6,"address":207,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5062345618","messages":"STROBE 9TH FL MTR RM S902 FEEDS V15 V16"},
+  {"loop":2,"address":228,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5065314703","messages":"STROBE 4TH FL MTR RM S402 FEEDS V10"},
+  {"loop":2,"address":238,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5065314284","messages":"STROBE 6TH FL MTR RM S602 FEEDS V12"},
+  {"loop":6,"address":208,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5062345403","messages":"STROBE 11TH FL MECH PNTHS"},
+  {"loop":6,"address":202,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5062345571","messages":"STROBE 8TH FL MTR RM S802 FEEDS V14"},
+  {"loop":2,"address":129,"model":"SIGA-CC1S","device_type":"Auto Sync Output Module","serial_number":"5062345830","messages":"STROBE 1ST FL RM S101 FEEDS V2 V3"},
+  {"loop":2,"address":134,"model":"SIGA-MCC1","device_type":"Single Input Signal Module","serial_number":"5064963759","messages":"AMP 1ST FL RM S101 CCT A3 STAIR 3"},
+  {"loop":2,"address":133,"model":"SIGA-MCC1","device_type":"Single Input Signal Module","serial_number":"5064964305","messages":"AMP 1ST FL RM S101 CCT A2 STAIR 2"},
+  {"loop":2,"address":132,"model":"SIGA-MCC1","device_type":"Single Input Signal Module","serial_number":"5064963414","messages":"AMP 1ST FL RM S101 CCT A1 STAIR 1"},
+  {"loop":2,"address":135,"model":"SIGA-MCC1","device_type":"Single Input Signal Module","serial_number":"5064964039","messages":"AMP 1ST FL RM S101 CCT A20 STAIR 4"},
+  {"loop":2,"address":174,"model":"SIGA-MCC1S","device_type":"Auto Sync Output Module","serial_number":"5065092489","messages":"ADA STROBE 3RD FL MTR RM V9 FEEDS 4TH FL"},
+  {"loop":6,"address":211,"model":"SIGA-MCC1S","device_type":"Auto Sync Output Module","serial_number":"5065090355","messages":"STROBE 11TH FL MECH PNTHS V19 FEEDS 13TH"},
+  {"loop":2,"address":177,"model":"SIGA-MCC1S","device_type":"Auto Sync Output Module","serial_number":"5065089953","messages":"AMP 1ST FL RM S101 CCT A21 TOWNHOUSES"},
+  {"loop":6,"address":210,"model":"SIGA-MCC1S","device_type":"Auto Sync Output Module","serial_number":"5065091987","messages":"STROBE 11TH FL MECH PNTHS V18 FEEDS 12TH"},
+  {"loop":6,"address":212,"model":"SIGA-MCC1S","device_type":"Auto Sync Output Module","serial_number":"5065092298","messages":"STROBE 11TH FL MECH PNTHS V20 FEEDS 14TH"},
+  {"loop":2,"address":172,"model":"SIGA-MCC1S","device_type":"Auto Sync Output Module","serial_number":"5065091451","messages":"ADA STROBE 3RD FL MTR RM V6 FEEDS 1ST FL"},
+  {"loop":2,"address":225,"model":"SIGA-MCC1S","device_type":"Auto Sync Output Module","serial_number":"5065091796","messages":"ADA STROBE 3RD FL MTR RM V8 FEEDS 3RD FL"},
+  {"loop":6,"address":209,"model":"SIGA-MCC1S","device_type":"Auto Sync Output Module","serial_number":"5065090096","messages":"STROBE 11TH FL MECH PNTHS V17 FEEDS 11TH"},
+  {"loop":2,"address":173,"model":"SIGA-MCC1S","device_type":"Auto Sync Output Module","serial_number":"5065090300","messages":"ADA STROBE 3RD FL MTR RM V7 FEEDS 2ND FL"},
+  {"loop":6,"address":180,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227626156","messages":"EF-03 OFF RELAY 11TH FL MECHANICAL ROOM"},
+  {"loop":6,"address":394,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227349444","messages":"ELEV ALT RELAY 14TH FL ELEV LOBBY"},
+  {"loop":2,"address":152,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227639392","messages":"TRASH CHUTE RLY2 1ST FL COMPACTOR RM"},
+  {"loop":2,"address":389,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227358323","messages":"DAMPER RLY 3RD FL ELEC RM 3RD WEST SUPPLY"},
+  {"loop":2,"address":142,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227628174","messages":"LUVRE ON RLY LOWER LVL ELEC ROOM"},
+  {"loop":6,"address":393,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5229907659","messages":"ELEV MAIN RECALL RLY 14TH FL ELEV LOBBY"},
+  {"loop":4,"address":387,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361668","messages":"DOORHOLD RLY 7TH FL ELEVATOR LOBBY ENTRY"},
+  {"loop":2,"address":391,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361095","messages":"DOORHOLD RLY 3RD FL ELEV LOBBY ENTRANCE"},
+  {"loop":2,"address":154,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227902076","messages":"DAMPER RLY 1ST FL WEST SUPPLY FCC RM"},
+  {"loop":2,"address":203,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361316","messages":"SPF5 DAMPER 5 RLY E-BIKE STORAGE"},
+  {"loop":5,"address":394,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227359139","messages":"DAMPER RLY 9TH FL ELEC RM 10TH FL W RTRN"},
+  {"loop":4,"address":131,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362740","messages":"DAMPER RLY 6TH FL ELEC RM CTR RTRN BY 621"},
+  {"loop":3,"address":129,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227363587","messages":"DAMPER RLY 4TH FL ELEC RM CTR RTRN BY 421"},
+  {"loop":2,"address":127,"model":"SIGA-CRH","device_type":"Control Relay Module","serial_number":"5224459238","messages":"EF-04 ON RELAY 1ST FL E-BIKE STORAGE"},
+  {"loop":4,"address":383,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227363297","messages":"DAMPER RLY 7TH FL ELEC RM E RTRN BY 719"},
+  {"loop":5,"address":383,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362481","messages":"DAMPER RLY 9TH FL ELEC RM EAST RTRN BY 919"},
+  {"loop":2,"address":184,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5230871871","messages":"EAST VEST DOOR RELEASE RLY ABOVE OPERATOR"},
+  {"loop":6,"address":396,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5229361260","messages":"DOORHOLD RLY 14TH FL COR ELEV LOBBY ENTRY"},
+  {"loop":3,"address":130,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361569","messages":"DAMPER RLY 4TH FL ELEC RM EAST SPLY BY 419"},
+  {"loop":4,"address":382,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361200","messages":"DAMPER RLY 7TH FL ELEC RM E SPLY BY 719"},
+  {"loop":2,"address":202,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227358484","messages":"SPF5 FAN 5 RLY 1ST FL E-BIKE STORAGE"},
+  {"loop":6,"address":161,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362672","messages":"DAMPER 11TH MECH RM 12TH ELEV LBY RTRN"},
+  {"loop":4,"address":130,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5230280918","messages":"DAMPER RLY 6TH FL ELEV LOBBY WEST RETURN"},
+  {"loop":5,"address":382,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227363327","messages":"DAMPER RLY 9TH FL ELEC RM EAST SPLY BY 919"},
+  {"loop":2,"address":178,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227628778","messages":"DAMPER RLY 1ST FL EAST RETURN FCC RM"},
+  {"loop":5,"address":391,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227358408","messages":"DAMPER RLY 9TH FL ELEC RM 10TH FL E RTRN"},
+  {"loop":2,"address":143,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227629218","messages":"LUVRE CUTOFF RLY LOWER LVL ELEC RM"},
+  {"loop":5,"address":392,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227358767","messages":"DAMPER RLY 9TH FL ELEC RM 10TH FL W SPLY"},
+  {"loop":6,"address":182,"model":"SIGA-CRH","device_type":"Control Relay Module","serial_number":"5224434730","messages":"EF-03 ON RELAY 11TH FL MECHANICAL ROOM"},
+  {"loop":2,"address":201,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227358972","messages":"SPF6 DAMPER 6 RLY 1ST FL OUTSIDE PUMP RM"},
+  {"loop":3,"address":381,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227348997","messages":"DAMPER RLY 5TH FL ELEC RM CTR RTRN BY 521"},
+  {"loop":6,"address":147,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5230300616","messages":"DAMPER RLY 11TH FL MECH RM 11TH FL RTRN"},
+  {"loop":4,"address":129,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5230280550","messages":"DAMPER RLY 6TH FL ELEC RM WEST SUPPLY"},
+  {"loop":2,"address":140,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227629591","messages":"EX FANS 1 ON RLY LOWER LVL ELEC RM"},
+  {"loop":2,"address":139,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227629089","messages":"TRASH CHUTE RLY1 1ST FL COMPACTOR RM"},
+  {"loop":3,"address":380,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5230306489","messages":"DAMPER RLY 5TH FL ELEC RM WEST RETURN"},
+  {"loop":6,"address":162,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227358828","messages":"DAMPER RLY 11TH MECH RM 13TH ELEV LBY SPLY"},
+  {"loop":3,"address":382,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5230278144","messages":"DAMPER RLY 5TH FL ELEC RM EAST SPLY BY 519"},
+  {"loop":3,"address":137,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361330","messages":"DOORHOLD RLY 4TH FL ELEV LOBBY ENTRANCE"},
+  {"loop":2,"address":214,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5224287398","messages":"AUTO SHAFT LIGHTS RLY 1ST FL FCC RM"},
+  {"loop":5,"address":137,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362283","messages":"DOORHOLD RLY 8TH FL ELEV LOBBY ENTRANCE"},
+  {"loop":2,"address":396,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227359115","messages":"DAMPER RELAY 3RD FL ELEC RM 2ND E RETURN"},
+  {"loop":2,"address":141,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227628204","messages":"EX FANS 1 CUTOFF RLY LOWER LVL ELEC RM"},
+  {"loop":6,"address":146,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227358729","messages":"DAMPER RLY 11TH FL MECH RM 11TH FL SUPPLY"},
+  {"loop":5,"address":387,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361170","messages":"DOORHOLD RLY 9TH FL ELEV LOBBY ENTRANCE"},
+  {"loop":6,"address":398,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361545","messages":"DOORHOLD RLY 12TH FL ELEV LOBBY ENTRANCE"},
+  {"loop":6,"address":158,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227358866","messages":"DOORHOLD RLY 10TH FL ELEV LOBBY ENTRANCE"},
+  {"loop":4,"address":380,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361859","messages":"DAMPER RLY 7TH FL ELEC RM WEST RETURN"},
+  {"loop":3,"address":379,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227357920","messages":"DAMPER RLY 5TH FL ELEC RM WEST SUPPLY"},
+  {"loop":6,"address":130,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227628792","messages":"DOOR UNLOCK RELAY 11TH FL MECH PENTHOUSE"},
+  {"loop":5,"address":130,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362290","messages":"DAMPER RLY 8TH FL ELEC RM ELEV LBY W RTRN"},
+  {"loop":4,"address":133,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361347","messages":"DAMPER RLY 6TH FL ELEC RM EAST RTRN BY 619"},
+  {"loop":4,"address":169,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5224312151","messages":"SPF2 FAN2 14TH FL STAIR 2"},
+  {"loop":4,"address":170,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5229906669","messages":"SPF2 DAMPER2 14TH FL STAIR 2"},
+  {"loop":2,"address":180,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227641746","messages":"DAMPER RLY 1ST FL WEST RETURN FCC RM"},
+  {"loop":5,"address":133,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227360937","messages":"DAMPER RLY 8TH FL ELEC RM EAST RTRN BY 819"},
+  {"loop":2,"address":200,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362061","messages":"SPF6 FAN 6 RELAY LL RM S006"},
+  {"loop":4,"address":132,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227331319","messages":"DAMPER RLY 6TH FL ELEC RM E SPLY BY 619"},
+  {"loop":2,"address":386,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227360425","messages":"DAMPER RLY 3RD FL ELEC RM 3RD CTR RETURN"},
+  {"loop":2,"address":399,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362641","messages":"DAMPER 3RD FL ELEC RM 2ND FL W RETURN"},
+  {"loop":5,"address":379,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227360555","messages":"DAMPER RLY 9TH FL ELEC RM ELEV LBY W SPLY"},
+  {"loop":2,"address":248,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227628112","messages":"EF-02 CONTROL RLY 1ST FL BIN STORAGE RM"},
+  {"loop":2,"address":397,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227359146","messages":"DAMPER 3RD FL ELEC RM 2ND CTR RETURN"},
+  {"loop":3,"address":132,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362580","messages":"DAMPER RLY 4TH FL ELEC RM FOR 4TH W SUPPLY"},
+  {"loop":2,"address":138,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227631402","messages":"ROLL DOOR RLY 1ST FL COMPACTOR RM"},
+  {"loop":3,"address":140,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362542","messages":"SPF3 FAN 3 RELAY STAIR 3 10TH FL"},
+  {"loop":6,"address":397,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361279","messages":"DOORHOLD RLY 13TH FL ELEV LOBBY ENTRANCE"},
+  {"loop":6,"address":160,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362573","messages":"DAMPER RLY 11TH MECH RM 12TH ELEV LBY SPLY"},
+  {"loop":4,"address":379,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227360982","messages":"DAMPER RLY 7TH FL ELEC RM WEST SUPPLY"},
+  {"loop":4,"address":140,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361354","messages":"SPF4 FAN 4 RELAY STAIR 2 1ST FLOOR"},
+  {"loop":3,"address":133,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227357975","messages":"DAMPER RLY 4TH FL ELEC RM FOR 4TH W RETURN"},
+  {"loop":2,"address":179,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227627160","messages":"DAMPER RLY 1ST FL EAST SUPPLY FCC RM"},
+  {"loop":3,"address":390,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361187","messages":"SPF1 FAN  1 14TH FL STAIR 1"},
+  {"loop":3,"address":391,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227358774","messages":"SPF1 DAMPER 1 RELAY 14TH FL STAIR 1"},
+  {"loop":2,"address":204,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361194","messages":"FLOWBELL RELAY 1ST FL WEST END OF BDLG"},
+  {"loop":6,"address":165,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5224330056","messages":"DAMPER 11TH MECH RM 14TH ELEV LBY RTRN"},
+  {"loop":3,"address":131,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227360548","messages":"DAMPER RLY 4TH FL ELEC RM EAST RTRN BY 419"},
+  {"loop":3,"address":387,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227356299","messages":"DOORHOLD 5TH FL COR ELEV LOBBY ENTRY"},
+  {"loop":2,"address":247,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227629386","messages":"EF-04 OFF RLY 1ST FL E-BIKE STORAGE RM"},
+  {"loop":6,"address":163,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227363549","messages":"DAMPER 11TH MECH RM 13TH ELEV LBY RTRN"},
+  {"loop":3,"address":141,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227359009","messages":"SPF3 DAMPER 3 STAIR 3 10TH FL"},
+  {"loop":5,"address":129,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362924","messages":"DAMPER RLY 8TH FL ELEC RM ELEV LBY W SPLY"},
+  {"loop":6,"address":156,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227363419","messages":"DOORHOLD RLY 11TH FL ELEV LOBBY ENTRANCE"},
+  {"loop":2,"address":395,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227360944","messages":"DAMPER RELAY 3RD FL ELEC RM 2ND E SUPPLY"},
+  {"loop":4,"address":126,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227336437","messages":"DOORHOLD 6TH FL ELEVATOR LOBBY ENTRY"},
+  {"loop":2,"address":387,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227349178","messages":"DAMPER RLY 3RD FL ELEC RM 3RD E SUPPLY"},
+  {"loop":5,"address":380,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362757","messages":"DAMPER RLY 9TH FL ELEV RM ELEV LBY W RTRN"},
+  {"loop":4,"address":141,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362030","messages":"SPF4 DAMPER 4 RELAY STAIR 2 1ST FLOOR"},
+  {"loop":6,"address":164,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227358477","messages":"DAMPER 11TH MECH RM 14TH ELEV LBY SPLY"},
+  {"loop":2,"address":153,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227631488","messages":"DOOR UNLOCK RELAY 1ST FL IT ROOM"},
+  {"loop":4,"address":381,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361873","messages":"DAMPER RLY 7TH FL ELEC RM CTR RTRN BY 721"},
+  {"loop":2,"address":205,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227360524","messages":"FLOWBELL RELAY RSVCA E-BIKE STRG 1ST FL"},
+  {"loop":2,"address":398,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227357838","messages":"DAMPER 3RD FL ELEC RM 2ND FL W SUPPLY"},
+  {"loop":5,"address":131,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227362276","messages":"DAMPER RLY 8TH FL ELEC RM CTR RTRN BY 819"},
+  {"loop":3,"address":383,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361583","messages":"DAMPER RLY 5TH FL ELEC RM EAST RTRN BY 519"},
+  {"loop":5,"address":384,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361293","messages":"DAMPER RLY 9TH FL ELEC RM 10TH FL CTR RTRN"},
+  {"loop":6,"address":395,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361651","messages":"ELEV HAT RELAY 14TH FL ELEV LOBBY"},
+  {"loop":2,"address":165,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361866","messages":"DOORHOLD RLY 2ND FL ELEV LOBBY ENTRANCE"},
+  {"loop":6,"address":181,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227626170","messages":"DOAS1 CONTROL RLY 11TH FL IN DOAS UNIT"},
+  {"loop":5,"address":381,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227361309","messages":"DAMPER RLY 9TH FL ELEC RM CTR RTRN BY 921"},
+  {"loop":5,"address":132,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227350297","messages":"DAMPER RLY 8TH FL ELEC RM EAST SPLY BY 819"},
+  {"loop":2,"address":388,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227358002","messages":"DAMPER RLY 3RD FL ELEC RM 3RD E RETURN"},
+  {"loop":5,"address":390,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5227359153","messages":"DAMPER RLY 9TH FL ELEC RM 10TH FL E SPLY"},
+  {"loop":2,"address":390,"model":"SIGA-CR","device_type":"Control Relay Module","serial_number":"5230280284","messages":"DAMPER RLY 3RD FL ELEC RM 3RD W RETURN"},
+  {"loop":6,"address":385,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798250774","messages":"RM1 13TH FL BASE PWR MON UNIT 1305 HALLWAY"},
+  {"loop":6,"address":390,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798261022","messages":"RM1 14TH FL BASE PWR MON UNIT 1405 HALLWAY"},
+  {"loop":6,"address":152,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798465512","messages":"RM1 11TH FL BASE PWR MON UNIT KITCHEN"},
+  {"loop":2,"address":383,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798462207","messages":"RM1 3RD FL BASE PWR MON IN UNIT 3O2 HALL"},
+  {"loop":6,"address":136,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798462030","messages":"RM1 10TH FL BASE PWR MON UNIT 1016 BY BDRM"},
+  {"loop":4,"address":136,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798461880","messages":"RM1 6TH FL BASE PWR MON UNIT 602 KITCHEN"},
+  {"loop":5,"address":136,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798464645","messages":"RM1 8TH FL BASE PWR MON UNIT 802 KITCHEN"},
+  {"loop":3,"address":386,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798465017","messages":"RM1 5TH FL BASE PWR MON UNIT 502 KITCHEN"},
+  {"loop":2,"address":136,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798468858","messages":"RM1 1ST FL BASE PWR MON LWR HALL UNIT 115"},
+  {"loop":5,"address":386,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798456671","messages":"RM1 9TH FL BASE PWR MON UNIT 902 KITCHEN"},
+  {"loop":2,"address":167,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798468285","messages":"RM1 2ND FL BASE PWR MON UNIT 201 HALLWAY"},
+  {"loop":3,"address":136,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798464430","messages":"RM1 4TH FL BASE PWR MON UNIT 402 KITCHEN"},
+  {"loop":6,"address":380,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798289439","messages":"RM1 12TH FL BASE PWR MON UNIT 1211 KITCHEN"},
+  {"loop":4,"address":386,"model":"SIGA-RM1","device_type":"Riser Monitor Module","serial_number":"5798465864","messages":"RM1 7TH FL BASE PWR MON UNIT 702 KITCHEN"},
+  {"loop":4,"address":163,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928598700","messages":"FLOW 12TH FL STAIR 2"},
+  {"loop":4,"address":145,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928596140","messages":"FLOW 3RD FL STAIR 2"},
+  {"loop":4,"address":161,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928597109","messages":"FLOW 11TH FL STAIR 2"},
+  {"loop":4,"address":147,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928598465","messages":"FLOW 4TH FL STAIR 2"},
+  {"loop":2,"address":215,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928598427","messages":"PUMP RUN 1ST FL FIRE PUMP ROOM"},
+  {"loop":2,"address":148,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4932986722","messages":"FLOW 1ST FL PARKING RMP STAIR 3 STANDPIPE"},
+  {"loop":2,"address":230,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4932986821","messages":"FLOW LL PARKING OUTSIDE STAIR 4"},
+  {"loop":2,"address":146,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4933689967","messages":"FLOW 1ST FL STAIR 1 STANDPIPE"},
+  {"loop":4,"address":157,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928598441","messages":"FLOW 9TH FL STAIR 2"},
+  {"loop":4,"address":143,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928560301","messages":"FLOW 2ND FL STAIR 2"},
+  {"loop":4,"address":153,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928585946","messages":"FLOW 7TH FL STAIR 2"},
+  {"loop":2,"address":150,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4932988160","messages":"FLOW 1ST FL STAIR 4 STANDPIPE FIRE PUMP RM"},
+  {"loop":4,"address":165,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928598601","messages":"FLOW 13TH FL STAIR 2"},
+  {"loop":5,"address":142,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928595747","messages":"ERCES BAT CHRG FAIL 8TH FL ELECTRICAL ROOM"},
+  {"loop":4,"address":167,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928597000","messages":"FLOW 14TH FL STAIR 2"},
+  {"loop":4,"address":149,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928595426","messages":"FLOW 5TH FL STAIR 2"},
+  {"loop":2,"address":232,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4933684986","messages":"FLOW SUB LL PARKING OUTSIDE STAIR 4"},
+  {"loop":2,"address":144,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4932985022","messages":"FLOW 1ST FL STNDPIPE SUBLET STAIR 2"},
+  {"loop":2,"address":212,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928594764","messages":"FLOW 1ST FL FIRE PUMP ROOM"},
+  {"loop":2,"address":217,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928562367","messages":"PHASE REVERSAL 1ST FL FIRE PUMP ROOM"},
+  {"loop":4,"address":151,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928597062","messages":"FLOW 6TH FL STAIR 2"},
+  {"loop":2,"address":210,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928595266","messages":"CTRL VLV 1ST FL BEFORE CHCK VLVE PUMP ROOM"},
+  {"loop":5,"address":140,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928596966","messages":"ERCES AC LOSS 8TH FL ELECTRICAL ROOM"},
+  {"loop":2,"address":219,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4932978581","messages":"DRY SYSTEM FLOW LL FIRE PUMP ROOM"},
+  {"loop":4,"address":159,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928595983","messages":"FLOW 10TH FL STAIR 2"},
+  {"loop":4,"address":155,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928567645","messages":"FLOW 8TH FL STAIR 2"},
+  {"loop":2,"address":221,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4933685303","messages":"BEFORE BACKFLOW LL FIRE PUMP ROOM"},
+  {"loop":5,"address":144,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928598526","messages":"ERCES DONOR ANTENNA FAIL 8TH FL ELEC ROOM"},
+  {"loop":2,"address":208,"model":"SIGA-CT2 ( Circuit 1 )","device_type":"Dual Input Module","serial_number":"4928567720","messages":"CTRL VL 1ST FL AFTER PUMP ISO VLVE PUMP RM"},
+  {"loop":2,"address":218,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928562374","messages":"PUMP MOTOR TROUBLE 1ST FL PUMP ROOM"},
+  {"loop":2,"address":220,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4932978598","messages":"LOW AIR LL FIRE PUMP ROOM"},
+  {"loop":4,"address":144,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928560318","messages":"TAMPER 2ND FL STAIR 2"},
+  {"loop":5,"address":145,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928598533","messages":"ERCES SYS COMPONENT FAIL 8TH FL ELEC ROOM"},
+  {"loop":2,"address":209,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928567737","messages":"CTRL VLV 1ST FL TEST HEADER VLVE PUMP ROOM"},
+  {"loop":2,"address":233,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4933684993","messages":"CTRL VLVE SUB LL PARKING OUTSIDE STAIR 4"},
+  {"loop":4,"address":150,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928595433","messages":"TAMPER 5TH FL STAIR 2"},
+  {"loop":4,"address":156,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928567652","messages":"TAMPER 8TH FL STAIR 2"},
+  {"loop":4,"address":154,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928585953","messages":"TAMPER 7TH FL STAIR 2"},
+  {"loop":4,"address":152,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928597079","messages":"TAMPER 6TH FL STAIR 2"},
+  {"loop":2,"address":145,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4932985039","messages":"CTRL VALVE 1ST FL STNDPIPE SUBLET STAIR 2"},
+  {"loop":5,"address":143,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928595754","messages":"ERCES RF EMMITER 8TH FL ELEC ROOM"},
+  {"loop":4,"address":148,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928598472","messages":"TAMPER 4TH FL STAIR 2"},
+  {"loop":2,"address":211,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928595273","messages":"CTRL VLVE 1ST FL AFTER CHCK VLVE PUMP ROOM"},
+  {"loop":2,"address":231,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4932986838","messages":"CTRL VLVE LL PARKING OUTSIDE STAIR 4"},
+  {"loop":4,"address":168,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928597017","messages":"TAMPER 14TH FL STAIR 2"},
+  {"loop":2,"address":222,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4933685310","messages":"AFTER BACKFLOW TAMPER LL FIRE PUMP ROOM"},
+  {"loop":2,"address":151,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4932988177","messages":"CONTROL 1ST FL STAIR 4 STNDPIPE PUMP ROOM"},
+  {"loop":2,"address":147,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4933689974","messages":"CONTROL VALVE 1ST FL STAIR 1 STANDPIPE"},
+  {"loop":4,"address":158,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928598458","messages":"TAMPER 9TH FL STAIR 2"},
+  {"loop":4,"address":162,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928597116","messages":"TAMPER 11TH FL STAIR 2"},
+  {"loop":4,"address":164,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928598717","messages":"TAMPER 12TH FL STAIR 2"},
+  {"loop":4,"address":166,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928598618","messages":"TAMPER 13TH FL STAIR 2"},
+  {"loop":2,"address":216,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928598434","messages":"PUMP PWR LOSS 1ST FL FIRE PUMP ROOM"},
+  {"loop":5,"address":141,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928596973","messages":"ERCES BAT CAP LOW 8TH FL ELECTRICAL ROOM"},
+  {"loop":2,"address":213,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928594771","messages":"CONTROL VALVE 1ST FL FIRE PUMP ROOM"},
+  {"loop":2,"address":149,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4932986739","messages":"CONTROL VALVE 1ST FL STAIR 3 STANDPIPE"},
+  {"loop":4,"address":146,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928596157","messages":"TAMPER 3RD FL STAIR 2"},
+  {"loop":4,"address":160,"model":"SIGA-CT2 ( Circuit 2 )","device_type":"Dual Input Module","serial_number":"4928595990","messages":"TAMPER 10TH FL STAIR 2"},
+  {"loop":6,"address":141,"model":"SIGA-AA30 ( Channel 1 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5103527348","messages":"AMP 11TH FL MECH PNTHS CCT A15 FEEDS 11TH"},
+  {"loop":6,"address":137,"model":"SIGA-AA30 ( Channel 1 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5100791223","messages":"AMP 11TH FL MECH PNTHS CCT A17 FEEDS 13TH"},
+  {"loop":2,"address":243,"model":"SIGA-AA30 ( Channel 1 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5103534025","messages":"AMP LL ELEC S002 CCT A3 FEEDS A3 STAIR 3"},
+  {"loop":6,"address":143,"model":"SIGA-AA30 ( Channel 1 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5103534223","messages":"AMP 11TH FL MECH PNTHS CCT A16 FEEDS 12TH"},
+  {"loop":2,"address":245,"model":"SIGA-AA30 ( Channel 1 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5103543980","messages":"AMP LL ELEC S002 CCT A4 FEEDS LOWER LEVEL"},
+  {"loop":6,"address":205,"model":"SIGA-AA30 ( Channel 1 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5103536746","messages":"AMP 9TH FL MTR RM S902 CCT A14 FEEDS 10TH"},
+  {"loop":6,"address":139,"model":"SIGA-AA30 ( Channel 1 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5103536920","messages":"AMP 11TH FL MECH PNTHS CCT A18 FEEDS 14TH"},
+  {"loop":6,"address":138,"model":"SIGA-AA30 ( Channel 2 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5100791230","messages":"AMP 11TH FL MECH PNTHS CCT A17 FEEDS 13TH"},
+  {"loop":6,"address":140,"model":"SIGA-AA30 ( Channel 2 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5103536937","messages":"AMP 11TH FL MECH PNTHS CCT A18 FEEDS 14TH"},
+  {"loop":2,"address":244,"model":"SIGA-AA30 ( Channel 2 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5103534032","messages":"AMP LL ELEC S002 CCT A3 FEEDS STAIR 3"},
+  {"loop":2,"address":246,"model":"SIGA-AA30 ( Channel 2 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5103543997","messages":"AMP LL ELEC S002 CCT A4 FEEDS LOWER LEVEL"},
+  {"loop":6,"address":142,"model":"SIGA-AA30 ( Channel 2 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5103527355","messages":"AMP 11TH FL MECH PNTHS CCT A15 FEEDS 11TH"},
+  {"loop":6,"address":206,"model":"SIGA-AA30 ( Channel 2 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5103536753","messages":"AMP 9TH FL MTR RM S902 CCT A14 FEEDS 10TH"},
+  {"loop":6,"address":144,"model":"SIGA-AA30 ( Channel 2 )","device_type":"30W Intelligent Audio Amplifier","serial_number":"5103534230","messages":"AMP 11TH FL MECH PNTHS CCT A16 FEEDS 12TH"},
+  {"loop":2,"address":130,"model":"SIGA-AA50 ( Channel 1 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103572621","messages":"AMP 1ST FL FCC RM S101 CCT A5 1ST FL"},
+  {"loop":2,"address":223,"model":"SIGA-AA50 ( Channel 1 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103590328","messages":"AMP 3RD FL MTR RM S302 CCT A7 FEEDS 3RD FL"},
+  {"loop":6,"address":200,"model":"SIGA-AA50 ( Channel 1 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103572485","messages":"AMP 8TH FL MTR RM S802 CCT A12 FEEDS 8TH"},
+  {"loop":2,"address":239,"model":"SIGA-AA50 ( Channel 1 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103570924","messages":"AMP 7TH FL MTR RM S702 CCT A11 FEEDS 7TH"},
+  {"loop":6,"address":203,"model":"SIGA-AA50 ( Channel 1 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103570764","messages":"AMP 9TH FL MTR RM S902 CCT A13 FEEDS 9TH"},
+  {"loop":2,"address":226,"model":"SIGA-AA50 ( Channel 1 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103561441","messages":"AMP 4TH FL MTR RM S402 CCT A8 FEEDS 4TH FL"},
+  {"loop":2,"address":234,"model":"SIGA-AA50 ( Channel 1 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103593961","messages":"AMP 5TH FL MTR RM S502 CCT A9 FEEDS 5TH FL"},
+  {"loop":2,"address":155,"model":"SIGA-AA50 ( Channel 1 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103756281","messages":"AMP 3RD FL MTR RM S302 CCT A6 FEEDS 2ND FL"},
+  {"loop":2,"address":236,"model":"SIGA-AA50 ( Channel 1 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103593428","messages":"AMP 6TH FL MTR RM S602 CCT A10 FEEDS 6TH"},
+  {"loop":2,"address":235,"model":"SIGA-AA50 ( Channel 2 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103593978","messages":"AMP 5TH FL MTR RM S502 CCT A9 FEEDS 5TH FL"},
+  {"loop":2,"address":156,"model":"SIGA-AA50 ( Channel 2 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103756298","messages":"AMP 3RD FL MTR RM S302 CCT A6 FEEDS 2ND FL"},
+  {"loop":2,"address":237,"model":"SIGA-AA50 ( Channel 2 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103593435","messages":"AMP 6TH FL MTR RM S602 CCT A10 FEEDS 6TH"},
+  {"loop":2,"address":131,"model":"SIGA-AA50 ( Channel 2 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103572638","messages":"AMP 1ST FL FCC RM S101 CCT A5 1ST FL"},
+  {"loop":2,"address":240,"model":"SIGA-AA50 ( Channel 2 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103570931","messages":"AMP 7TH FL MTR RM S702 CCT A11 FEEDS 7TH"},
+  {"loop":6,"address":201,"model":"SIGA-AA50 ( Channel 2 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103572492","messages":"AMP 8TH FL MTR RM S802 CCT A12 FEEDS 8TH"},
+  {"loop":2,"address":224,"model":"SIGA-AA50 ( Channel 2 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103590335","messages":"AMP 3RD FL MTR RM S302 CCT A7 FEEDS 3RD FL"},
+  {"loop":2,"address":227,"model":"SIGA-AA50 ( Channel 2 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103561458","messages":"AMP 4TH FL MTR RM S402 CCT A8 FEEDS 4TH FL"},
+  {"loop":6,"address":204,"model":"SIGA-AA50 ( Channel 2 )","device_type":"50W Intelligent Audio Amplifier","serial_number":"5103570771","messages":"AMP 9TH FL MTR RM S902 CCT A13 FEEDS 9TH"},
+  {"loop":2,"address":182,"model":"SIGA-TCDR ( Channel 1 )","device_type":"Temporal Pattern Generator","serial_number":"5800877708","messages":"TCDR 1ST FL SOUNDER BASE CCT CH1 FCC"},
+  {"loop":2,"address":183,"model":"SIGA-TCDR ( Channel 2 )","device_type":"Temporal Pattern Generator","serial_number":"5800877715","messages":"TCDR 1ST FL SOUNDER BASE CCT CH2 FCC"},
+  {"loop":4,"address":8,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913490449","messages":"DUCT SMOKE 6TH FL ELEV LOBBY WEST RETURN"},
+  {"loop":6,"address":6,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913468547","messages":"DUCT SMOKE 10TH FL ELEV LOBBY 10TH W SPPLY"},
+  {"loop":5,"address":261,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913468646","messages":"DUCT SMOKE 9TH FL COR 9 EAST RTRN BY 919"},
+  {"loop":3,"address":259,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913624721","messages":"DUCT SMOKE 5TH FL COR 5 CTR RTRN BY 521"},
+  {"loop":6,"address":256,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913434498","messages":"DUCT SMOKE 12TH FL ELEV LOBBY RETURN"},
+  {"loop":3,"address":5,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913628019","messages":"DUCT SMOKE 4TH FL ELEV LOBBY WEST RETURN"},
+  {"loop":2,"address":26,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913625124","messages":"DUCT SMOKE 2ND FL ELEV LOBBY W RETURN"},
+  {"loop":3,"address":2,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915929848","messages":"DUCT SMOKE 4TH FL COR 4 E SPLY BY UNIT 419"},
+  {"loop":4,"address":260,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913491606","messages":"DUCT SMOKE 7TH FL COR 7 EAST SPLY BY 719"},
+  {"loop":3,"address":3,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915062170","messages":"DUCT SMOKE 4TH FL COR 4 E RTRN BY 419"},
+  {"loop":6,"address":9,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913490333","messages":"DUCT SMOKE 10TH FL COR EAST RTRN CMN AREA"},
+  {"loop":2,"address":256,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915083007","messages":"DUCT SMOKE 3RD FL ELEV LOBBY W RETURN"},
+  {"loop":5,"address":258,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913449096","messages":"DUCT SMOKE 9TH FL ELEV LOBBY WEST RETURN"},
+  {"loop":6,"address":312,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915084288","messages":"DUCT SMOKE 14TH FL ELEV LOBBY RETURN"},
+  {"loop":5,"address":10,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913626176","messages":"DUCT SMOKE 8TH FL COR 8 EAST SPLY BY 819"},
+  {"loop":5,"address":260,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915084486","messages":"DUCT SMOKE 9TH FL COR 9 EAST SPLY BY 919"},
+  {"loop":6,"address":255,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915084295","messages":"DUCT SMOKE 12TH FL ELEV LOBBY SUPPLY"},
+  {"loop":2,"address":254,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915084936","messages":"DUCT SMOKE 3RD FL COR 3 E RETURN BY 319"},
+  {"loop":4,"address":7,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915064709","messages":"DUCT SMOKE 6TH FL ELEV LOBBY WEST SUPPLY"},
+  {"loop":4,"address":257,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915085483","messages":"DUCT SMOKE 7TH FL ELEV LOBBY WEST SUPPLY"},
+  {"loop":6,"address":280,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913468653","messages":"DUCT SMOKE 13TH FL ELEV LOBBY RETURN"},
+  {"loop":2,"address":93,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915084240","messages":"DUCT SMOKE 1ST FL ELEV LBBY WEST SUPPLY"},
+  {"loop":5,"address":11,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3917764492","messages":"DUCT SMOKE 8TH FL COR 8 EAST RTRN BY 819"},
+  {"loop":6,"address":11,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3908576882","messages":"DUCT SMOKE 10TH FL BATH RTRN COM AREA"},
+  {"loop":3,"address":261,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915084257","messages":"DUCT SMOKE 5TH FL COR 5 EAST RTRN BY 519"},
+  {"loop":2,"address":92,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915083564","messages":"DUCT SMOKE 1ST FL ELEV LOBBY W RETURN"},
+  {"loop":4,"address":11,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915082475","messages":"DUCT SMOKE 6TH FL COR 6 EAST RTRN BY 619"},
+  {"loop":2,"address":255,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915062279","messages":"DUCT SMOKE 3RD FL ELEV LOBBY W SUPPLY"},
+  {"loop":2,"address":253,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915084691","messages":"DUCT SMOKE 3RD FL COR 3 EAST SPPLY BY 319"},
+  {"loop":4,"address":261,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915085216","messages":"DUCT SMOKE 7TH FL COR 7 EAST RTRN BY 719"},
+  {"loop":6,"address":7,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915809768","messages":"DUCT SMOKE 10TH FL ELEV LOBBY 10TH W RTRN"},
+  {"loop":3,"address":260,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915085186","messages":"DUCT SMOKE 5TH FL COR 5 EAST SPLY BY 519"},
+  {"loop":2,"address":22,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915064570","messages":"DUCT SMOKE 2ND FL COR 2 EAST SUPPLY"},
+  {"loop":4,"address":259,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913490401","messages":"DUCT SMOKE 7TH FL COR 7 CTR RTRN BY 721"},
+  {"loop":3,"address":1,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915064693","messages":"DUCT SMOKE 4TH FL COR 4 CTR RTRN BY 421"},
+  {"loop":5,"address":7,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3917764287","messages":"DUCT SMOKE 8TH FL ELEV LOBBY WEST SUPPLY"},
+  {"loop":6,"address":279,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913468806","messages":"DUCT SMOKE 13TH FL ELEV LOBBY SUPPLY"},
+  {"loop":4,"address":258,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913237389","messages":"DUCT SMOKE 7TH FL ELEV LOBBY WEST RETURN"},
+  {"loop":6,"address":48,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915083618","messages":"DUCT SMOKE 11TH FL ELEV LOBBY 11TH SUPPLY"},
+  {"loop":2,"address":91,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915084448","messages":"DUCT SMOKE 1ST FL COMPACT. RM EAST SUPPLY"},
+  {"loop":2,"address":252,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915084301","messages":"DUCT SMOKE 3RD FL COR 3 CTR RTN BY 321"},
+  {"loop":6,"address":8,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3917764386","messages":"DUCT SMOKE 10TH FL COR STR RTRN 10TH COR"},
+  {"loop":5,"address":9,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913468691","messages":"DUCT SMOKE 8TH FL COR 8 CTR RTRN BY 821"},
+  {"loop":5,"address":259,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3917764294","messages":"DUCT SMOKE 9TH FL COR 9 CTR RTRN BY 921"},
+  {"loop":2,"address":25,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915085063","messages":"DUCT SMOKE 2ND FL ELEV LOBBY W SUPPLY"},
+  {"loop":6,"address":10,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913468554","messages":"DUCT SMOKE 10TH FL EAST RTRN COM AREA"},
+  {"loop":5,"address":8,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915084233","messages":"DUCT SMOKE 8TH FL ELEV LOBBY WEST RETURN"},
+  {"loop":3,"address":258,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913468783","messages":"DUCT SMOKE 5TH FL ELEV LOBBY W RETURN"},
+  {"loop":2,"address":23,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915085179","messages":"DUCT SMOKE 2ND FL COR 2 CENTER RETURN"},
+  {"loop":3,"address":257,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913490340","messages":"DUCT SMOKE 5TH FL ELEV LOBBY W SUPPLY"},
+  {"loop":5,"address":257,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913468790","messages":"DUCT SMOKE 9TH FL ELEV LOBBY WEST SUPPLY"},
+  {"loop":6,"address":49,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915084325","messages":"DUCT SMOKE 11TH FL ELEV LOBBY 11TH RTRN"},
+  {"loop":4,"address":9,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3913490470","messages":"DUCT SMOKE 6TH FL COR 6 CTR RTRN BY 621"},
+  {"loop":2,"address":24,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915082994","messages":"DUCT SMOKE 2ND FL COR 2 EAST RETURN"},
+  {"loop":2,"address":90,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915082666","messages":"DUCT SMOKE 1ST FL COMPACT. RM EAST RTRN"},
+  {"loop":3,"address":4,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915063924","messages":"DUCT SMOKE 4TH FL ELEV LOBBY WEST SUPPLY"},
+  {"loop":4,"address":10,"model":"SIGA-SD","device_type":"SuperDuct Smoke Detector","serial_number":"3915084264","messages":"DUCT SMOKE 6TH FL COR 6 EAST SPLY BY 619"},
+  {"loop":4,"address":6,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831770371","messages":"HEAT 6TH FL TRASH ROOM"},
+  {"loop":2,"address":95,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831769252","messages":"HEAT 1ST FL OUTSIDE BIN STORAGE"},
+  {"loop":5,"address":6,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831651328","messages":"HEAT 8TH FL TRASH ROOM"},
+  {"loop":2,"address":251,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831768941","messages":"HEAT 3RD FL TRASH ROOM"},
+  {"loop":3,"address":9,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831770883","messages":"HEAT 4TH FL TRASH ROOM"},
+  {"loop":6,"address":47,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831770364","messages":"HEAT 11TH FL TRASH ROOM"},
+  {"loop":6,"address":5,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831769344","messages":"HEAT 10TH FL TRASH ROOM"},
+  {"loop":3,"address":256,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831770876","messages":"HEAT 5TH FL TRASH ROOM"},
+  {"loop":4,"address":256,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831769320","messages":"HEAT 7TH FL TRASH ROOM"},
+  {"loop":2,"address":7,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831770708","messages":"HEAT 1ST FL BIN STORAGE ROOM"},
+  {"loop":6,"address":278,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3832274830","messages":"HEAT 13TH FL TRASH ROOM"},
+  {"loop":5,"address":256,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831721960","messages":"HEAT 9TH FL TRASH ROOM"},
+  {"loop":2,"address":8,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831769047","messages":"HEAT 1ST FL COMPACTOR RM"},
+  {"loop":2,"address":21,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3835233803","messages":"HEAT 2ND FL TRASH ROOM"},
+  {"loop":2,"address":10,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3832016928","messages":"HEAT 1ST FL FIRE PUMP ROOM"},
+  {"loop":6,"address":254,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831769238","messages":"HEAT 12TH FL TRASH ROOM"},
+  {"loop":6,"address":308,"model":"SIGA-HRD","device_type":"Fixed Temp Heat Detector","serial_number":"3831662270","messages":"HEAT 14TH FL TRASH ROOM"},
+  {"loop":4,"address":290,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665013","messages":"SMOKE 7TH FL UNIT 721 LIVING ROOM WEST"},
+  {"loop":4,"address":55,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382965","messages":"SMOKE 6TH FL UNIT 605 BEDROOM"},
+  {"loop":6,"address":59,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382422","messages":"SMOKE 11TH FL UNIT 1105 BEDROOM"},
+  {"loop":2,"address":258,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666850","messages":"SMOKE 3RD FL METER RM"},
+  {"loop":5,"address":304,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672875","messages":"SMOKE 9TH FL UNIT 907 SOUTH BEDROOM"},
+  {"loop":2,"address":296,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666225","messages":"SMOKE 3RD FL UNIT 319 LIVING ROOM"},
+  {"loop":3,"address":299,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667512","messages":"SMOKE 5TH FL UNIT 509 BED AREA"},
+  {"loop":2,"address":257,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666591","messages":"SMOKE 3RD FL CORRIDOR BY STAIR 3"},
+  {"loop":2,"address":11,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952533176","messages":"SMOKE 1ST FL FFC RM S101 ABOVE FACP"},
+  {"loop":6,"address":276,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672806","messages":"ALT SMOKE 13TH FL ELEV LOBBY"},
+  {"loop":5,"address":269,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670659","messages":"SMOKE 9TH FL UNIT 926 BEDROOM"},
+  {"loop":4,"address":272,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665068","messages":"SMOKE 7TH FL UNIT 728 WEST BEDROOM"},
+  {"loop":2,"address":71,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382705","messages":"SMOKE 1ST FL UNIT 119 UPPER LVL N BDRM"},
+  {"loop":6,"address":275,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952617999","messages":"SMOKE 13TH FL CORRIDOR BY STAIR 2"},
+  {"loop":4,"address":268,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665204","messages":"SMOKE 7TH FL UNIT 720 BEDROOM"},
+  {"loop":4,"address":271,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952558490","messages":"SMOKE 7TH FL UNIT 728 LIVING ROOM"},
+  {"loop":5,"address":277,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952674435","messages":"SMOKE 9TH FL UNIT 929 EAST BEDROOM"},
+  {"loop":2,"address":46,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952230099","messages":"SMOKE 2ND FL UNIT 201 HALLWAY"},
+  {"loop":4,"address":295,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665914","messages":"SMOKE 7TH FL UNIT 715 BEDROOM"},
+  {"loop":5,"address":37,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668663","messages":"SMOKE 8TH FL UNIT 821 LIVING ROOM EAST"},
+  {"loop":5,"address":274,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675258","messages":"SMOKE 9TH FL UNIT 928 BY EAST BEDROOM"},
+  {"loop":3,"address":33,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667888","messages":"SMOKE 4TH FL UNIT 427 BEDROOM"},
+  {"loop":3,"address":36,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669110","messages":"SMOKE 4TH FL UNIT 423 LIVING ROOM"},
+  {"loop":2,"address":290,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666423","messages":"SMOKE 3RD FL UNIT 323 WEST BEDROOM"},
+  {"loop":4,"address":30,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665990","messages":"SMOKE 6TH FL UNIT 627 BEDROOM"},
+  {"loop":5,"address":50,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668977","messages":"SMOKE 8TH FL UNIT 807 NORTH BEDROOM"},
+  {"loop":6,"address":305,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952664726","messages":"SMOKE 14TH FL COR BY ELEV LOBBY ENTRY"},
+  {"loop":6,"address":52,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382255","messages":"SMOKE 11TH FL UNIT 1111 BED AREA"},
+  {"loop":2,"address":44,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952282098","messages":"SMOKE 1ST FL UNIT 113 UPPER LVL N HALL"},
+  {"loop":2,"address":12,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669134","messages":"SMOKE 1ST FL STAIR 3 EGRESS"},
+  {"loop":6,"address":24,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382149","messages":"SMOKE 10TH FL UNIT 1009 BED AREA"},
+  {"loop":2,"address":60,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952216192","messages":"SMOKE 2ND FL UNIT 228 WEST BEDROOM"},
+  {"loop":3,"address":8,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673933","messages":"ALT SMOKE 4TH FL ELEVATOR LOBBY"},
+  {"loop":5,"address":297,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675494","messages":"SMOKE 9TH FL UNIT 913 BED AREA"},
+  {"loop":2,"address":260,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672448","messages":"ALT SMOKE 3RD FL ELEVATOR LOBBY"},
+  {"loop":2,"address":19,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952383986","messages":"SMOKE 1ST FL UNIT 121 LOWER LVL BEDROOM"},
+  {"loop":6,"address":283,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952348220","messages":"SMOKE 13TH FL UNIT 1305 BY WEST BEDROOM"},
+  {"loop":4,"address":15,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665853","messages":"SMOKE 6TH FL UNIT 618 BEDROOM"},
+  {"loop":2,"address":5,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382521","messages":"SMOKE LL PARKING METER RM"},
+  {"loop":6,"address":251,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952557684","messages":"SMOKE 12TH FL CORRIDOR BY STAIR 2"},
+  {"loop":2,"address":86,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667659","messages":"SMOKE 1ST FL EAST ENTRY DOOR VEST SIDE"},
+  {"loop":6,"address":63,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952380374","messages":"SMOKE 11TH FL UNIT 1101 WEST BEDROOM"},
+  {"loop":4,"address":298,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665266","messages":"SMOKE 7TH FL UNIT 711 BED AREA"},
+  {"loop":5,"address":47,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673674","messages":"SMOKE 8TH FL UNIT 813 BED AREA"},
+  {"loop":3,"address":57,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668649","messages":"SMOKE 4TH FL UNIT 407 SOUTH BEDROOM"},
+  {"loop":2,"address":312,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952229765","messages":"SMOKE 3RD FL UNIT 303 BEDROOM"},
+  {"loop":6,"address":55,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672660","messages":"SMOKE 11TH FL UNIT 1107 LIVING ROOM"},
+  {"loop":5,"address":28,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673629","messages":"SMOKE 8TH FL UNIT 829 LIVING ROOM"},
+  {"loop":2,"address":310,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952267644","messages":"SMOKE 3RD FL UNIT 305 BEDROOM"},
+  {"loop":5,"address":286,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952677160","messages":"SMOKE 9TH FL UNIT 923 WEST BEDROOM"},
+  {"loop":5,"address":288,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952674459","messages":"SMOKE 9TH FL UNIT 921 LIVING ROOM EAST"},
+  {"loop":5,"address":26,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667437","messages":"SMOKE 8TH FL UNIT 829 WEST BEDROOM"},
+  {"loop":5,"address":252,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665303","messages":"SMOKE 9TH FL CORRIDOR BY ELEV LOBBY ENTRY"},
+  {"loop":4,"address":41,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952557516","messages":"SMOKE 6TH FL UNIT 619 LIVING ROOM"},
+  {"loop":6,"address":328,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952664771","messages":"SMOKE 14TH FL UNIT 1402 WEST BEDROOM"},
+  {"loop":6,"address":37,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675562","messages":"SMOKE 10TH FL UNIT 1002 WEST BEDROOM"},
+  {"loop":6,"address":41,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952615087","messages":"SMOKE 11TH FL CORRIDOR BY STAIR 2"},
+  {"loop":5,"address":306,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675142","messages":"SMOKE 9TH FL UNIT 905 LIVING ROOM"},
+  {"loop":5,"address":287,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669905","messages":"SMOKE 9TH FL UNIT 921 EAST BEDROOM"},
+  {"loop":5,"address":38,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669677","messages":"SMOKE 8TH FL UNIT 821 EAST BEDROOM"},
+  {"loop":4,"address":45,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952383993","messages":"SMOKE 6TH FL UNIT 615 BEDROOM"},
+  {"loop":2,"address":299,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952240487","messages":"SMOKE 3RD FL UNIT 315 BEDROOM"},
+  {"loop":6,"address":277,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952654208","messages":"SMOKE 13TH FL COR BY ELEV LOBBY ENTRANCE"},
+  {"loop":2,"address":1,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952616770","messages":"SMOKE LL PARKING METER ROOM"},
+  {"loop":2,"address":40,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952371877","messages":"SMOKE 1ST FL UNIT 117 UPPER LVL HALLWAY"},
+  {"loop":2,"address":316,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952226085","messages":"SMOKE 3RD FL UNIT 302 NORTH HALLWAY"},
+  {"loop":2,"address":309,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952265091","messages":"SMOKE 3RD FL UNIT 305 LIVING ROOM"},
+  {"loop":3,"address":263,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952298389","messages":"SMOKE 5TH FL UNIT 514 LIVING ROOM"},
+  {"loop":2,"address":14,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669660","messages":"SMOKE 1ST FL CORRIDOR STAIR 1"},
+  {"loop":2,"address":297,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666911","messages":"SMOKE 3RD FL UNIT 317 BEDROOM"},
+  {"loop":3,"address":43,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670567","messages":"SMOKE 4TH FL UNIT 421 WEST BEDROOM"},
+  {"loop":6,"address":32,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952378296","messages":"SMOKE 10TH FL UNIT 1003 LIVING ROOM"},
+  {"loop":3,"address":37,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382644","messages":"SMOKE 4TH FL UNIT 402 BY WEST BEDROOM"},
+  {"loop":5,"address":272,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675395","messages":"SMOKE 9TH FL UNIT 928 WEST BEDROOM"},
+  {"loop":5,"address":289,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673322","messages":"SMOKE 9TH FL UNIT 921 WEST BEDROOM"},
+  {"loop":3,"address":265,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382217","messages":"SMOKE 5TH FL UNIT 518 BEDROOM"},
+  {"loop":5,"address":295,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673285","messages":"SMOKE 9TH FL UNIT 915 LIVING ROOM"},
+  {"loop":2,"address":277,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666324","messages":"SMOKE 3RD FL UNIT 329 SOUTH BEDROOM"},
+  {"loop":3,"address":26,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666331","messages":"SMOKE 4TH FL UNIT 428 EAST BEDROOM"},
+  {"loop":2,"address":313,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952222094","messages":"SMOKE 3RD FL UNIT 301 NORTH BEDROOM"},
+  {"loop":3,"address":306,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668342","messages":"SMOKE 5TH FL UNIT 505 LIVING ROOM"},
+  {"loop":3,"address":38,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667819","messages":"SMOKE 4TH FL UNIT 423 EAST BEDROOM"},
+  {"loop":5,"address":55,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669103","messages":"SMOKE 8TH FL UNIT 805 LIVING ROOM"},
+  {"loop":6,"address":258,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381814","messages":"SMOKE 12TH FL UNIT 1209 LIVINIG ROOM"},
+  {"loop":6,"address":281,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952658244","messages":"SMOKE 13TH FL UNIT 1305 EAST BEDROOM"},
+  {"loop":5,"address":64,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952654253","messages":"SMOKE 8TH FL UNIT 802 LIVING ROOM"},
+  {"loop":5,"address":24,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668571","messages":"SMOKE 8TH FL UNIT 828 BY EAST BEDROOM"},
+  {"loop":2,"address":70,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382668","messages":"SMOKE 1ST FL UNIT 119 UPPER LVL S BDRM"},
+  {"loop":3,"address":64,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952378968","messages":"SMOKE 4TH FL UNIT 401 HALLWAY"},
+  {"loop":5,"address":36,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669516","messages":"SMOKE 8TH FL UNIT 823 WEST BEDROOM"},
+  {"loop":2,"address":3,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952378807","messages":"SMOKE LL PARKING STAIR 3"},
+  {"loop":4,"address":40,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666720","messages":"SMOKE 6TH FL UNIT 621 LIVING ROOM WEST"},
+  {"loop":6,"address":301,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952629435","messages":"SMOKE 14TH FL CORRIDOR BY STAIR 2"},
+  {"loop":3,"address":303,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667338","messages":"SMOKE 5TH FL UNIT 507 HALLWAY"},
+  {"loop":2,"address":291,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667215","messages":"SMOKE 3RD FL UNIT 321 LIVING RM EAST"},
+  {"loop":5,"address":266,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675357","messages":"SMOKE 9TH FL UNIT 918 LIVING ROOM"},
+  {"loop":3,"address":311,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670352","messages":"SMOKE 5TH FL UNIT 501 EAST BEDROOM"},
+  {"loop":2,"address":289,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666294","messages":"SMOKE 3RD FL UNIT 323 HALLWAY"},
+  {"loop":5,"address":285,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675197","messages":"SMOKE 9TH FL UNIT 923 HALLWAY"},
+  {"loop":3,"address":32,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668793","messages":"SMOKE 4TH FL UNIT 427 LIVING ROOM"},
+  {"loop":3,"address":14,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952380367","messages":"SMOKE 4TH FL UNIT 402 WEST BEDROOM"},
+  {"loop":3,"address":309,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669066","messages":"SMOKE 5TH FL UNIT 501 WEST BEDROOM"},
+  {"loop":2,"address":67,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952216772","messages":"SMOKE 2ND FL UNIT 223 NE BEDROOM"},
+  {"loop":3,"address":267,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952310692","messages":"SMOKE 5TH FL UNIT 520 LIVING ROOM"},
+  {"loop":2,"address":4,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952648474","messages":"SMOKE LL PARKING GENERATOR ROOM"},
+  {"loop":4,"address":24,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665723","messages":"SMOKE 6TH FL UNIT 628 BY EAST BEDROOM"},
+  {"loop":5,"address":307,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675654","messages":"SMOKE 9TH FL UNIT 905 BEDROOM"},
+  {"loop":6,"address":321,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952674077","messages":"SMOKE 14TH FL UNIT 1403 SOUTH BEDROOM"},
+  {"loop":4,"address":279,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665181","messages":"SMOKE 7TH FL UNIT 727 LIVING ROOM"},
+  {"loop":3,"address":25,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666171","messages":"SMOKE 4TH FL UNIT 428 WEST BEDROOM"},
+  {"loop":5,"address":29,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668489","messages":"SMOKE 8TH FL UNIT 827 LIVING ROOM"},
+  {"loop":3,"address":45,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666904","messages":"SMOKE 4TH FL UNIT 419 LIVING ROOM"},
+  {"loop":3,"address":30,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670277","messages":"SMOKE 4TH FL UNIT 429 EAST BEDROOM"},
+  {"loop":6,"address":327,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952615650","messages":"SMOKE 14TH FL UNIT 1401 LIVING ROOM"},
+  {"loop":5,"address":41,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673575","messages":"SMOKE 8TH FL UNIT 819 LIVING ROOM"},
+  {"loop":6,"address":64,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382248","messages":"SMOKE 11TH FL UNIT 1101 HALLWAY"},
+  {"loop":4,"address":273,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665051","messages":"SMOKE 7TH FL UNIT 728 EAST BEDROOM"},
+  {"loop":3,"address":65,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952344482","messages":"SMOKE 4TH FL UNIT 401 EAST BEDROOM"},
+  {"loop":2,"address":61,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952230297","messages":"SMOKE 2ND FL UNIT 228 DEN OFFICE"},
+  {"loop":2,"address":293,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667147","messages":"SMOKE 3RD FL UNIT 321 WEST BEDROOM"},
+  {"loop":5,"address":40,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668403","messages":"SMOKE 8TH FL UNIT 821 LIVING ROOM WEST"},
+  {"loop":2,"address":286,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666249","messages":"SMOKE 3RD FL UNIT 325 BEDROOM"},
+  {"loop":6,"address":291,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952610983","messages":"SMOKE 13TH FL UNIT 1301 NORTH BEDROOM"},
+  {"loop":2,"address":18,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670987","messages":"SMOKE 1ST FL UNIT 123 WEST BEDROOM"},
+  {"loop":6,"address":1,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675432","messages":"SMOKE 10TH FL CORRIDOR BY STAIR 2"},
+  {"loop":4,"address":309,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665594","messages":"SMOKE 7TH FL UNIT 701 WEST BEDROOM"},
+  {"loop":4,"address":304,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668472","messages":"SMOKE 7TH FL UNIT 707 SOUTH BEDROOM"},
+  {"loop":4,"address":34,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952652549","messages":"SMOKE 6TH FL UNIT 623 EAST BEDROOM"},
+  {"loop":3,"address":301,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669226","messages":"SMOKE 5TH FL UNIT 507 LIVING ROOM"},
+  {"loop":5,"address":65,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952652686","messages":"SMOKE 8TH FL UNIT 802 BY WEST BEDROOM"},
+  {"loop":2,"address":292,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666683","messages":"SMOKE 3RD FL UNIT 321 EAST BEDROOM"},
+  {"loop":4,"address":277,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665174","messages":"SMOKE 7TH FL UNIT 729 EAST BEDROOM"},
+  {"loop":3,"address":44,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667895","messages":"SMOKE 4TH FL UNIT 421 LIVING ROOM WEST"},
+  {"loop":3,"address":61,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667352","messages":"SMOKE 4TH FL UNIT 403 LIVING ROOM"},
+  {"loop":3,"address":24,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667086","messages":"SMOKE 4TH FL UNIT 428 LIVING ROOM"},
+  {"loop":3,"address":280,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382750","messages":"SMOKE 5TH FL UNIT 527 BEDROOM"},
+  {"loop":4,"address":47,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952383948","messages":"SMOKE 6TH FL UNIT 613 BED AREA"},
+  {"loop":6,"address":271,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382057","messages":"SMOKE 12TH FL UNIT 1202 WEST BEDROOM"},
+  {"loop":6,"address":56,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673131","messages":"SMOKE 11TH FL UNIT 1107 HALLWAY"},
+  {"loop":6,"address":270,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952378180","messages":"SMOKE 12TH FL UNIT 1201 HALLWAY"},
+  {"loop":4,"address":283,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665686","messages":"SMOKE 7TH FL UNIT 725 LIVING ROOM"},
+  {"loop":4,"address":252,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673094","messages":"SMOKE 7TH FL COR ELEVATOR LOBBY ENTRY"},
+  {"loop":6,"address":253,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952543205","messages":"SMOKE 12TH FL CORRIDOR ELEV LOBBY ENTRANCE"},
+  {"loop":3,"address":66,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667116","messages":"SMOKE 4TH FL UNIT 401 LIVING ROOM"},
+  {"loop":3,"address":34,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670574","messages":"SMOKE 4TH FL UNIT 425 BEDROOM"},
+  {"loop":6,"address":3,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673230","messages":"SMOKE 10TH FL COR BY ELEV LOBBY ENTRY"},
+  {"loop":3,"address":41,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667222","messages":"SMOKE 4TH FL UNIT 421 LIVING ROOM EAST"},
+  {"loop":4,"address":284,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665419","messages":"SMOKE 7TH FL UNIT 723 EAST BEDROOM"},
+  {"loop":6,"address":19,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381548","messages":"SMOKE 10TH FL UNIT 1015 LIVING ROOM EAST"},
+  {"loop":4,"address":293,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665822","messages":"SMOKE 7TH FL UNIT 717 LIVING ROOM"},
+  {"loop":3,"address":62,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666744","messages":"SMOKE 4TH FL UNIT 403 BEDROOM"},
+  {"loop":2,"address":311,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952261567","messages":"SMOKE 3RD FL UNIT 303 LIVING ROOM"},
+  {"loop":2,"address":268,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667369","messages":"SMOKE 3RD FL UNIT 318 BEDROOM"},
+  {"loop":5,"address":254,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675456","messages":"SMOKE 9TH FL CORRIDOR BY STAIR 3"},
+  {"loop":2,"address":79,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670505","messages":"SMOKE 2ND FL UNIT 203 SOUTH BEDROOM"},
+  {"loop":5,"address":251,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670307","messages":"SMOKE 9TH FL CORRIDOR BY STAIR 2"},
+  {"loop":5,"address":275,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675470","messages":"SMOKE 9TH FL UNIT 929 HALLWAY"},
+  {"loop":6,"address":317,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952674114","messages":"SMOKE 14TH FL UNIT 1403 NORTH BEDROOM"},
+  {"loop":2,"address":305,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667475","messages":"SMOKE 3RD FL UNIT 307 NORTH BEDROOM"},
+  {"loop":6,"address":322,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952623129","messages":"SMOKE 14TH FL UNIT 1401 NORTH BEDROOM"},
+  {"loop":3,"address":279,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952291663","messages":"SMOKE 5TH FL UNIT 527 LIVING ROOM"},
+  {"loop":3,"address":12,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952380930","messages":"SMOKE 4TH FL UNIT 402 LIVING ROOM"},
+  {"loop":3,"address":294,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670512","messages":"SMOKE 5TH FL UNIT 517 BEDROOM"},
+  {"loop":3,"address":16,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669233","messages":"SMOKE 4TH FL UNIT 414 LIVING ROOM"},
+  {"loop":6,"address":261,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952563937","messages":"SMOKE 12TH FL UNIT 1211 BEDROOM"},
+  {"loop":6,"address":42,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952376582","messages":"SMOKE 11TH FL UNIT 1101 LIVING ROOM"},
+  {"loop":5,"address":27,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668946","messages":"SMOKE 8TH FL UNIT 829 EAST BEDROOM"},
+  {"loop":2,"address":28,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952216512","messages":"SMOKE 2ND FL COR 2 STAIR 2"},
+  {"loop":6,"address":39,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675920","messages":"SMOKE 10TH FL UNIT 1002 LIVING ROOM"},
+  {"loop":5,"address":16,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669196","messages":"SMOKE 8TH FL UNIT 818 LIVING ROOM"},
+  {"loop":2,"address":55,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952223022","messages":"SMOKE 2ND FL UNIT 201 SOUTH BEDROOM"},
+  {"loop":6,"address":325,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952543229","messages":"SMOKE 11TH FL UNIT 1402 BY SOUTH BEDROOM"},
+  {"loop":2,"address":30,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952630288","messages":"SMOKE 2ND FL COR 2 ELEV LOBBY ENTRY"},
+  {"loop":3,"address":63,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666829","messages":"SMOKE 4TH FL UNIT 401 WEST BEDROOM"},
+  {"loop":5,"address":284,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952677252","messages":"SMOKE 9TH FL UNIT 923 EAST BEDROOM"},
+  {"loop":6,"address":54,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672936","messages":"SMOKE 11TH FL UNIT 1107 NORTH BEDROOM"},
+  {"loop":4,"address":251,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665716","messages":"SMOKE 7TH FL CORRIDOR BY STAIR 2"},
+  {"loop":3,"address":300,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667949","messages":"SMOKE 5TH FL UNIT 507 NORTH BEDROOM"},
+  {"loop":4,"address":32,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665679","messages":"SMOKE 6TH FL UNIT 625 LIVING ROOM"},
+  {"loop":6,"address":299,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952652440","messages":"SMOKE 13TH FL UNIT 1302 LIVING ROOM"},
+  {"loop":2,"address":264,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952238255","messages":"SMOKE 3RD FL UNIT 302 NORTH BBEDROOM"},
+  {"loop":6,"address":4,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382453","messages":"SMOKE 10TH FL UNIT 1001 LIVING ROOM"},
+  {"loop":2,"address":270,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666751","messages":"SMOKE 3RD FL UNIT 312 BED AREA"},
+  {"loop":5,"address":59,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665402","messages":"SMOKE 8TH FL UNIT 801 WEST BEDROOM"},
+  {"loop":4,"address":278,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665341","messages":"SMOKE 7TH FL UNIT 729 LIVING ROOM"},
+  {"loop":2,"address":39,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952383979","messages":"SMOKE 1ST FL UNIT 119 UPPER LVL HALLWAY"},
+  {"loop":4,"address":36,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665440","messages":"SMOKE 6TH FL UNIT 623 WEST BEDROOM"},
+  {"loop":6,"address":296,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952617807","messages":"SMOKE 12TH FL UNIT 1211 HALLWAY"},
+  {"loop":5,"address":315,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669622","messages":"SMOKE 9TH FL UNIT 902 BY WEST BEDROOM"},
+  {"loop":2,"address":20,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952283316","messages":"SMOKE 1ST FL UNIT 123 HALLWAY"},
+  {"loop":2,"address":31,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952226238","messages":"SMOKE 2ND FL COR 2 STAIR 3"},
+  {"loop":6,"address":288,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673124","messages":"SMOKE 13TH FL UNIT 1303 HALLWAY"},
+  {"loop":3,"address":29,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668779","messages":"SMOKE 4TH FL UNIT 429 WEST BEDROOM"},
+  {"loop":6,"address":320,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673162","messages":"SMOKE 14TH FL UNIT 1403 HALLWAY"},
+  {"loop":2,"address":267,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666652","messages":"SMOKE 3RD FL UNIT 320 LIVING ROOM"},
+  {"loop":3,"address":296,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669202","messages":"SMOKE 5TH FL UNIT 515 LIVING ROOM"},
+  {"loop":3,"address":18,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667482","messages":"SMOKE 4TH FL UNIT 418 BEDROOM"},
+  {"loop":6,"address":14,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381647","messages":"SMOKE 10TH FL UNIT 1016 BEDROOM"},
+  {"loop":5,"address":34,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952674091","messages":"SMOKE 8TH FL UNIT 823 EAST BEDROOM"},
+  {"loop":2,"address":280,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666874","messages":"SMOKE 3RD FL UNIT 328 SOUTHWEST BDRM"},
+  {"loop":5,"address":19,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668212","messages":"SMOKE 8TH FL UNIT 826 BEDROOM"},
+  {"loop":3,"address":54,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669417","messages":"SMOKE 4TH FL UNIT 407 NORTH BEDROOM"},
+  {"loop":4,"address":33,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665532","messages":"SMOKE 6TH FL UNIT 623 LIVING ROOM"},
+  {"loop":6,"address":331,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382637","messages":"SMOKE 14TH FL UNIT 1402 BY WEST BEDROOM"},
+  {"loop":4,"address":313,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952652402","messages":"SMOKE 7TH FL UNIT 702 EAST BEDROOM"},
+  {"loop":2,"address":33,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952223275","messages":"SMOKE 2ND FL UNIT 229 S LIVING RM AREA"},
+  {"loop":2,"address":307,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668861","messages":"SMOKE 3RD FL UNIT 307 SOUTH COMMON AREA"},
+  {"loop":4,"address":299,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665877","messages":"SMOKE 7TH FL UNIT 709 BED AREA"},
+  {"loop":4,"address":311,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665655","messages":"SMOKE 7TH FL UNIT 701 EAST BEDROOM"},
+  {"loop":5,"address":281,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675463","messages":"SMOKE 9TH FL UNIT 925 BEDROOM"},
+  {"loop":5,"address":15,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668953","messages":"SMOKE 8TH FL UNIT 818 BEDROOM"},
+  {"loop":2,"address":29,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669646","messages":"ALT SMOKE 2ND FL ELEVATOR LOBBY"},
+  {"loop":6,"address":285,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672486","messages":"SMOKE 13TH FL UNIT 1303 NORTH BEDROOM"},
+  {"loop":5,"address":280,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952676149","messages":"SMOKE 9TH FL UNIT 927 BEDROOM"},
+  {"loop":5,"address":42,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668304","messages":"SMOKE 8TH FL UNIT 819 BEDROOM"},
+  {"loop":6,"address":295,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673216","messages":"SMOKE 13TH FL UNIT 1301 LIVING ROOM"},
+  {"loop":2,"address":308,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670550","messages":"SMOKE 3RD FL UNIT 307 CENTER BEDROOM"},
+  {"loop":5,"address":32,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668939","messages":"SMOKE 8TH FL UNIT 825 LIVING ROOM"},
+  {"loop":6,"address":314,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952645848","messages":"SMOKE 14TH FL UNIT 1405 LIVING ROOM"},
+  {"loop":4,"address":46,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665044","messages":"SMOKE 6TH FL UNIT 615 LIVING ROOM"},
+  {"loop":4,"address":29,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665563","messages":"SMOKE 6TH FL UNIT 627 LIVING ROOM"},
+  {"loop":2,"address":314,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952222995","messages":"SMOKE 3RD FL UNIT 301 CENTER BEDROOM"},
+  {"loop":3,"address":282,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952304417","messages":"SMOKE 5TH FL UNIT 525 LIVING ROOM"},
+  {"loop":2,"address":49,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952222186","messages":"SMOKE 2ND FL UNIT 202 SOUTH HALLWAY"},
+  {"loop":2,"address":75,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382040","messages":"SMOKE 1ST FL UNIT 113 UPPER NE BDRM"},
+  {"loop":3,"address":297,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668366","messages":"SMOKE 5TH FL UNIT 513 BED AREA"},
+  {"loop":4,"address":312,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665921","messages":"SMOKE 7TH FL UNIT 702 WEST BEDROOM"},
+  {"loop":5,"address":313,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670604","messages":"SMOKE 9TH FL UNIT 902 EAST BEDROOM"},
+  {"loop":5,"address":282,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952674497","messages":"SMOKE 9TH FL UNIT 925 LIVING ROOM"},
+  {"loop":3,"address":304,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667383","messages":"SMOKE 5TH FL UNIT 507 SOUTH BEDROOM"},
+  {"loop":3,"address":287,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3951523635","messages":"SMOKE 5TH FL UNIT 521 EAST BEDROOM"},
+  {"loop":5,"address":270,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675272","messages":"SMOKE 9TH FL UNIT 926 LIVING ROOM"},
+  {"loop":4,"address":37,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665471","messages":"SMOKE 6TH FL UNIT 621 EAST BEDROOM"},
+  {"loop":5,"address":54,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672943","messages":"SMOKE 8TH FL UNIT 807 SOUTH BEDROOM"},
+  {"loop":2,"address":16,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952384105","messages":"SMOKE 1ST FL UNIT 123 SOUTH BEDROOM"},
+  {"loop":4,"address":60,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952385188","messages":"SMOKE 6TH FL UNIT 601 HALLWAY"},
+  {"loop":3,"address":277,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952295111","messages":"SMOKE 5TH FL UNIT 529 EAST BEDROOM"},
+  {"loop":5,"address":45,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668885","messages":"SMOKE 8TH FL UNIT 815 BEDROOM"},
+  {"loop":4,"address":18,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665273","messages":"SMOKE 6TH FL UNIT 620 BEDROOM"},
+  {"loop":3,"address":19,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666270","messages":"SMOKE 4TH FL UNIT 418 LIVING ROOM"},
+  {"loop":3,"address":307,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668915","messages":"SMOKE 5TH FL UNIT 503 LIVING ROOM"},
+  {"loop":5,"address":316,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668823","messages":"SMOKE 9TH FL UNIT 901 LIVING ROOM"},
+  {"loop":2,"address":76,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952223305","messages":"SMOKE 2ND FL UNIT 211 BED AREA"},
+  {"loop":6,"address":69,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382286","messages":"SMOKE 11TH FL UNIT 1102 BY WEST BEDROOM"},
+  {"loop":6,"address":22,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381029","messages":"SMOKE 10TH FL UNIT 1013 BED AREA"},
+  {"loop":2,"address":276,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667130","messages":"SMOKE 3RD FL UNIT 329 HALLWAY"},
+  {"loop":2,"address":274,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666362","messages":"SMOKE 3RD FL UNIT 327 LIVING ROOM"},
+  {"loop":4,"address":286,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665112","messages":"SMOKE 7TH FL UNIT 723 WEST BEDROOM"},
+  {"loop":5,"address":283,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952674411","messages":"SMOKE 9TH FL UNIT 923 LIVING ROOM"},
+  {"loop":3,"address":272,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952304325","messages":"SMOKE 5TH FL UNIT 528 WEST BEDROOM"},
+  {"loop":5,"address":22,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668519","messages":"SMOKE 8TH FL UNIT 828 WEST BEDROOM"},
+  {"loop":6,"address":289,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673193","messages":"SMOKE 13TH FL UNIT 1303 SOUTH BEDROOM"},
+  {"loop":2,"address":38,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952281909","messages":"SMOKE 1ST FL UNIT 121 UPPER LVL HALLWAY"},
+  {"loop":4,"address":280,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665433","messages":"SMOKE 7TH FL UNIT 727 BEDROOM"},
+  {"loop":5,"address":292,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675227","messages":"SMOKE 9TH FL UNIT 919 BEDROOM"},
+  {"loop":5,"address":53,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673179","messages":"SMOKE 8TH FL UNIT 807 HALLWAY"},
+  {"loop":4,"address":44,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667178","messages":"SMOKE 6TH FL UNIT 617 BEDROOM"},
+  {"loop":4,"address":305,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952652327","messages":"SMOKE 7TH FL UNIT 705 BEDROOM"},
+  {"loop":5,"address":33,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670451","messages":"SMOKE 8TH FL UNIT 823 LIVING ROOM"},
+  {"loop":6,"address":29,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672820","messages":"SMOKE 10TH FL UNIT 1007 SOUTH BEDROOM"},
+  {"loop":2,"address":58,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952226467","messages":"SMOKE 2ND FL UNIT 202 SW BEDROOM"},
+  {"loop":5,"address":62,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665297","messages":"SMOKE 8TH FL UNIT 802 WEST BEDROOM"},
+  {"loop":2,"address":45,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669271","messages":"SMOKE 2ND FL UNIT 203 HALLWAY"},
+  {"loop":2,"address":261,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952267507","messages":"SMOKE 3RD FL CORRIDOR BY STAIR 2"},
+  {"loop":2,"address":303,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952267668","messages":"SMOKE 3RD FL UNIT 309 BED AREA"},
+  {"loop":5,"address":301,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669585","messages":"SMOKE 9TH FL UNIT 907 LIVING ROOM"},
+  {"loop":5,"address":5,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669479","messages":"SMOKE 8TH FL CORRIDOR BY STAIR 3"},
+  {"loop":6,"address":68,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382200","messages":"SMOKE 11TH FL UNIT 1102 LIVING ROOM"},
+  {"loop":3,"address":291,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952304653","messages":"SMOKE 5TH FL UNIT 519 LIVING ROOM"},
+  {"loop":2,"address":74,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952282258","messages":"SMOKE 1ST FL UNIT 115 UPPER LVL W BDRM"},
+  {"loop":2,"address":34,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952223008","messages":"SMOKE 2ND FL UNIT 229 N LIVING RM AREA"},
+  {"loop":3,"address":315,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668557","messages":"SMOKE 5TH FL UNIT 502 BY WEST BEDROOM"},
+  {"loop":6,"address":53,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382460","messages":"SMOKE 11TH FL UNIT 1109 BED AREA"},
+  {"loop":6,"address":268,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381296","messages":"SMOKE 12TH FL UNIT 1201 WEST BEDROOM"},
+  {"loop":3,"address":58,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670475","messages":"SMOKE 4TH FL UNIT 407 HALLWAY"},
+  {"loop":5,"address":263,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952671359","messages":"SMOKE 9TH FL UNIT 914 LIVING ROOM"},
+  {"loop":3,"address":15,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668816","messages":"SMOKE 4TH FL UNIT 412 BED AREA"},
+  {"loop":4,"address":48,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381739","messages":"SMOKE 6TH FL UNIT 611 BED AREA"},
+  {"loop":6,"address":259,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381975","messages":"SMOKE 12TH FL UNIT 1209 BEDROOM"},
+  {"loop":4,"address":4,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665693","messages":"SMOKE 6TH FL METER ROOM"},
+  {"loop":6,"address":318,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673155","messages":"SMOKE 14TH FL UNIT 1403 LIVING ROOM"},
+  {"loop":3,"address":55,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670529","messages":"SMOKE 4TH FL UNIT 407 LIVING ROOM"},
+  {"loop":3,"address":10,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666607","messages":"SMOKE 4TH FL CORRIDOR BY STAIR 3"},
+  {"loop":3,"address":254,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952304196","messages":"SMOKE 5TH FL CORRIDOR BY STAIR 3"},
+  {"loop":3,"address":255,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669721","messages":"ALT SMOKE 5TH FL ELEVATOR LOBBY"},
+  {"loop":4,"address":281,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665105","messages":"SMOKE 7TH FL UNIT 727 BEDROOM"},
+  {"loop":6,"address":274,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381890","messages":"SMOKE 12TH FL UNIT 1202 BY WEST BEDROOM"},
+  {"loop":2,"address":278,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666416","messages":"SMOKE 3RD FL UNIT 329 NORTH BEDROOM"},
+  {"loop":5,"address":305,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675487","messages":"SMOKE 9TH FL UNIT 903 BEDROOM"},
+  {"loop":6,"address":23,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952380565","messages":"SMOKE 10TH FL UNIT 1011 BED AREA"},
+  {"loop":6,"address":18,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952337354","messages":"SMOKE 10TH FL UNIT 1015 EAST BEDROOM"},
+  {"loop":6,"address":262,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952674152","messages":"SMOKE 12TH FL UNIT 1207 HALLWAY"},
+  {"loop":6,"address":294,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952640331","messages":"SMOKE 13TH FL UNIT 1301 BY SOUTH BEDROOM"},
+  {"loop":3,"address":274,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952295869","messages":"SMOKE 5TH FL UNIT 528 BY EAST BEDROOM"},
+  {"loop":2,"address":72,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952275731","messages":"SMOKE 1ST FL UNIT 115 UPPER LVL E BDRM"},
+  {"loop":2,"address":265,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952226016","messages":"SMOKE 3RD FL UNIT 302 SOUTHEAST BDRM"},
+  {"loop":5,"address":21,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669301","messages":"SMOKE 8TH FL UNIT 828 LIVING ROOM"},
+  {"loop":3,"address":253,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952304257","messages":"SMOKE 5TH FL METER ROOM"},
+  {"loop":5,"address":30,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668731","messages":"SMOKE 8TH FL UNIT 827 BEDROOM"},
+  {"loop":6,"address":26,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672455","messages":"SMOKE 10TH FL UNIT 1007 LIVING ROOM"},
+  {"loop":6,"address":36,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381579","messages":"SMOKE 10TH FL UNIT 1001 EAST BEDROOM"},
+  {"loop":5,"address":56,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670376","messages":"SMOKE 8TH FL UNIT 805 BEDROOM"},
+  {"loop":4,"address":59,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952379163","messages":"SMOKE 6TH FL UNIT 601 WEST BEDROOM"},
+  {"loop":2,"address":42,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952281923","messages":"SMOKE 1ST FL UNIT 113 UPPER LVL S BDRM"},
+  {"loop":3,"address":314,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668380","messages":"SMOKE 5TH FL UNIT 502 LIVING ROOM"},
+  {"loop":5,"address":58,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665082","messages":"SMOKE 8TH FL UNIT 803 BEDROOM"},
+  {"loop":5,"address":43,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952674237","messages":"SMOKE 8TH FL UNIT 817 LIVING ROOM"},
+  {"loop":6,"address":286,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669752","messages":"SMOKE 13TH FL UNIT 1303 LIVING ROOM"},
+  {"loop":4,"address":63,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952383269","messages":"SMOKE 6TH FL UNIT 602 EAST BEDROOM"},
+  {"loop":2,"address":48,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952216499","messages":"SMOKE 2ND FL UNIT 202 NORHT HALLWAY"},
+  {"loop":6,"address":284,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952371686","messages":"SMOKE 13TH FL UNIT 1305 WEST BEDROOM"},
+  {"loop":2,"address":65,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952204380","messages":"SMOKE 2ND FL UNIT 225 BEDROOM"},
+  {"loop":2,"address":50,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952488384","messages":"SMOKE 1ST FL UNIT 121 UPPER LVL W BDRM"},
+  {"loop":2,"address":51,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952383429","messages":"SMOKE 1ST FL UNIT 117 UPPER LVL E BDRM"},
+  {"loop":2,"address":62,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952226450","messages":"SMOKE 2ND FL UNIT 229 SOUTH BEDROOM"},
+  {"loop":4,"address":65,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952385089","messages":"SMOKE 6TH FL UNIT 602 BY WEST BEDROOM"},
+  {"loop":2,"address":263,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952285686","messages":"SMOKE 3RD FL UNIT 302 SOUTHWEST BDRM"},
+  {"loop":3,"address":266,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952305605","messages":"SMOKE 5TH FL UNIT 518 LIVING ROOM"},
+  {"loop":3,"address":47,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666898","messages":"SMOKE 4TH FL UNIT 417 LIVING ROOM"},
+  {"loop":4,"address":39,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665525","messages":"SMOKE 6TH FL UNIT 621 WEST BEDROOM"},
+  {"loop":4,"address":288,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665624","messages":"SMOKE 7TH FL UNIT 721 LIVING ROOM EAST"},
+  {"loop":4,"address":62,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952296781","messages":"SMOKE 6TH FL UNIT 602 WEST BEDROOM"},
+  {"loop":6,"address":265,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952376605","messages":"SMOKE 12TH FL UNIT 1205 LIVING ROOM"},
+  {"loop":5,"address":57,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952616435","messages":"SMOKE 8TH FL UNIT 803 LIVING ROOM"},
+  {"loop":2,"address":85,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668533","messages":"SMOKE 1ST FL EAST ENTRY DOOR SECURE SIDE"},
+  {"loop":2,"address":306,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669349","messages":"SMOKE 3RD FL UNIT 307 SOUTH BEDROOM"},
+  {"loop":2,"address":47,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952223206","messages":"SMOKE 2ND FL UNIT 201 CENTER BEDROOM"},
+  {"loop":4,"address":56,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952385232","messages":"SMOKE 6TH FL UNIT 605 BEDROOM"},
+  {"loop":5,"address":308,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952676088","messages":"SMOKE 9TH FL UNIT 903 LIVING ROOM"},
+  {"loop":2,"address":83,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3956637931","messages":"SMOKE 1ST FL UNIT 115 LOWER LEVEL"},
+  {"loop":4,"address":291,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665167","messages":"SMOKE 7TH FL UNIT 719 LIVING ROOM"},
+  {"loop":6,"address":40,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672691","messages":"SMOKE 10TH FL UNIT 1002 BY WEST BEDROOM"},
+  {"loop":3,"address":305,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668908","messages":"SMOKE 5TH FL UNIT 505 BEDROOM"},
+  {"loop":4,"address":315,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665617","messages":"SMOKE 7TH FL UNIT 702 BY WEST BEDROOM"},
+  {"loop":5,"address":300,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673872","messages":"SMOKE 9TH FL UNIT 907 NORTH BEDROOM"},
+  {"loop":3,"address":251,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668588","messages":"SMOKE 5TH FL CORRIDOR BY STAIR 2"},
+  {"loop":6,"address":324,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952545421","messages":"SMOKE 14TH FL UNIT 1401 BY NORTH BEDROOM"},
+  {"loop":3,"address":20,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669004","messages":"SMOKE 4TH FL UNIT 420 LIVING ROOM"},
+  {"loop":4,"address":21,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665648","messages":"SMOKE 6TH FL UNIT 628 LIVING ROOM"},
+  {"loop":4,"address":50,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667451","messages":"SMOKE 6TH FL UNIT 607 NORTH BEDROOM"},
+  {"loop":5,"address":44,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668410","messages":"SMOKE 8TH FL UNIT 817 BEDROOM"},
+  {"loop":2,"address":37,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952219643","messages":"SMOKE 2ND FL UNIT 223 HALLWAY"},
+  {"loop":2,"address":59,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952236305","messages":"SMOKE 2ND FL UNIT 228 EAST BEDROOM"},
+  {"loop":3,"address":313,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667420","messages":"SMOKE 5TH FL UNIT 502 EAST BEDROOM"},
+  {"loop":4,"address":264,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952563272","messages":"SMOKE 7TH FL UNIT 714 BEDROOM"},
+  {"loop":2,"address":298,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666263","messages":"SMOKE 3RD FL UNIT 317 LIVING ROOM"},
+  {"loop":3,"address":49,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666867","messages":"SMOKE 4TH FL UNIT 415 BEDROOM"},
+  {"loop":2,"address":52,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952380756","messages":"SMOKE 1ST FL UNIT 117 UPPER LVL W BDRM"},
+  {"loop":4,"address":255,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673032","messages":"ALT SMOKE 7TH FL ELEVATOR LOBBY"},
+  {"loop":6,"address":293,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952649679","messages":"SMOKE 13TH FL UNIT 1301 SOUTH BEDROOM"},
+  {"loop":4,"address":42,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665389","messages":"SMOKE 6TH FL UNIT 619 BEDROOM"},
+  {"loop":2,"address":13,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673100","messages":"MAIN SMOKE 1ST FLOOR ELEVATOR LOBBY"},
+  {"loop":2,"address":56,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952216543","messages":"SMOKE 2ND FL UNIT 202 NORTH BEDROOM"},
+  {"loop":4,"address":267,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665099","messages":"SMOKE 7TH FL UNIT 720 LIVING ROOM"},
+  {"loop":6,"address":329,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952663194","messages":"SMOKE 14TH FL UNIT 1402 EAST BEDROOM"},
+  {"loop":6,"address":2,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952674084","messages":"ALT SMOKE 10TH FL ELEV LOBBY"},
+  {"loop":2,"address":302,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952286850","messages":"SMOKE 3RD FL UNIT 311 BED AREA"},
+  {"loop":5,"address":18,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669608","messages":"SMOKE 8TH FL UNIT 820 BEDROOM"},
+  {"loop":4,"address":307,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952557479","messages":"SMOKE 7TH FL UNIT 703 LIVING ROOM"},
+  {"loop":3,"address":17,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668311","messages":"SMOKE 4TH FL UNIT 414 BEDROOM"},
+  {"loop":6,"address":257,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381821","messages":"SMOKE 12TH FL UNIT 1211 LIVING ROOM"},
+  {"loop":3,"address":27,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666157","messages":"SMOKE 4TH FL UNIT 428 BY EAST BEDROOM"},
+  {"loop":2,"address":259,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952545292","messages":"SMOKE 3RD FL ELEVATOR LOBBY ENTRANCE"},
+  {"loop":6,"address":269,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952380473","messages":"SMOKE 12TH FL UNIT 1201 WEST BEDROOM"},
+  {"loop":3,"address":310,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668786","messages":"SMOKE 5TH FL UNIT 501 HALLWAY"},
+  {"loop":2,"address":285,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666676","messages":"SMOKE 3RD FL UNIT 325 LIVING ROOM"},
+  {"loop":4,"address":265,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952649808","messages":"SMOKE 7TH FL UNIT 718 BEDROOM"},
+  {"loop":6,"address":313,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952615186","messages":"SMOKE 14TH FL UNIT 1405 BY WEST BEDROOM"},
+  {"loop":2,"address":295,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666232","messages":"SMOKE 3RD FL UNIT 319 BEDROOM"},
+  {"loop":3,"address":35,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669127","messages":"SMOKE 4TH FL UNIT 425 LIVING ROOM"},
+  {"loop":4,"address":26,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665600","messages":"SMOKE 6TH FL UNIT 629 WEST BEDROOM"},
+  {"loop":5,"address":299,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952676187","messages":"SMOKE 9TH FL UNIT 909 BED AREA"},
+  {"loop":3,"address":40,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669288","messages":"SMOKE 4TH FL UNIT 423 WEST BEDROOM"},
+  {"loop":3,"address":42,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666614","messages":"SMOKE 4TH FL UNIT 421 EAST BEDROOM"},
+  {"loop":5,"address":273,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675340","messages":"SMOKE 9TH FL UNIT 928 EAST BEDROOM"},
+  {"loop":6,"address":316,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952654284","messages":"SMOKE 14TH FL UNIT 1405 EAST BEDROOM"},
+  {"loop":4,"address":43,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665587","messages":"SMOKE 6TH FL UNIT 617 LIVING ROOM"},
+  {"loop":6,"address":272,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382354","messages":"SMOKE 12TH FL UNIT 1202 EAST BEDROOM"},
+  {"loop":2,"address":32,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952267606","messages":"SMOKE 2ND FL UNIT 228 HALLWAY"},
+  {"loop":4,"address":292,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665006","messages":"SMOKE 7TH FL UNIT 719 BEDROOM"},
+  {"loop":6,"address":300,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952533473","messages":"SMOKE 13TH FL UNIT 1302 BY WEST BEDROOM"},
+  {"loop":6,"address":266,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381456","messages":"SMOKE 12TH FL UNIT 1203 LIVING ROOM"},
+  {"loop":4,"address":61,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952385041","messages":"SMOKE 6TH FL UNIT 601 EAST BEDROOM"},
+  {"loop":4,"address":58,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952384075","messages":"SMOKE 6TH FL UNIT 603 BEDROOM"},
+  {"loop":3,"address":284,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952379354","messages":"SMOKE 5TH FL UNIT 523 EAST BEDROOM"},
+  {"loop":6,"address":45,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382231","messages":"SMOKE 11TH FL MECHANICAL ROOM"},
+  {"loop":3,"address":52,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667154","messages":"SMOKE 4TH FL UNIT 411 BED AREA"},
+  {"loop":3,"address":293,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668038","messages":"SMOKE 5TH FL UNIT 517 LIVING ROOM"},
+  {"loop":5,"address":303,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673087","messages":"SMOKE 9TH FL UNIT 907 HALLWAY"},
+  {"loop":5,"address":12,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670208","messages":"SMOKE 8TH FL UNIT 812 BED AREA"},
+  {"loop":6,"address":292,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952613090","messages":"SMOKE 13TH FL UNIT 1301 BY NORTH BEDROOM"},
+  {"loop":4,"address":53,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670239","messages":"SMOKE 6TH FL UNIT 607 HALLWAY"},
+  {"loop":4,"address":66,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381265","messages":"SMOKE 6TH FL UNIT 601 LIVING ROOM"},
+  {"loop":2,"address":266,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952267958","messages":"SMOKE 3RD FL UNIT 302 SOUTH HALLWAY"},
+  {"loop":4,"address":303,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670086","messages":"SMOKE 7TH FL UNIT 707 HALLWAY"},
+  {"loop":3,"address":50,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666836","messages":"SMOKE 4TH FL UNIT 415 LIVING ROOM"},
+  {"loop":3,"address":262,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952292875","messages":"SMOKE 5TH FL UNIT 512 BED AREA"},
+  {"loop":6,"address":58,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669592","messages":"SMOKE 11TH FL UNIT 1107 SOUTH BEDROOM"},
+  {"loop":4,"address":296,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665808","messages":"SMOKE 7TH FL UNIT 715 LIVING ROOM"},
+  {"loop":4,"address":306,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665556","messages":"SMOKE 7TH FL UNIT 705 LIVING ROOM"},
+  {"loop":6,"address":28,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665631","messages":"SMOKE 10TH FL UNIT 1007 HALLWAY"},
+  {"loop":5,"address":264,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675500","messages":"SMOKE 9TH FL UNIT 914 BEDROOM"},
+  {"loop":4,"address":287,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665815","messages":"SMOKE 7TH FL UNIT 721 EAST BEDROOM"},
+  {"loop":2,"address":284,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666775","messages":"SMOKE 3RD FL UNIT 326 BEDROOM"},
+  {"loop":5,"address":278,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667680","messages":"SMOKE 9TH FL UNIT 929 LIVING ROOM"},
+  {"loop":4,"address":38,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665365","messages":"SMOKE 6TH FL UNIT 621 LIVING ROOM EAST"},
+  {"loop":2,"address":63,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952217540","messages":"SMOKE 2ND FL UNIT 229 NORTH BEDROOM"},
+  {"loop":4,"address":3,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952545469","messages":"SMOKE 6TH FL ELEVATOR LOBBY ENTRANCE"},
+  {"loop":3,"address":21,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668144","messages":"SMOKE 4TH FL UNIT 420 BEDROOM"},
+  {"loop":4,"address":1,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952380121","messages":"SMOKE 6TH FL CORRIDOR BY STAIR 2"},
+  {"loop":4,"address":285,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665211","messages":"SMOKE 7TH FL UNIT 723 HALLWAY"},
+  {"loop":2,"address":269,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666768","messages":"SMOKE 3RD FL UNIT 316 LIVING ROOM"},
+  {"loop":4,"address":12,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665983","messages":"SMOKE 6TH FL UNIT 612 BED AREA"},
+  {"loop":5,"address":25,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669639","messages":"SMOKE 8TH FL UNIT 829 HALLWAY"},
+  {"loop":2,"address":78,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669011","messages":"SMOKE 2ND FL UNIT 203 NORTH BEDROOM"},
+  {"loop":2,"address":279,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666560","messages":"SMOKE 3RD FL UNIT 328 DEN OFFICE"},
+  {"loop":2,"address":300,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952222650","messages":"SMOKE 3RD FL UNIT 315 LIVING ROOM"},
+  {"loop":2,"address":282,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666799","messages":"SMOKE 3RD FL UNIT 328 HALLWAY"},
+  {"loop":5,"address":294,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675715","messages":"SMOKE 9TH FL UNIT 917 BEDROOM"},
+  {"loop":6,"address":298,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952379019","messages":"SMOKE 13TH FL UNIT 1302 EAST BEDROOM"},
+  {"loop":5,"address":255,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669691","messages":"ALT SMOKE 9TH FL ELEV LOBBY"},
+  {"loop":5,"address":39,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669653","messages":"SMOKE 8TH FL UNIT 821 WEST BEDROOM"},
+  {"loop":4,"address":71,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952654093","messages":"SMOKE TOP OF STAIRWELL 2"},
+  {"loop":6,"address":264,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382163","messages":"SMOKE 12TH FL UNIT 1205 BEDROOM"},
+  {"loop":6,"address":38,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675401","messages":"SMOKE 10TH FL UNIT 1002 EAST BEDROOM"},
+  {"loop":2,"address":9,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670628","messages":"SMOKE 1ST FL MAIN DISTRIBUTION ROOM"},
+  {"loop":5,"address":63,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665327","messages":"SMOKE 8TH FL UNIT 802 EAST BEDROOM"},
+  {"loop":4,"address":301,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670178","messages":"SMOKE 7TH FL UNIT 707 LIVING ROOM"},
+  {"loop":6,"address":311,"model":"SIGA2-PS","device_type":"Photoelectric smoke detector","serial_number":"3917272096","messages":"DUCT SMOKE 14TH FL ELEV LOBBY SUPPLY"},
+  {"loop":2,"address":77,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952222674","messages":"SMOKE 2ND FL UNIT 209 BED AREA"},
+  {"loop":3,"address":276,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952304820","messages":"SMOKE 5TH FL UNIT 529 WEST BEDROOM"},
+  {"loop":2,"address":82,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952282203","messages":"SMOKE 1ST FL UNIT 117 LOWER LEVEL"},
+  {"loop":2,"address":53,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952218738","messages":"SMOKE 2ND FL UNIT 201 NORTH BEDROOM"},
+  {"loop":4,"address":22,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665228","messages":"SMOKE 6TH FL UNIT 628 WEST BEDROOM"},
+  {"loop":2,"address":43,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952282173","messages":"SMOKE 1ST FL UNIT 113 UPPER LVL S HALL"},
+  {"loop":3,"address":39,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668809","messages":"SMOKE 4TH FL UNIT 423 HALLWAY"},
+  {"loop":5,"address":298,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952674503","messages":"SMOKE 9TH FL UNIT 911 BED AREA"},
+  {"loop":6,"address":57,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952380503","messages":"SMOKE 11TH FL UNIT 1105 LIVING ROOM"},
+  {"loop":2,"address":81,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952383856","messages":"SMOKE 1ST FL UNIT 119 LOWER LEVEL"},
+  {"loop":3,"address":22,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666454","messages":"SMOKE 4TH FL UNIT 426 BEDROOM"},
+  {"loop":2,"address":73,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3956637870","messages":"SMOKE 1ST FL UNIT 113 UPPER NW BDRM"},
+  {"loop":6,"address":263,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672998","messages":"SMOKE 12TH FL UNIT 1207 BEDROOM"},
+  {"loop":5,"address":2,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669615","messages":"ALT SMOKE 8TH FL ELEVATOR LOBBY"},
+  {"loop":4,"address":23,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665457","messages":"SMOKE 6TH FL UNIT 628 EAST BEDROOM"},
+  {"loop":5,"address":268,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675449","messages":"SMOKE 9TH FL UNIT 920 BEDROOM"},
+  {"loop":2,"address":57,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952216925","messages":"SMOKE 2ND FL UNIT 202 SE BEDROOM"},
+  {"loop":5,"address":253,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952674466","messages":"SMOKE 9TH FL METER ROOM"},
+  {"loop":5,"address":267,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675180","messages":"SMOKE 9TH FL UNIT 920 LIVING ROOM"},
+  {"loop":3,"address":48,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666867","messages":"SMOKE 4TH FL UNIT 417 BEDROOM"},
+  {"loop":5,"address":31,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668427","messages":"SMOKE 8TH FL UNIT 825 BEDROOM"},
+  {"loop":3,"address":59,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667079","messages":"SMOKE 4TH FL UNIT 405 LIVING ROOM"},
+  {"loop":3,"address":7,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952618019","messages":"SMOKE 4TH FL ELEVATOR LOBBY ENTRANCE"},
+  {"loop":5,"address":290,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675166","messages":"SMOKE 9TH FL UNIT 921 LIVING ROOM WEST"},
+  {"loop":2,"address":281,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668267","messages":"SMOKE 3RD FL UNIT 328 BEDROOM"},
+  {"loop":3,"address":286,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952385492","messages":"SMOKE 5TH FL UNIT 523 WEST BEDROOM"},
+  {"loop":4,"address":27,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665464","messages":"SMOKE 6TH FL UNIT 629 EAST BEDROOM"},
+  {"loop":4,"address":254,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952544776","messages":"SMOKE 7TH FL CORRIDOR BY STAIR 3"},
+  {"loop":2,"address":304,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669400","messages":"SMOKE 3RD FL UNIT 307 LIVING ROOM"},
+  {"loop":6,"address":252,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672950","messages":"ALT SMOKE 12TH FL ELEV LOBBY"},
+  {"loop":3,"address":308,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668335","messages":"SMOKE 5TH FL UNIT 503 BEDROOM"},
+  {"loop":3,"address":273,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952304509","messages":"SMOKE 5TH FL UNIT 528 EAST BEDROOM"},
+  {"loop":5,"address":35,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673926","messages":"SMOKE 8TH FL UNIT 823 HALLWAY"},
+  {"loop":3,"address":51,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666577","messages":"SMOKE 4TH FL UNIT 413 BED AREA"},
+  {"loop":4,"address":275,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665129","messages":"SMOKE 7TH FL UNIT 729 HALLWAY"},
+  {"loop":3,"address":264,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952385164","messages":"SMOKE 5TH FL UNIT 514 BEDROOM"},
+  {"loop":5,"address":60,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665198","messages":"SMOKE 8TH FL UNIT 801 HALLWAY"},
+  {"loop":6,"address":282,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952378227","messages":"SMOKE 13TH FL UNIT 1305 LIVING ROOM"},
+  {"loop":4,"address":2,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669714","messages":"ALT SMOKE 6TH FL ELEVATOR LOBBY"},
+  {"loop":5,"address":271,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665785","messages":"SMOKE 9TH FL UNIT 928 LIVING ROOM"},
+  {"loop":5,"address":314,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669684","messages":"SMOKE 9TH FL UNIT 902 LIVING ROOM"},
+  {"loop":2,"address":17,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952676958","messages":"SMOKE 1ST FL UNIT 123 NE BEDROOM"},
+  {"loop":2,"address":84,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952463251","messages":"SMOKE 1ST FL UNIT 113 LOWER LVL"},
+  {"loop":2,"address":68,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952222117","messages":"SMOKE 2ND FL UNIT 223 WEST BEDROOM"},
+  {"loop":3,"address":23,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670253","messages":"SMOKE 4TH FL UNIT 426 LIVING ROOM"},
+  {"loop":4,"address":19,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665952","messages":"SMOKE 6TH FL UNIT 626 BEDROOM"},
+  {"loop":5,"address":310,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668090","messages":"SMOKE 9TH FL UNIT 901 HALLWAY"},
+  {"loop":4,"address":57,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952384075","messages":"SMOKE 6TH FL UNIT 603 LIVING ROOM"},
+  {"loop":4,"address":253,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665945","messages":"SMOKE 7TH FL METER ROOM"},
+  {"loop":4,"address":262,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952664993","messages":"SMOKE 7TH FL UNIT 712 BED AREA"},
+  {"loop":3,"address":281,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952304226","messages":"SMOKE 5TH FL UNIT 525 BEDROOM"},
+  {"loop":5,"address":17,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670161","messages":"SMOKE 8TH FL UNIT 820 LIVING ROOM"},
+  {"loop":4,"address":5,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665488","messages":"SMOKE 6TH FL CORRIDOR BY STAIR 3"},
+  {"loop":6,"address":13,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382262","messages":"SMOKE 10TH FL UNIT 1016 LIVING ROOM"},
+  {"loop":4,"address":13,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665778","messages":"SMOKE 6TH FL UNIT 614 LIVING ROOM"},
+  {"loop":6,"address":44,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952654864","messages":"SMOKE 11TH FL COR BY ELEV LOBBY ENTRANCE"},
+  {"loop":6,"address":21,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381692","messages":"SMOKE 10TH FL UNIT 1015 WEST BEDROOM"},
+  {"loop":3,"address":271,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3951490395","messages":"SMOKE 5TH FL UNIT 528 LIVING ROOM"},
+  {"loop":2,"address":294,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667345","messages":"SMOKE 3RD FL UNIT 321 LIVING RM WEST"},
+  {"loop":3,"address":283,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952385065","messages":"SMOKE 5TH FL UNIT 523 LIVING ROOM"},
+  {"loop":6,"address":330,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952617982","messages":"SMOKE 14TH FL UNIT 1402 LIVING ROOM"},
+  {"loop":6,"address":61,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381487","messages":"SMOKE 11TH FL UNIT 1103 LIVING ROOM"},
+  {"loop":4,"address":266,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665020","messages":"SMOKE 7TH FL UNIT 718 LIVING ROOM"},
+  {"loop":5,"address":14,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670406","messages":"SMOKE 8TH FL UNIT 814 BEDROOM"},
+  {"loop":5,"address":51,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673049","messages":"SMOKE 8TH FL UNIT 807 LIVING ROOM"},
+  {"loop":6,"address":290,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952380404","messages":"SMOKE 12TH FL UNIT 1201 LIVING ROOM"},
+  {"loop":6,"address":17,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382675","messages":"SMOKE 10TH FL UNIT 1012 BED AREA"},
+  {"loop":3,"address":295,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667802","messages":"SMOKE 5TH FL UNIT 515 BEDROOM"},
+  {"loop":2,"address":275,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667444","messages":"SMOKE 3RD FL UNIT 327 BEDROOM"},
+  {"loop":6,"address":260,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673063","messages":"SMOKE 12TH FL UNIT 1207 LIVING ROOM"},
+  {"loop":4,"address":300,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668595","messages":"SMOKE 7TH FL UNIT 707 NORTH BEDROOM"},
+  {"loop":4,"address":308,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665846","messages":"SMOKE 7TH FL UNIT 703 BEDROOM"},
+  {"loop":3,"address":60,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667062","messages":"SMOKE 4TH FL UNIT 405 BEDROOM"},
+  {"loop":5,"address":61,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952614363","messages":"SMOKE 8TH FL UNIT 801 EAST BEDROOM"},
+  {"loop":5,"address":3,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952609628","messages":"SMOKE 8TH FL COR BY ELEV LOBBY ENTRANCE"},
+  {"loop":4,"address":17,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665754","messages":"SMOKE 6TH FL UNIT 620 LVING ROOM"},
+  {"loop":6,"address":67,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381852","messages":"SMOKE 11TH FL UNIT 1102 EAST BEDROOM"},
+  {"loop":6,"address":273,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382491","messages":"SMOKE 12TH FL UNIT 1202 LIVING ROOM"},
+  {"loop":4,"address":289,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665280","messages":"SMOKE 7TH FL UNIT 721 WEST BEDROOM"},
+  {"loop":4,"address":310,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952654024","messages":"SMOKE 7TH FL UNIT 701 HALLWAY"},
+  {"loop":6,"address":33,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381708","messages":"SMOKE 10TH FL UNIT 1003 BEDROOM"},
+  {"loop":2,"address":35,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952223329","messages":"SMOKE 2ND FL UNIT 227 LIVING RM AREA"},
+  {"loop":5,"address":312,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670222","messages":"SMOKE 9TH FL UNIT 902 WEST BEDROOM"},
+  {"loop":4,"address":16,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665662","messages":"SMOKE 6TH FL UNIT 618 LIVING ROOM"},
+  {"loop":4,"address":282,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665761","messages":"SMOKE 7TH FL UNIT 725 BEDROOM"},
+  {"loop":5,"address":20,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668601","messages":"SMOKE 8TH FL UNIT 826 LIVING ROOM"},
+  {"loop":3,"address":31,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668397","messages":"SMOKE 4TH FL UNIT 429 LIVING ROOM"},
+  {"loop":5,"address":46,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670468","messages":"SMOKE 8TH FL UNIT 815 LIVING ROOM"},
+  {"loop":2,"address":315,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952218172","messages":"SMOKE 3RD FL UNIT 301 HALLWAY"},
+  {"loop":6,"address":304,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665839","messages":"ALT SMOKE  14TH FL ELEVATOR LOBBY"},
+  {"loop":4,"address":28,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665495","messages":"SMOKE 6TH FL UNIT 629 LIVING ROOM"},
+  {"loop":2,"address":36,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952222872","messages":"SMOKE 2ND FL UNIT 225 LIVING RM AREA"},
+  {"loop":5,"address":309,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952676101","messages":"SMOKE 9TH FL UNIT 901 WEST BEDROOM"},
+  {"loop":5,"address":4,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667505","messages":"SMOKE 8TH FL METER ROOM"},
+  {"loop":3,"address":289,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952299638","messages":"SMOKE 5TH FL UNIT 521 WEST BEDROOM"},
+  {"loop":6,"address":16,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381371","messages":"SMOKE 10TH FL UNIT 1014 LIVING ROOM"},
+  {"loop":2,"address":41,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670109","messages":"SMOKE 1ST FL UNIT 115 UPPER LVL HALLWAY"},
+  {"loop":3,"address":316,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670369","messages":"SMOKE 5TH FL UNIT 501 LIVING ROOM"},
+  {"loop":4,"address":270,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665884","messages":"SMOKE 7TH FL UNIT 726 BEDROOM"},
+  {"loop":2,"address":288,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666690","messages":"SMOKE 3RD FL UNIT 323 LIVING ROOM"},
+  {"loop":6,"address":43,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672516","messages":"ALT SMOKE 11TH FL ELEV LOBBY"},
+  {"loop":5,"address":66,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665075","messages":"SMOKE 8TH FL UNIT 801 LIVING ROOM"},
+  {"loop":3,"address":275,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952303106","messages":"SMOKE 5TH FL UNIT 529 HALLWAY"},
+  {"loop":3,"address":70,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952649594","messages":"SMOKE 10TH FL TOP OF STAIRWELL 3"},
+  {"loop":5,"address":311,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668922","messages":"SMOKE 9TH FL UNIT 901 EAST BEDROOM"},
+  {"loop":3,"address":269,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952296958","messages":"SMOKE 5TH FL UNIT 526 BEDROOM"},
+  {"loop":6,"address":20,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381746","messages":"SMOKE 10TH FL UNIT 1015 LIVING ROOM"},
+  {"loop":6,"address":15,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381906","messages":"SMOKE 10TH FL UNIT 1014 BEDROOM"},
+  {"loop":6,"address":297,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952648580","messages":"SMOKE 13TH FL UNIT 1302 WEST BEDROOM"},
+  {"loop":2,"address":271,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666805","messages":"SMOKE 3RD FL UNIT 316 BEDROOM"},
+  {"loop":5,"address":1,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665907","messages":"SMOKE 8TH FL CORRIDOR BY STAIR 2"},
+  {"loop":5,"address":262,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669981","messages":"SMOKE 9TH FL UNIT 912 BED AREA"},
+  {"loop":6,"address":303,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3953637804","messages":"ELEV SHAFT SMOKE ELEVATOR UNSAFE"},
+  {"loop":6,"address":315,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952649457","messages":"SMOKE 14TH FL UNIT 1405 WEST BEDROOM"},
+  {"loop":3,"address":278,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952305223","messages":"SMOKE 5TH FL UNIT 529 LIVING ROOM"},
+  {"loop":3,"address":28,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668359","messages":"SMOKE 4TH FL UNIT 429 HALLWAY"},
+  {"loop":2,"address":283,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666584","messages":"SMOKE 3RD FL UNIT 326 LIVING ROOM"},
+  {"loop":3,"address":288,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952385508","messages":"SMOKE 5TH FL UNIT 521 LIVING ROOM EAST"},
+  {"loop":4,"address":314,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665747","messages":"SMOKE 7TH FL UNIT 702 LIVING ROOM"},
+  {"loop":5,"address":279,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952671663","messages":"SMOKE 9TH FL UNIT 927 LIVING ROOM"},
+  {"loop":6,"address":25,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952673056","messages":"SMOKE 10TH FL UNIT 1007 NORTH BEDROOM"},
+  {"loop":5,"address":293,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952671083","messages":"SMOKE 9TH FL UNIT 917 LIVING ROOM"},
+  {"loop":6,"address":62,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952380510","messages":"SMOKE 11TH FL UNIT 1103 BEDROOM"},
+  {"loop":2,"address":287,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668175","messages":"SMOKE 3RD FL UNIT 323 EAST BEDROOM"},
+  {"loop":6,"address":30,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952376964","messages":"SMOKE 10TH FL UNIT 1005 BEDROOM"},
+  {"loop":5,"address":296,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675289","messages":"SMOKE 9TH FL UNIT 915 BEDROOM"},
+  {"loop":3,"address":320,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952379064","messages":"SMOKE 14TH FL STAIR 1 TOP OF STAIRS"},
+  {"loop":6,"address":31,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952382279","messages":"SMOKE 10TH FL UNIT 1005 LIVING ROOM"},
+  {"loop":5,"address":265,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952675203","messages":"SMOKE 9TH FL UNIT 918 BEDROOM"},
+  {"loop":2,"address":66,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952233397","messages":"SMOKE 2ND FL UNIT 223 SE BEDROOM"},
+  {"loop":6,"address":35,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952380497","messages":"SMOKE 10TH FL UNIT 1001 HALLWAY"},
+  {"loop":4,"address":297,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665860","messages":"SMOKE 7TH FL UNIT 713"},
+  {"loop":2,"address":64,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952223084","messages":"SMOKE 2ND FL UNIT 227 BEDROOM"},
+  {"loop":4,"address":31,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665730","messages":"SMOKE 6TH FL UNIT 625 BEDROOM"},
+  {"loop":5,"address":13,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668656","messages":"SMOKE 8TH FL UNIT 814 LIVING ROOM"},
+  {"loop":6,"address":65,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381869","messages":"SMOKE 11TH FL UNIT 1101 EAST BEDROOM"},
+  {"loop":6,"address":34,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381883","messages":"SMOKE 10TH FL UNIT 1001 WEST BEDROOM"},
+  {"loop":4,"address":25,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666713","messages":"SMOKE 6TH FL UNIT 629 HALLWAY"},
+  {"loop":2,"address":80,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665549","messages":"ALT SMOKE SUB LVL ELEVATOR LOBBY"},
+  {"loop":4,"address":64,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952385379","messages":"SMOKE 6TH FL UNIT 602 LIVING ROOM"},
+  {"loop":4,"address":316,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952614905","messages":"SMOKE 7TH FL UNIT 701 LIVING ROOM"},
+  {"loop":4,"address":51,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670123","messages":"SMOKE 6TH FL UNIT 607 LIVING ROOM"},
+  {"loop":3,"address":285,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952381791","messages":"SMOKE 5TH FL UNIT 523 HALLWAY"},
+  {"loop":3,"address":268,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952385256","messages":"SMOKE 5TH FL UNIT 520 BEDROOM"},
+  {"loop":6,"address":66,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952377619","messages":"SMOKE 11TH FL UNIT 1102 WEST BEDROOM"},
+  {"loop":6,"address":323,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952617722","messages":"SMOKE 14TH FL UNIT 1401 SOUTH BEDROOM"},
+  {"loop":6,"address":267,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952380961","messages":"SMOKE 12TH FL UNIT 1203 BEDROOM"},
+  {"loop":2,"address":301,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952211746","messages":"SMOKE 3RD FL UNIT 313 BED AREA"},
+  {"loop":3,"address":252,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952650705","messages":"SMOKE 5TH FL COR ELEVATOR LOBBY ENTRANCE"},
+  {"loop":4,"address":70,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3956633674","messages":"SMOKE 6TH FL STAIR 2 1ST FL CEILING"},
+  {"loop":4,"address":54,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668007","messages":"SMOKE 6TH FL UNIT 607 SOUTH BEDROOM"},
+  {"loop":3,"address":270,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952296989","messages":"SMOKE 5TH FL UNIT 526 LIVING ROOM"},
+  {"loop":3,"address":53,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667239","messages":"SMOKE 4TH FL UNIT 409 BED AREA"},
+  {"loop":2,"address":273,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666522","messages":"SMOKE 3RD FL UNIT 320 BEDROOM"},
+  {"loop":5,"address":49,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952669547","messages":"SMOKE 8TH FL UNIT 809 BED AREA"},
+  {"loop":2,"address":2,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952672493","messages":"ALT SMOKE LOWER LV ELEVATOR LOBBY"},
+  {"loop":3,"address":11,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668540","messages":"SMOKE 4TH FL METER ROOM"},
+  {"loop":4,"address":35,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665709","messages":"SMOKE 6TH FL UNIT 623 HALLWAY"},
+  {"loop":3,"address":292,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952385300","messages":"SMOKE 5TH FL UNIT 519 BEDROOM"},
+  {"loop":3,"address":46,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952666881","messages":"SMOKE 4TH FL UNIT 419 BEDROOM"},
+  {"loop":4,"address":276,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665334","messages":"SMOKE 7TH FL UNIT 729 WEST BEDROOM"},
+  {"loop":2,"address":69,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952676569","messages":"SMOKE 1ST FL UNIT 121 UPPER LVL E BDRM"},
+  {"loop":3,"address":298,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667055","messages":"SMOKE 5TH FL UNIT 511 BED AREA"},
+  {"loop":4,"address":269,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952651580","messages":"SMOKE 7TH FL UNIT 726 LIVING ROOM"},
+  {"loop":4,"address":20,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665426","messages":"SMOKE 6TH FL UNIT 626 LIVING ROOM"},
+  {"loop":3,"address":6,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952383863","messages":"SMOKE 4TH FL CORRIDOR BY STAIR 2"},
+  {"loop":5,"address":48,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670185","messages":"SMOKE 8TH FL UNIT 811 BED AREA"},
+  {"loop":4,"address":294,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665891","messages":"SMOKE 7TH FL UNIT 717 BEDROOM"},
+  {"loop":2,"address":272,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952667161","messages":"SMOKE 3RD FL UNIT 318 LIVING ROOM"},
+  {"loop":3,"address":13,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952233205","messages":"SMOKE 4TH FL UNIT 402 EAST BEDROOM"},
+  {"loop":5,"address":276,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952674473","messages":"SMOKE 9TH FL UNIT 929 WEST BEDROOM"},
+  {"loop":4,"address":14,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665976","messages":"SMOKE 6TH FL UNIT 614 BEDROOM"},
+  {"loop":5,"address":291,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952676163","messages":"SMOKE 9TH FL UNIT 919 LIVING ROOM"},
+  {"loop":3,"address":290,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952385416","messages":"SMOKE 5TH FL UNIT 521 LIVING ROOM WEST"},
+  {"loop":2,"address":15,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952238057","messages":"SMOKE 1ST FL UNIT 121 LOWER LVL HALLWAY"},
+  {"loop":4,"address":274,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665792","messages":"SMOKE 7TH FL UNIT 728 BY EAST BEDROOM"},
+  {"loop":2,"address":262,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952240272","messages":"SMOKE 3RD FL UNIT 301 SOUTH BEDROOM"},
+  {"loop":4,"address":263,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952665259","messages":"SMOKE 7TH FL UNIT 714 LIVING ROOM"},
+  {"loop":5,"address":23,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952670314","messages":"SMOKE 8TH FL UNIT 828 EAST BEDROOM"},
+  {"loop":3,"address":312,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952668755","messages":"SMOKE 5TH FL UNIT 502 WEST BEDROOM"},
+  {"loop":4,"address":49,"model":"SIGA-OSD","device_type":"Optical Smoke Detector","serial_number":"3952384020","messages":"SMOKE 6TH FL UNIT 609 BED AREA"}
+]$json$::jsonb,
+  'skip',
+  false,
+  'migration'
+);
@@ -0,0 +1,104 @@
+// sw.js — service worker for offline use in basements and mechanical rooms.
+// - App shell (HTML, JS modules, CDN scripts): served from cache, refreshed in the background.
+// - Supabase REST reads (checklists, devices, progress): network first, cached copy when offline.
+// - Everything else (writes, realtime, storage uploads) goes straight to the network;
+//   offline progress writes are queued by the page in IndexedDB (progress-outbox.js).
+
+const SHELL_CACHE = 'omni-shell-v1';
+// auth.js deletes this cache on sign-out (OFFLINE_DATA_CACHE there)
+const DATA_CACHE = 'omni-data-v1';
+
+// Set by app.js when it registers the worker (sw.js?supabase=<origin>)
+const SUPABASE_ORIGIN = new URL(self.location.href).searchParams.get('supabase');
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './app.js',
+    './checklist-upload.js',
+    './device-import.js',
+    './device-identity.js',
+    './device-location.js',
+    './inspection-report.js',
+    './panel-log.js',
+    './text-utils.js',
+    './progress-outbox.js',
+    './progress-events.js',
+    './auth.js',
+    './supabase-config.js',
+];
+
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net', 'cdn.sheetjs.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key !== SHELL_CACHE && key !== DATA_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+function isSupabaseRead(url, request) {
+    return request.method === 'GET' && url.origin === SUPABASE_ORIGIN && url.pathname.startsWith('/rest/v1/');
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) return cached;
+    const response = await refresh;
+    if (response) return response;
+    if (request.mode === 'navigate') {
+        const shell = await cache.match('./index.html');
+        if (shell) return shell;
+    }
+    return Response.error();
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (isSupabaseRead(url, request)) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    if (request.method !== 'GET') return;
+
+    if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
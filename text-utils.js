@@ -0,0 +1,25 @@
+// text-utils.js (ES module)
+// String helpers shared by the workspace, the admin page and the report
+// builder. No DOM access, so scripts/browser-modules.mjs can load it in Node.
+
+/**
+ * Escapes text for use in HTML content and quoted attribute values.
+ */
+export function escapeHTML(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+/**
+ * Compares two device field values, treating numeric strings as numbers so
+ * loop/address sort 1, 2, 10 instead of 1, 10, 2.
+ */
+export function compareValues(a, b) {
+    const aStr = a === null || a === undefined ? '' : String(a).trim();
+    const bStr = b === null || b === undefined ? '' : String(b).trim();
+    return aStr.localeCompare(bStr, undefined, { numeric: true, sensitivity: 'base' });
+}